@@ -1,10 +1,75 @@
 // AchievementSystem.js - Handles achievement checking and unlocking
 
+import { PER_ACTION_TARGETS } from './ModifierSystem.js';
+
+// Requirement types checkRequirement understands ('secret' is checked by checkHiddenRequirement).
+// 'stat' and 'collection' are accepted in content but not tracked yet, so they never unlock
+export const REQUIREMENT_TYPES = [
+    'resource', 'worlds', 'upgrade', 'achievements', 'playtime', 'clicks', 'resets', 'synergy',
+    'balance', 'total', 'completion', 'speed', 'conversion', 'ratio', 'maintain', 'streak', 'variety',
+    'discovery', 'challenge', 'simultaneous', 'caps', 'usage', 'navigation', 'constraint', 'tier',
+    'tierVariety', 'secret', 'stat', 'collection'
+];
+
+// Rewards that change a stat, matched against the lowercased reward text. Rewards for mechanics the
+// game doesn't have yet (synergy, caps, conversion...) add no modifier
+const REWARD_MODIFIERS = [
+    {
+        pattern: /\+(\d+)% (heat|fuel|pressure|energy|stability) generation/,
+        modifier: match => ({
+            target: PER_ACTION_TARGETS[match[2]] || `generation.${match[2]}`,
+            operation: 'percent',
+            value: parseInt(match[1]) / 100
+        })
+    },
+    {
+        pattern: /\+(\d+)% all generation/,
+        modifier: match => ({ target: 'generation.all', operation: 'percent', value: parseInt(match[1]) / 100 })
+    },
+    {
+        pattern: /\+(\d+)% manual generation/,
+        modifier: match => ({ target: 'generation.all', operation: 'percent', value: parseInt(match[1]) / 100, actionsOnly: true })
+    },
+    {
+        pattern: /manual generation x(\d+)/,
+        modifier: match => ({ target: 'generation.all', operation: 'multiply', value: parseInt(match[1]), actionsOnly: true })
+    },
+    {
+        // Efficiency divides the cost, so +100% halves it rather than making upgrades free
+        pattern: /\+(\d+)% upgrade efficiency|upgrade efficiency \+(\d+)%/,
+        modifier: match => ({ target: 'upgradeCost', operation: 'multiply', value: 1 / (1 + parseInt(match[1] || match[2]) / 100) })
+    },
+    {
+        pattern: /\+(\d+)% offline progress/,
+        modifier: match => ({ target: 'offlineEfficiency', operation: 'percent', value: parseInt(match[1]) / 100 })
+    }
+];
+
 export class AchievementSystem {
     constructor(gameState) {
         this.gameState = gameState;
     }
 
+    // Modifier source: the rewards of unlocked achievements
+    getModifiers(stat, context) {
+        const achievements = this.gameState.getState().achievements;
+        const modifiers = [];
+
+        achievements.unlocked.forEach(id => {
+            const achievement = achievements.definitions[id];
+            if (!achievement || !achievement.reward) return;
+
+            const reward = achievement.reward.toLowerCase();
+            REWARD_MODIFIERS.forEach(({ pattern, modifier }) => {
+                const match = reward.match(pattern);
+                if (match) {
+                    modifiers.push({ source: 'achievement', label: achievement.name, expires: null, ...modifier(match) });
+                }
+            });
+        });
+        return modifiers;
+    }
+
     checkAchievements() {
         const state = this.gameState.getState();
         const achievements = state.achievements;
@@ -189,6 +254,16 @@ export class AchievementSystem {
                 }
                 break;
 
+            case 'variety':
+                // Distinct world types among created worlds; rift visits and custom worlds don't count
+                if (requirement.category === 'biomes' && requirement.count) {
+                    const types = new Set((state.worldHistory || [])
+                        .filter(world => !world.riftVisit && !world.custom)
+                        .map(world => world.type));
+                    return types.size >= requirement.count;
+                }
+                break;
+
             case 'discovery':
                 // Track discovery of game mechanics
                 if (requirement.category && requirement.count) {
@@ -289,93 +364,17 @@ export class AchievementSystem {
         return false;
     }
 
-    applyAchievementBonuses(state) {
+    // Feature unlocks from achievement rewards. Stat rewards are modifiers (see getModifiers)
+    applyAchievementRewards(state) {
         const achievements = state.achievements;
         const definitions = achievements.definitions;
-        
-        // Reset bonuses
-        let bonuses = {
-            heatGeneration: 1.0,
-            fuelGeneration: 1.0,
-            pressureGeneration: 1.0,
-            energyGeneration: 1.0,
-            stabilityGeneration: 1.0,
-            upgradeEfficiency: 1.0,
-            allGeneration: 1.0,
-            conversionEfficiency: 1.0,
-            manualGeneration: 1.0,
-            resourceCaps: 1.0,
-            worldCreationSpeed: 1.0,
-            balancedGeneration: 1.0,
-            continuousGeneration: 1.0,
-            parallelEfficiency: 1.0
-        };
-
-        // Apply bonuses from unlocked achievements
+
         achievements.unlocked.forEach(id => {
             const achievement = definitions[id];
             if (!achievement || !achievement.reward) return;
 
             const reward = achievement.reward.toLowerCase();
             
-            // Percentage bonuses
-            if (reward.includes('heat generation')) {
-                const match = reward.match(/(\d+)%.*heat generation/);
-                if (match) {
-                    bonuses.heatGeneration += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('fuel generation')) {
-                const match = reward.match(/(\d+)%.*fuel generation/);
-                if (match) {
-                    bonuses.fuelGeneration += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('upgrade efficiency')) {
-                const match = reward.match(/(\d+)%.*upgrade efficiency/);
-                if (match) {
-                    bonuses.upgradeEfficiency += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('all generation')) {
-                const match = reward.match(/(\d+)%.*all generation/);
-                if (match) {
-                    bonuses.allGeneration += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('conversion efficiency')) {
-                const match = reward.match(/(\d+)%.*conversion efficiency/);
-                if (match) {
-                    bonuses.conversionEfficiency += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('balanced generation')) {
-                const match = reward.match(/(\d+)%.*balanced generation/);
-                if (match) {
-                    bonuses.balancedGeneration += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('continuous generation')) {
-                const match = reward.match(/(\d+)%.*continuous generation/);
-                if (match) {
-                    bonuses.continuousGeneration += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('parallel efficiency')) {
-                const match = reward.match(/(\d+)%.*parallel efficiency/);
-                if (match) {
-                    bonuses.parallelEfficiency += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('resource caps')) {
-                const match = reward.match(/(\d+)%.*resource caps/);
-                if (match) {
-                    bonuses.resourceCaps += parseInt(match[1]) / 100;
-                }
-            } else if (reward.includes('world creation speed')) {
-                const match = reward.match(/(\d+)%.*world creation speed/);
-                if (match) {
-                    bonuses.worldCreationSpeed += parseInt(match[1]) / 100;
-                }
-            }
-            
-            // Special multipliers (x2, x3, etc.)
-            if (reward.includes('manual generation x2')) {
-                bonuses.manualGeneration += 1.0; // +100%
-            }
-            
             // Feature unlocks (handled separately by systems that check for specific achievements)
             if (reward.includes('unlock auto-conversion')) {
                 state.unlockedFeatures = state.unlockedFeatures || {};
@@ -406,11 +405,6 @@ export class AchievementSystem {
                 state.unlockedFeatures.quickNavigation = true;
             }
         });
-
-        // Store bonuses in state for use by other systems
-        state.achievementBonuses = bonuses;
-        
-        return bonuses;
     }
 
     initializeAchievementTracking(state) {
@@ -0,0 +1,97 @@
+// ActionLog.js - Append-only log of player actions, stored in the save next to the snapshot it starts from
+// Consecutive identical actions are folded into one entry with a count, and once the log grows past
+// MAX_LOGGED_ACTIONS it is rebased onto a fresh snapshot. An entry takes about 100 characters, so the
+// log adds at most about 50 KB to a save on top of its snapshot; every save slot and backup pays that
+
+const MAX_LOGGED_ACTIONS = 500;
+
+export const ACTION_TYPES = {
+    CREATE_WORLD: 'createWorld',
+    GENERATE_RESOURCE: 'generateResource',
+    GENERATE_ENERGY: 'generateEnergy',
+    UPGRADE_RESOURCE: 'upgradeResource',
+    UPGRADE_CROSS_RESOURCE: 'upgradeCrossResource',
+    SELECT_EVENT_CHOICE: 'selectEventChoice',
+    UNLOCK_WORLD_GENERATOR: 'unlockWorldGenerator',
+    SELECT_WORLD_TIER: 'selectWorldTier',
+    TRAVEL_TO_WORLD: 'travelToWorld',
+    REROLL_WORLD: 'rerollWorld',
+    CREATE_CUSTOM_WORLD: 'createCustomWorld',
+    TICK: 'tick',
+    OFFLINE_PROGRESS: 'offlineProgress'
+};
+
+export class ActionLog {
+    constructor(gameState) {
+        this.gameState = gameState;
+        this.enabled = true;
+    }
+
+    // Deep copy of the state without the log itself - the starting point for a replay
+    static createSnapshot(state) {
+        const { actionLog, ...rest } = state;
+        return JSON.parse(JSON.stringify(rest));
+    }
+
+    // Begin a new log from the current state unless one is already running
+    ensureStarted() {
+        const state = this.gameState.getState();
+        if (state.actionLog && state.actionLog.baseSnapshot && Array.isArray(state.actionLog.actions)) {
+            return state.actionLog;
+        }
+
+        state.actionLog = {
+            startedAt: Date.now(),
+            baseSnapshot: ActionLog.createSnapshot(state),
+            actions: []
+        };
+        return state.actionLog;
+    }
+
+    record(type, payload = {}) {
+        if (!this.enabled) return null;
+
+        let log = this.ensureStarted();
+
+        // Fold repeated clicks of the same action into the previous entry
+        const last = log.actions[log.actions.length - 1];
+        if (last && last.type === type && JSON.stringify(last.payload) === JSON.stringify(payload)) {
+            last.count = (last.count || 1) + 1;
+            return last;
+        }
+
+        if (log.actions.length >= MAX_LOGGED_ACTIONS) {
+            log = this.rebase();
+        }
+
+        const action = {
+            seq: log.actions.length,
+            type,
+            payload,
+            count: 1,
+            at: Date.now()
+        };
+        log.actions.push(action);
+        return action;
+    }
+
+    // Start over from the current state, dropping the actions that led here
+    rebase() {
+        const state = this.gameState.getState();
+        const previous = state.actionLog;
+        state.actionLog = null;
+        const log = this.ensureStarted();
+        log.rebasedFrom = previous ? previous.startedAt : null;
+        return log;
+    }
+
+    getActions() {
+        const state = this.gameState.getState();
+        return state.actionLog ? state.actionLog.actions : [];
+    }
+
+    getBaseSnapshot() {
+        const state = this.gameState.getState();
+        return state.actionLog ? state.actionLog.baseSnapshot : null;
+    }
+}
@@ -0,0 +1,333 @@
+// ContentLoader.js - Worlds, events, upgrades and achievements, loaded from JSON content packs
+// content/base.json is the base pack. Mod packs listed in content/mods.json are merged over it in
+// order, so designers can add planets or events without touching code. Every entry is checked
+// against CONTENT_SCHEMA after merging; an entry that fails keeps its previous version (or is left
+// out if it is new) and the problem is reported, so a broken mod can't break the base game
+//
+// A pack looks like the base pack, with any of the four sections left out:
+//   worlds       - list; an entry with the id of an existing world changes only the fields it
+//                  gives, an entry without an id is added after the last world
+//   events       - by event key; existing keys are changed field by field, new keys are added
+//   upgrades     - by upgrade key; only existing upgrades can be tuned, as their effects live in code
+//   achievements - by numeric id; existing ids are changed field by field, new ids are added
+
+import basePack from '../content/base.json' with { type: 'json' };
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+import { EVENT_EFFECTS, EVENT_RARITIES, EVENT_CONDITIONS, FOLLOW_UP_OPTIONS } from './EventSystem.js';
+import { REQUIREMENT_TYPES } from './AchievementSystem.js';
+import { WEATHER_TYPES } from './WeatherSystem.js';
+
+const WORLD_PROPERTIES = ['temperature', 'atmosphere', 'gravity', 'timeSpeed'];
+
+// --- Field checks: each returns true for a valid value ---
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+const isResource = value => Object.prototype.hasOwnProperty.call(RESOURCE_TYPES, value);
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+const isNumber = value => typeof value === 'number' && isFinite(value);
+
+// { event, after, worldType, weather }: the event key, how many actions later, and optionally the
+// world type and weather it waits for
+const isSchedule = schedule => isPlainObject(schedule) && isText(schedule.event) &&
+    Number.isInteger(schedule.after) && schedule.after > 0 &&
+    (schedule.worldType === undefined || isText(schedule.worldType)) &&
+    (schedule.weather === undefined || Object.prototype.hasOwnProperty.call(WEATHER_TYPES, schedule.weather));
+
+// Value checks for each of EventSystem's EVENT_CONDITIONS
+const isTextList = value => Array.isArray(value) && value.length > 0 && value.every(isText);
+const CONDITION_TYPES = {
+    worldTypes: isTextList,
+    excludedWorldTypes: isTextList,
+    temperature: value => isPlainObject(value) && (value.min !== undefined || value.max !== undefined) &&
+        Object.keys(value).every(end => (end === 'min' || end === 'max') && isNumber(value[end])),
+    weather: value => Array.isArray(value) && value.length > 0 &&
+        value.every(name => Object.prototype.hasOwnProperty.call(WEATHER_TYPES, name)),
+    resources: value => FIELD_TYPES.resourceAmounts(value),
+    upgrades: value => isPlainObject(value) && Object.values(value).every(level => Number.isInteger(level) && level > 0)
+};
+
+const FIELD_TYPES = {
+    text: isText,
+    number: isNumber,
+    boolean: value => typeof value === 'boolean',
+    positiveInteger: value => Number.isInteger(value) && value > 0,
+    // Events last this many actions; 0 is instant and -1 permanent
+    duration: value => Number.isInteger(value) && value >= -1,
+    resourceList: value => Array.isArray(value) && value.every(isResource),
+    // Resource name -> amount, e.g. unlock requirements
+    resourceAmounts: value => isPlainObject(value) &&
+        Object.entries(value).every(([resource, amount]) => isResource(resource) && isNumber(amount) && amount >= 0),
+    resourceGeneration: value => isPlainObject(value) && Object.keys(value).length > 0 &&
+        Object.entries(value).every(([resource, config]) => isResource(resource) && isPlainObject(config) &&
+            isNumber(config.base) && config.base >= 0 && isNumber(config.multiplier) && config.multiplier >= 0),
+    worldProperties: value => isPlainObject(value) && WORLD_PROPERTIES.every(name => isNumber(value[name])),
+    rarity: value => EVENT_RARITIES.includes(value),
+    positiveNumber: value => isNumber(value) && value > 0,
+    conditions: value => isPlainObject(value) && Object.keys(value).length > 0 &&
+        Object.entries(value).every(([condition, conditionValue]) => condition in EVENT_CONDITIONS &&
+            condition in CONDITION_TYPES && CONDITION_TYPES[condition](conditionValue)),
+    // Each choice is checked against CHOICE_SCHEMA as well
+    choices: value => Array.isArray(value) && value.length > 0 && value.every(isPlainObject),
+    effect: value => EVENT_EFFECTS.includes(value),
+    // A second step: { prompt, options } with options naming a FOLLOW_UP_OPTIONS list
+    followUp: value => isPlainObject(value) && isText(value.prompt) &&
+        Object.prototype.hasOwnProperty.call(FOLLOW_UP_OPTIONS, value.options),
+    schedule: isSchedule,
+    requirement: value => isPlainObject(value) && REQUIREMENT_TYPES.includes(value.type)
+};
+
+// Fields of each kind of entry and their FIELD_TYPES; a trailing '?' marks an optional field.
+// Fields not listed are reported, since they are most likely typos
+export const CONTENT_SCHEMA = {
+    worlds: {
+        id: 'number',
+        name: 'text',
+        type: 'text',
+        description: 'text',
+        unlockRequirements: 'resourceAmounts',
+        introducesResources: 'resourceList?',
+        resourceGeneration: 'resourceGeneration',
+        properties: 'worldProperties',
+        unlocked: 'boolean?'
+    },
+    events: {
+        name: 'text',
+        rarity: 'rarity',
+        description: 'text',
+        effect: 'text',
+        duration: 'duration',
+        choices: 'choices',
+        // Chain the event belongs to, and whether it only comes up when an earlier stage schedules it
+        chain: 'text?',
+        scheduledOnly: 'boolean?',
+        // Where the event can roll (see EVENT_CONDITIONS) and its weight among its rarity (default 1)
+        conditions: 'conditions?',
+        weight: 'positiveNumber?'
+    },
+    upgrades: {
+        maxLevel: 'positiveInteger',
+        baseCost: 'number',
+        unlocked: 'boolean?',
+        requiresHeat: 'number?',
+        requiresFuel: 'number?',
+        requiresPressure: 'number?',
+        requiresEnergy: 'number?',
+        requiresStability: 'number?'
+    },
+    achievements: {
+        name: 'text',
+        description: 'text',
+        reward: 'text',
+        requirement: 'requirement',
+        hidden: 'boolean?'
+    }
+};
+
+// Fields of an event choice. A choice may carry an amount (value), what it costs (cost), a second
+// step (followUp), a chain stage it schedules (schedule) and an earlier chain choice it needs
+// (requiresChoice)
+export const CHOICE_SCHEMA = {
+    text: 'text',
+    effect: 'effect',
+    value: 'number?',
+    cost: 'resourceAmounts?',
+    followUp: 'followUp?',
+    schedule: 'schedule?',
+    requiresChoice: 'text?'
+};
+
+// Content in use: the base pack until loadMods() merges mod packs over it
+let activeContent = null;
+let activeReport = { packs: [], problems: [] };
+let modsLoading = null;
+
+export class ContentLoader {
+    // Problems with one entry, as messages; an empty list means the entry is valid
+    static checkEntry(section, entry) {
+        const problems = ContentLoader.checkFields(CONTENT_SCHEMA[section], entry);
+        if (section === 'events' && FIELD_TYPES.choices(entry.choices)) {
+            entry.choices.forEach((choice, index) => {
+                const label = isText(choice.text) ? `"${choice.text}"` : `choice ${index + 1}`;
+                ContentLoader.checkFields(CHOICE_SCHEMA, choice)
+                    .forEach(problem => problems.push(`${label}: ${problem}`));
+            });
+        }
+        return problems;
+    }
+
+    // Problems with an object against a field list from CONTENT_SCHEMA or CHOICE_SCHEMA
+    static checkFields(fields, entry) {
+        if (!isPlainObject(entry)) return ['not an object'];
+
+        const problems = [];
+        for (const [field, spec] of Object.entries(fields)) {
+            const optional = spec.endsWith('?');
+            const type = optional ? spec.slice(0, -1) : spec;
+            if (entry[field] === undefined) {
+                if (!optional) problems.push(`missing ${field}`);
+            } else if (!FIELD_TYPES[type](entry[field])) {
+                problems.push(`invalid ${field}`);
+            }
+        }
+        Object.keys(entry)
+            .filter(field => !(field in fields))
+            .forEach(field => problems.push(`unknown field ${field}`));
+        return problems;
+    }
+
+    // Merges packs in order into { worlds, events, upgrades, achievements }.
+    // Returns { content, packs, problems } and never modifies the packs passed in
+    static mergePacks(packs) {
+        const content = { worlds: [], events: {}, upgrades: {}, achievements: {} };
+        const problems = [];
+        const packIds = [];
+
+        packs.forEach((pack, index) => {
+            const packId = pack && isText(pack.id) ? pack.id : `pack ${index + 1}`;
+            if (!isPlainObject(pack)) {
+                problems.push(`${packId}: not a content pack`);
+                return;
+            }
+            packIds.push(packId);
+            const report = message => problems.push(`${packId}: ${message}`);
+            const copy = JSON.parse(JSON.stringify(pack));
+
+            if (copy.worlds !== undefined) {
+                if (Array.isArray(copy.worlds)) {
+                    copy.worlds.forEach(world => ContentLoader.mergeWorld(content.worlds, world, report));
+                } else {
+                    report('worlds must be a list');
+                }
+            }
+            ['events', 'upgrades', 'achievements'].forEach(section => {
+                if (copy[section] === undefined) return;
+                if (!isPlainObject(copy[section])) {
+                    report(`${section} must be an object`);
+                    return;
+                }
+                for (const [key, entry] of Object.entries(copy[section])) {
+                    ContentLoader.mergeKeyedEntry(content[section], section, key, entry, index === 0, report);
+                }
+            });
+        });
+
+        ContentLoader.checkSchedules(content.events, problems);
+        return { content, packs: packIds, problems };
+    }
+
+    // Chain stages can only be checked once every pack is merged, as a stage may come from another pack.
+    // A choice scheduling an unknown event is reported; it ends its chain when picked
+    static checkSchedules(events, problems) {
+        for (const [key, event] of Object.entries(events)) {
+            event.choices
+                .filter(choice => choice.schedule && !events[choice.schedule.event])
+                .forEach(choice => problems.push(`events ${key}: "${choice.text}" schedules unknown event ${choice.schedule.event}`));
+        }
+    }
+
+    // World ids are their place in the progression, so new worlds always go at the end
+    static mergeWorld(worlds, world, report) {
+        const label = world && isText(world.name) ? world.name : 'world';
+        const hasId = isPlainObject(world) && world.id !== undefined;
+        if (hasId && !(Number.isInteger(world.id) && world.id >= 0 && world.id <= worlds.length)) {
+            report(`${label} skipped: id ${world.id} is not an existing world or the next free id (${worlds.length})`);
+            return;
+        }
+
+        const existing = hasId ? worlds[world.id] : undefined;
+        const merged = existing
+            ? { ...existing, ...world }
+            : { unlocked: false, ...world, id: worlds.length };
+        const problems = ContentLoader.checkEntry('worlds', merged);
+        if (problems.length > 0) {
+            report(`${label} skipped: ${problems.join(', ')}`);
+            return;
+        }
+        worlds[merged.id] = merged;
+    }
+
+    static mergeKeyedEntry(entries, section, key, entry, isBasePack, report) {
+        if (section === 'achievements' && !/^[1-9]\d*$/.test(key)) {
+            report(`achievement ${key} skipped: ids are positive whole numbers`);
+            return;
+        }
+        if (section === 'upgrades' && !entries[key] && !isBasePack) {
+            report(`upgrade ${key} skipped: packs can only tune the base game's upgrades`);
+            return;
+        }
+
+        const merged = entries[key] ? { ...entries[key], ...entry } : entry;
+        const problems = ContentLoader.checkEntry(section, merged);
+        if (problems.length > 0) {
+            report(`${section} ${key} skipped: ${problems.join(', ')}`);
+            return;
+        }
+        entries[key] = merged;
+    }
+
+    // A fresh copy of the content in use, safe to modify
+    static getContent() {
+        if (!activeContent) {
+            const merged = ContentLoader.mergePacks([basePack]);
+            activeContent = merged.content;
+            activeReport = { packs: merged.packs, problems: merged.problems };
+            if (merged.problems.length > 0) {
+                console.error('[ContentLoader] Base pack problems:', merged.problems);
+            }
+        }
+        return JSON.parse(JSON.stringify(activeContent));
+    }
+
+    // { packs, problems } for the content in use
+    static getReport() {
+        ContentLoader.getContent();
+        return activeReport;
+    }
+
+    // Fetches the packs listed in content/mods.json ({ "packs": ["my-pack.json"] }, paths relative
+    // to content/) and merges them over the base pack. Call before creating the game; later calls
+    // wait for the same load. A missing manifest or pack is reported and the rest still loads
+    static loadMods() {
+        if (!modsLoading) {
+            modsLoading = ContentLoader.fetchMods().then(mods => {
+                const merged = ContentLoader.mergePacks([basePack, ...mods.packs]);
+                activeContent = merged.content;
+                activeReport = { packs: merged.packs, problems: [...mods.problems, ...merged.problems] };
+                if (activeReport.problems.length > 0) {
+                    console.warn('[ContentLoader] Content pack problems:', activeReport.problems);
+                }
+                return activeReport;
+            });
+        }
+        return modsLoading;
+    }
+
+    static async fetchMods() {
+        const contentDir = new URL('../content/', import.meta.url);
+        const problems = [];
+
+        let manifest;
+        try {
+            const response = await fetch(new URL('mods.json', contentDir));
+            if (!response.ok) return { packs: [], problems };
+            manifest = await response.json();
+        } catch (error) {
+            return { packs: [], problems: [`content/mods.json could not be read: ${error.message}`] };
+        }
+        if (!manifest || !Array.isArray(manifest.packs)) {
+            return { packs: [], problems: ['content/mods.json needs a "packs" list'] };
+        }
+
+        const packs = [];
+        for (const path of manifest.packs) {
+            try {
+                const response = await fetch(new URL(path, contentDir));
+                if (!response.ok) throw new Error(`HTTP ${response.status}`);
+                packs.push(await response.json());
+            } catch (error) {
+                problems.push(`${path} could not be loaded: ${error.message}`);
+            }
+        }
+        return { packs, problems };
+    }
+}
@@ -1,238 +1,340 @@
 // EventSystem.js - Handles RNG events, event effects, and event management
 
+import { RandomService } from './RandomService.js';
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+
+// Quantum Fluctuation: "Next 2 worlds can be rerolled once each"
+const WORLD_REROLL_CHARGES = 2;
+
+// Rarities checkForRandomEvent rolls for
+export const EVENT_RARITIES = ['common', 'uncommon', 'rare', 'ultraRare', 'negative'];
+
+export const RARITY_LABELS = {
+    common: 'Common',
+    uncommon: 'Uncommon',
+    rare: 'Rare',
+    ultraRare: 'Ultra Rare',
+    negative: 'Negative'
+};
+
+// How likely an event is each time a world is created, and which rarity it is. Values are given at
+// stability 0, 25 (balanced) and 50 (full) and interpolated in between:
+//   chance  - chance that creating a world rolls an event at all
+//   weights - relative weight of each rarity once an event rolls. Low stability brings negative
+//             events but also rare windfalls; high stability favours the helpful common ones
+//   pity    - after this many rolls in a row without an event of that rarity (or a rarer one),
+//             the next world creation is guaranteed one
+export const EVENT_PROBABILITY = {
+    chance: [0.05, 0.3, 0.55],
+    weights: {
+        common: [25, 45, 52],
+        uncommon: [15, 25, 33],
+        rare: [14, 10, 8],
+        ultraRare: [9, 5, 3],
+        negative: [37, 15, 4]
+    },
+    pity: {
+        rare: 12,
+        ultraRare: 30
+    }
+};
+
+// Rarer first: a guaranteed ultra rare event also counts as a rare one
+const PITY_RARITIES = ['ultraRare', 'rare'];
+
+// Conditions an event can set (event.conditions) to only roll where it fits. Each checks its
+// value against the game state; an event rolls only if all of its conditions hold
+//   worldTypes / excludedWorldTypes - world types it can / can't happen on
+//   temperature - { min, max } range for the current world (either end can be left out)
+//   weather     - weathers it can happen in
+//   resources   - minimum amounts, e.g. { "pressure": 10 }
+//   upgrades    - minimum upgrade levels, e.g. { "heatGenerator": 3 }
+export const EVENT_CONDITIONS = {
+    worldTypes: (types, state) => !!state.currentWorld && types.includes(state.currentWorld.type),
+    excludedWorldTypes: (types, state) => !state.currentWorld || !types.includes(state.currentWorld.type),
+    temperature: (range, state) => !!state.currentWorld &&
+        (range.min === undefined || state.currentWorld.temperature >= range.min) &&
+        (range.max === undefined || state.currentWorld.temperature <= range.max),
+    weather: (names, state) => !!state.currentWorld && names.includes(state.currentWorld.weather),
+    resources: (amounts, state) => Object.entries(amounts)
+        .every(([resource, amount]) => (state.resources[resource] || 0) >= amount),
+    upgrades: (levels, state) => Object.entries(levels)
+        .every(([upgrade, level]) => !!state.upgrades[upgrade] && state.upgrades[upgrade].level >= level)
+};
+
+// Choice effects applyEventEffect knows; content pack choices must use one of these
+export const EVENT_EFFECTS = [
+    'heatBoost', 'fuelBoost', 'pressureBoost', 'allResourceBoost', 'solarHarvest', 'stabilityProtect',
+    'worldReroll', 'stabilityGain', 'tierUnlock', 'energyGain', 'cheapUpgrade', 'resourceChoice',
+    'cheapUpgrades', 'permanentEfficiency', 'energyCost', 'heatCost', 'resourceLoss', 'pressureLoss',
+    'overclock', 'none'
+];
+
+// Modifiers a choice effect adds for the event's duration (in actions). Generation boosts only
+// count for player actions, like the actions they last for. Upgrade discounts marked perPurchase
+// last for the event's duration in upgrade purchases instead
+const EFFECT_MODIFIERS = {
+    heatBoost: [{ target: 'generation.heat', operation: 'multiply', value: 1.25, actionsOnly: true }],
+    fuelBoost: [{ target: 'generation.fuel', operation: 'multiply', value: 1.25, actionsOnly: true }],
+    pressureBoost: [{ target: 'pressurePerAction', operation: 'multiply', value: 1.25, actionsOnly: true }],
+    allResourceBoost: [{ target: 'generation.all', operation: 'multiply', value: 1.15, actionsOnly: true }],
+    solarHarvest: [
+        { target: 'generation.heat', operation: 'multiply', value: 1.5, actionsOnly: true },
+        { target: 'stabilityPerAction', operation: 'add', value: -1, actionsOnly: true }
+    ],
+    stabilityProtect: [{ target: 'stabilityPerAction', operation: 'add', value: 2, actionsOnly: true }],
+    cheapUpgrade: [{ target: 'upgradeCost', operation: 'multiply', value: 0.6, perPurchase: true }],
+    cheapUpgrades: [{ target: 'upgradeCost', operation: 'multiply', value: 0.5, perPurchase: true }],
+    overclock: [
+        { target: 'generation.all', operation: 'multiply', value: 2.0, actionsOnly: true },
+        { target: 'upgradeCost', operation: 'multiply', value: 1.5 }
+    ]
+};
+
+// Event chains: a choice with schedule: { event, after, worldType, weather } queues that event to
+// come up `after` actions later, once the current world has the given type and weather (either can
+// be left out). Events marked scheduledOnly only come up this way, never from a random roll.
+// A choice with requiresChoice is only offered if an earlier stage of the same chain run picked a
+// choice with that text. eventHistory entries of a chain carry chain: { id, start, stage }, where
+// start is the history index of the run's first stage
+
+// Option lists for multi-step choices. A choice with followUp: { prompt, options } asks the player
+// to pick one of these after choosing it; the picked value reaches applyEventEffect as `option`.
+// Each list returns [{ value, label }] for the current game
+export const FOLLOW_UP_OPTIONS = {
+    introducedResources: eventSystem => (eventSystem.worldSystem ? eventSystem.worldSystem.getIntroducedResources() : [])
+        .map(resource => ({ value: resource, label: RESOURCE_TYPES[resource].label }))
+};
+
 export class EventSystem {
-    constructor(gameState) {
+    constructor(gameState, rng = null) {
         this.gameState = gameState;
-        this.eventDefinitions = this.initializeEvents();
+        this.rng = rng || new RandomService(gameState);
+        // Event definitions come from the content packs (see ContentLoader)
+        this.eventDefinitions = gameState.content.events;
+        this.worldSystem = null;
+        this.modifierSystem = null;
+
+        // Tag each definition with its key so logged choices can name the event
+        for (const [id, event] of Object.entries(this.eventDefinitions)) {
+            event.id = id;
+        }
     }
 
-    initializeEvents() {
-        return {
-            // Common Events (60% chance)
-            resourceSurge: {
-                name: "Resource Surge",
-                rarity: "common",
-                description: "A sudden surge of energy flows through your machine!",
-                effect: "Choose one resource to gain +25% generation for 3 actions",
-                duration: 3,
-                choices: [
-                    { text: "Boost Heat", effect: "heatBoost" },
-                    { text: "Boost Fuel", effect: "fuelBoost" },
-                    { text: "Boost Pressure", effect: "pressureBoost" }
-                ]
-            },
-            
-            machineTune: {
-                name: "Machine Tune-Up",
-                rarity: "common",
-                description: "Your machine runs smoother than usual today.",
-                effect: "All resources +15% generation for 2 actions",
-                duration: 2,
-                choices: [
-                    { text: "Accept Bonus", effect: "allResourceBoost" },
-                    { text: "Decline", effect: "none" }
-                ]
-            },
-            
-            // Uncommon Events (25% chance)
-            solarFlare: {
-                name: "Solar Flare",
-                rarity: "uncommon",
-                description: "Intense solar radiation affects your machine systems!",
-                effect: "Heat generation +50% for 4 actions, but Stability -1 per action",
-                duration: 4,
-                choices: [
-                    { text: "Harness Energy", effect: "solarHarvest" },
-                    { text: "Shield Systems", effect: "stabilityProtect" }
-                ]
-            },
-            
-            quantumFluctuation: {
-                name: "Quantum Fluctuation",
-                rarity: "uncommon",
-                description: "Reality shifts around your machine, offering new possibilities.",
-                effect: "Next 2 worlds can be rerolled once each",
-                duration: 2,
-                choices: [
-                    { text: "Embrace Chaos", effect: "worldReroll" },
-                    { text: "Stay Grounded", effect: "stabilityGain" }
-                ]
-            },
-            
-            // Rare Events (10% chance)
-            dimensionalRift: {
-                name: "Dimensional Rift",
-                rarity: "rare",
-                description: "A rift in space-time opens, revealing advanced technology!",
-                effect: "Gain access to Tier 2 world for 1 generation (temporary unlock)",
-                duration: 1,
-                choices: [
-                    { text: "Enter Rift", effect: "tierUnlock" },
-                    { text: "Seal Rift", effect: "energyGain" }
-                ]
-            },
-            
-            ancientTechnology: {
-                name: "Ancient Technology",
-                rarity: "rare",
-                description: "You discover remnants of an advanced civilization!",
-                effect: "Next upgrade costs 40% less OR gain 50 of any resource",
-                duration: 1,
-                choices: [
-                    { text: "Study Technology", effect: "cheapUpgrade" },
-                    { text: "Harvest Materials", effect: "resourceChoice" }
-                ]
-            },
-            
-            // Ultra Rare Events (5% chance)
-            luckyCalibration: {
-                name: "Lucky Calibration",
-                rarity: "ultraRare",
-                description: "Perfect harmonic resonance achieved across all systems!",
-                effect: "All upgrades cost 50% less for next 10 purchases",
-                duration: 10,
-                choices: [
-                    { text: "Accept Calibration", effect: "cheapUpgrades" },
-                    { text: "Decline", effect: "none" }
-                ]
-            },
-            
-            crystalResonance: {
-                name: "Crystal Resonance",
-                rarity: "ultraRare",
-                description: "Ancient crystals in your machine achieve perfect harmony!",
-                effect: "Machine gains permanent +5% efficiency to all resources",
-                duration: -1, // Permanent
-                choices: [
-                    { text: "Embrace Resonance", effect: "permanentEfficiency" },
-                    { text: "Ignore", effect: "none" }
-                ]
-            },
-            
-            // Negative Events (15% base, reduced by stability)
-            systemGlitch: {
-                name: "System Glitch",
-                rarity: "negative",
-                description: "Critical error detected in machine subsystems!",
-                effect: "Lose 20% of highest resource OR spend 30 Energy to prevent",
-                duration: 0,
-                choices: [
-                    { text: "Fix with Energy", effect: "energyCost", cost: { energy: 30 } },
-                    { text: "Accept Loss", effect: "resourceLoss", value: 20 }
-                ]
-            },
-            
-            pressureLeak: {
-                name: "Pressure Leak",
-                rarity: "negative",
-                description: "A critical leak detected in the pressure systems!",
-                effect: "Lose 50% current Pressure OR spend 40 Heat to repair",
-                duration: 0,
-                choices: [
-                    { text: "Emergency Repair", effect: "heatCost", cost: { heat: 40 } },
-                    { text: "Accept Leak", effect: "pressureLoss", value: 50 }
-                ]
+    // Rift events move the player between worlds
+    setWorldSystem(worldSystem) {
+        this.worldSystem = worldSystem;
+    }
+
+    // Timed choice effects are added to the modifier stack
+    setModifierSystem(modifierSystem) {
+        this.modifierSystem = modifierSystem;
+    }
+
+    // Value of a [none, balanced, full] stability curve at the given stability
+    interpolateStability(curve, stability) {
+        const position = Math.max(0, Math.min(2, stability / 25));
+        const lower = Math.min(1, Math.floor(position));
+        return curve[lower] + (curve[lower + 1] - curve[lower]) * (position - lower);
+    }
+
+    // Odds of a roll in the current conditions: { stability, eligible, total, chance, rarities,
+    // guaranteed, pity }. eligible counts the events that can roll out of the total random pool;
+    // rarities maps each rarity with eligible events to its share once an event rolls (summing to 1);
+    // guaranteed is the rarity a pity timer forces, if any; pity lists each timer's progress
+    getEventOdds() {
+        const state = this.gameState.getState();
+        const stability = state.resources.stability;
+        const counters = state.eventPity || {};
+        const eligibleEvents = this.getEligibleEvents();
+
+        const weights = {};
+        EVENT_RARITIES.forEach(rarity => {
+            const hasEvents = eligibleEvents.some(event => event.rarity === rarity);
+            if (hasEvents) {
+                weights[rarity] = this.interpolateStability(EVENT_PROBABILITY.weights[rarity], stability);
             }
+        });
+        const totalWeight = Object.values(weights).reduce((sum, weight) => sum + weight, 0);
+        const rarities = {};
+        for (const [rarity, weight] of Object.entries(weights)) {
+            rarities[rarity] = totalWeight > 0 ? weight / totalWeight : 0;
+        }
+
+        const pity = EVENT_RARITIES.filter(rarity => PITY_RARITIES.includes(rarity) && rarity in weights).map(rarity => ({
+            rarity,
+            dryRolls: counters[rarity] || 0,
+            threshold: EVENT_PROBABILITY.pity[rarity]
+        }));
+        // The rarest due timer wins when several are due at once
+        const forced = PITY_RARITIES
+            .map(rarity => pity.find(timer => timer.rarity === rarity))
+            .find(timer => timer && timer.dryRolls >= timer.threshold);
+
+        return {
+            stability,
+            eligible: eligibleEvents.length,
+            total: Object.values(this.eventDefinitions).filter(event => !event.scheduledOnly).length,
+            chance: forced ? 1 : this.interpolateStability(EVENT_PROBABILITY.chance, stability),
+            rarities,
+            guaranteed: forced ? forced.rarity : null,
+            pity
         };
     }
 
     checkForRandomEvent() {
-        // Base 30% chance for an event
-        let eventChance = 0.3;
-        
-        // Stability affects event probability
         const state = this.gameState.getState();
         if (!state || !state.resources) return null; // Guard against undefined state
         
-        const stability = state.resources.stability;
-        const stabilityModifier = (stability - 25) / 100; // -0.25 to +0.25 modifier
+        const odds = this.getEventOdds();
+        // Both rolls are always made so a pity guarantee doesn't shift later rolls
+        const eventRoll = this.rng.next();
+        const rarityRoll = this.rng.next();
         
-        if (Math.random() < eventChance + stabilityModifier) {
-            // Determine rarity
-            let rand = Math.random();
-            
-            // Negative events are reduced by high stability
-            const negativeChance = Math.max(0.05, 0.15 - (stability / 500)); // 15% base, down to 5% at high stability
-            
-            if (rand < negativeChance) {
-                return this.triggerEvent('negative');
-            } else if (rand < 0.60) {
-                return this.triggerEvent('common');
-            } else if (rand < 0.85) {
-                return this.triggerEvent('uncommon');
-            } else if (rand < 0.95) {
-                return this.triggerEvent('rare');
-            } else {
-                return this.triggerEvent('ultraRare');
-            }
+        let event = null;
+        if (odds.guaranteed) {
+            event = this.triggerEvent(odds.guaranteed);
+        } else if (eventRoll < odds.chance) {
+            event = this.triggerEvent(this.pickRarity(odds.rarities, rarityRoll));
         }
         
-        return null;
+        this.updatePity(event ? event.rarity : null);
+        return event;
     }
 
-    triggerEvent(rarity) {
-        const eventsOfRarity = Object.values(this.eventDefinitions).filter(event => event.rarity === rarity);
-        if (eventsOfRarity.length > 0) {
-            const selectedEvent = eventsOfRarity[Math.floor(Math.random() * eventsOfRarity.length)];
-            return selectedEvent;
+    // The rarity a roll in [0, 1) lands on, walking the shares in EVENT_RARITIES order
+    pickRarity(rarities, roll) {
+        let cumulative = 0;
+        const available = EVENT_RARITIES.filter(rarity => rarity in rarities);
+        for (const rarity of available) {
+            cumulative += rarities[rarity];
+            if (roll < cumulative) return rarity;
         }
-        return null;
+        return available[available.length - 1];
+    }
+
+    // Every roll without an event of a pity rarity (or a rarer one) counts towards its guarantee
+    updatePity(rarity) {
+        const state = this.gameState.getState();
+        if (!state.eventPity) {
+            state.eventPity = {};
+        }
+        const rank = PITY_RARITIES.indexOf(rarity);
+        PITY_RARITIES.forEach((pityRarity, index) => {
+            const hit = rank !== -1 && rank <= index;
+            state.eventPity[pityRarity] = hit ? 0 : (state.eventPity[pityRarity] || 0) + 1;
+        });
+    }
+
+    // Scheduled-only stages never roll, and a chain doesn't start again while a run of it is waiting
+    isRollable(event) {
+        if (event.scheduledOnly) return false;
+        const chainId = event.chain || event.id;
+        return !this.getScheduledEvents().some(scheduled => scheduled.chain === chainId);
+    }
+
+    // Whether the event's conditions hold for the current world, weather, resources and upgrades
+    isEligible(event) {
+        if (!event.conditions) return true;
+        const state = this.gameState.getState();
+        return Object.entries(event.conditions).every(([condition, value]) =>
+            EVENT_CONDITIONS[condition] ? EVENT_CONDITIONS[condition](value, state) : false);
+    }
+
+    // Events a random roll can land on right now
+    getEligibleEvents() {
+        return Object.values(this.eventDefinitions).filter(event => this.isRollable(event) && this.isEligible(event));
     }
 
-    applyEventEffect(effectType, event, choice = null) {
+    // Picks among the eligible events of a rarity by their weight (1 unless the event sets one)
+    triggerEvent(rarity) {
+        const eventsOfRarity = this.getEligibleEvents().filter(event => event.rarity === rarity);
+        return this.rng.weightedPick(eventsOfRarity, event => event.weight || 1) || null;
+    }
+
+    // The second step of a multi-step choice as { prompt, options }, or null for a one-step choice
+    getFollowUp(choice) {
+        if (!choice || !choice.followUp) return null;
+        return {
+            prompt: choice.followUp.prompt,
+            options: FOLLOW_UP_OPTIONS[choice.followUp.options](this)
+        };
+    }
+
+    // The event waiting for the player's choice: only this one can be answered, once.
+    // Kept in the save so an unanswered event comes back after a reload
+    offerEvent(event) {
+        if (!event) return null;
+        this.gameState.getState().pendingEvent = event.id;
+        return event;
+    }
+
+    getPendingEvent() {
+        const state = this.gameState.getState();
+        return state.pendingEvent ? this.getEventById(state.pendingEvent) : null;
+    }
+
+    // The event has to be the one on offer (a chain stage also has to be due), the choice one of its
+    // choices on offer, and a multi-step choice needs one of its follow-up options; a one-step choice takes none
+    isValidChoice(event, choice, option = null) {
+        if (!event || !choice) return false;
+        if (this.gameState.getState().pendingEvent !== event.id) return false;
+        if (event.scheduledOnly && !this.findDueScheduledEvent(event)) return false;
+        if (!this.getAvailableChoices(event).includes(choice)) return false;
+        const followUp = this.getFollowUp(choice);
+        if (!followUp) return option === null;
+        return followUp.options.some(item => item.value === option);
+    }
+
+    applyEventEffect(effectType, event, choice = null, option = null) {
+        const state = this.gameState.getState();
         switch (effectType) {
             case 'heatBoost':
-                this.addTemporaryEffect('heat', 1.25);
-                break;
             case 'fuelBoost':
-                this.addTemporaryEffect('fuel', 1.25);
-                break;
             case 'pressureBoost':
-                this.addTemporaryEffect('pressure', 1.25);
-                break;
             case 'allResourceBoost':
-                this.addTemporaryEffect('all', 1.15);
-                break;
             case 'solarHarvest':
-                this.addTemporaryEffect('heat', 1.5);
-                this.addTemporaryEffect('stability', -1);
-                break;
             case 'stabilityProtect':
-                this.addTemporaryEffect('stability', 2);
+            case 'cheapUpgrade':
+            case 'cheapUpgrades':
+            case 'overclock':
+                this.addTemporaryModifiers(effectType, event);
                 break;
             case 'worldReroll':
-                // This would be handled by the world system
+                if (!state.worldRerolls) {
+                    state.worldRerolls = { charges: 0, rerolled: {} };
+                }
+                state.worldRerolls.charges += WORLD_REROLL_CHARGES;
                 break;
             case 'stabilityGain':
-                this.gameState.resources.stability += 10;
+                state.resources.stability += 10;
                 break;
             case 'tierUnlock':
-                // Temporary tier unlock - would be handled by world system
+                if (this.worldSystem) {
+                    this.worldSystem.openRift();
+                }
                 break;
             case 'energyGain':
-                this.gameState.resources.energy += 25;
-                break;
-            case 'cheapUpgrade':
-                this.addTemporaryEffect('upgradeCost', 0.6);
+                state.resources.energy += 25;
                 break;
             case 'resourceChoice':
-                // This would show a modal for resource selection
-                break;
-            case 'cheapUpgrades':
-                this.addTemporaryEffect('upgradeCost', 0.5);
+                // The resource was picked in the choice's follow-up step
+                if (option && choice && choice.value) {
+                    this.gameState.addResources({ [option]: choice.value });
+                }
                 break;
             case 'permanentEfficiency':
-                this.gameState.permanentBonuses.resourceEfficiency += 0.05;
+                state.permanentBonuses.resourceEfficiency += 0.05;
                 break;
             case 'energyCost':
                 if (choice && choice.cost) {
                     const canAfford = Object.keys(choice.cost).every(resource => 
-                        this.gameState.resources[resource] >= choice.cost[resource]
+                        state.resources[resource] >= choice.cost[resource]
                     );
                     
                     if (canAfford) {
                         Object.keys(choice.cost).forEach(resource => {
-                            this.gameState.resources[resource] -= choice.cost[resource];
+                            state.resources[resource] -= choice.cost[resource];
                         });
                     } else {
                         // Can't afford, apply backup effect
@@ -241,8 +343,8 @@ export class EventSystem {
                 }
                 break;
             case 'heatCost':
-                if (choice && choice.cost && this.gameState.resources.heat >= choice.cost.heat) {
-                    this.gameState.resources.heat -= choice.cost.heat;
+                if (choice && choice.cost && state.resources.heat >= choice.cost.heat) {
+                    state.resources.heat -= choice.cost.heat;
                 } else {
                     this.applyEventEffect('pressureLoss', event, { value: 50 });
                 }
@@ -254,31 +356,36 @@ export class EventSystem {
                 break;
             case 'pressureLoss':
                 if (choice && choice.value) {
-                    const lossAmount = Math.floor(this.gameState.resources.pressure * (choice.value / 100));
-                    this.gameState.resources.pressure -= lossAmount;
-                    this.gameState.resources.pressure = Math.max(0, this.gameState.resources.pressure);
+                    const lossAmount = Math.floor(state.resources.pressure * (choice.value / 100));
+                    state.resources.pressure -= lossAmount;
+                    state.resources.pressure = Math.max(0, state.resources.pressure);
                 }
                 break;
-            case 'overclock':
-                this.addTemporaryEffect('all', 2.0);
-                this.addTemporaryEffect('upgradeCost', 1.5);
-                break;
             case 'none':
                 // Do nothing
                 break;
         }
     }
 
-    addTemporaryEffect(effectType, value) {
-        this.gameState.activeEvents.forEach(event => {
-            if (event.effect === effectType) {
-                event.value = value;
-            }
+    // Adds the effect's modifiers for as many actions as the event lasts. Instant (0) and
+    // permanent (-1) events have no timed effects
+    addTemporaryModifiers(effectType, event) {
+        if (!this.modifierSystem || !(event.duration > 0)) return;
+
+        EFFECT_MODIFIERS[effectType].forEach(({ perPurchase, ...modifier }) => {
+            const lifetime = perPurchase ? { expires: null, uses: event.duration } : { expires: event.duration };
+            this.modifierSystem.addModifier({ source: 'event', label: event.name, ...lifetime, ...modifier });
         });
     }
 
+    // Effects whose modifiers are used up by purchases, not by actions
+    isPerPurchaseEffect(effectType) {
+        return !!EFFECT_MODIFIERS[effectType] && EFFECT_MODIFIERS[effectType].some(modifier => modifier.perPurchase);
+    }
+
     loseHighestResource(percentage) {
-        const resources = this.gameState.resources;
+        const state = this.gameState.getState();
+        const resources = state.resources;
         let highest = { type: 'heat', amount: resources.heat };
         
         ['fuel', 'pressure', 'energy'].forEach(type => {
@@ -295,9 +402,7 @@ export class EventSystem {
     }
 
     updateActiveEvents() {
-        console.log('[EventSystem] updateActiveEvents called');
         const state = this.gameState.getState();
-        console.log('[EventSystem] State:', state);
         
         if (!state) {
             console.error('[EventSystem] State is null/undefined');
@@ -306,33 +411,52 @@ export class EventSystem {
         
         // Initialize activeEvents if it doesn't exist
         if (!state.activeEvents) {
-            console.log('[EventSystem] Initializing activeEvents array');
             state.activeEvents = [];
             return;
         }
         
-        console.log('[EventSystem] activeEvents before filter:', state.activeEvents);
         state.activeEvents = state.activeEvents.filter(event => {
             event.duration--;
             return event.duration > 0;
         });
-        console.log('[EventSystem] activeEvents after filter:', state.activeEvents);
     }
 
-    selectEventChoice(event, choice) {
+    // option is the value picked in a multi-step choice's follow-up step
+    selectEventChoice(event, choice, option = null) {
+        const state = this.gameState.getState();
+        state.pendingEvent = null;
+        // A scheduled stage leaves the queue once it is answered
+        const scheduled = this.findDueScheduledEvent(event);
+        if (scheduled) {
+            state.scheduledEvents.splice(state.scheduledEvents.indexOf(scheduled), 1);
+        }
+        const chain = this.getChainStage(event, choice, scheduled);
+        
         // Apply the selected effect
-        this.applyEventEffect(choice.effect, event, choice);
+        this.applyEventEffect(choice.effect, event, choice, option);
         
         // Add to event history
-        this.gameState.eventHistory.push({
+        const entry = {
             name: event.name,
             choice: choice.text,
             timestamp: Date.now()
-        });
+        };
+        if (option !== null) {
+            entry.option = option;
+        }
+        if (chain) {
+            entry.chain = chain;
+        }
+        state.eventHistory.push(entry);
+        
+        if (choice.schedule) {
+            this.scheduleEvent(choice.schedule, chain);
+        }
         
-        // If event has duration, add to active events
-        if (event.duration > 0) {
-            this.gameState.activeEvents.push({
+        // If event has duration, add to active events. Purchase-counted discounts aren't counted down
+        // by actions; the breakdown panel shows their purchases left
+        if (event.duration > 0 && !this.isPerPurchaseEffect(choice.effect)) {
+            state.activeEvents.push({
                 name: event.name,
                 effect: choice.effect,
                 duration: event.duration,
@@ -341,7 +465,89 @@ export class EventSystem {
         }
     }
 
+    getScheduledEvents() {
+        const state = this.gameState.getState();
+        return state.scheduledEvents || [];
+    }
+
+    // The chain stage an answered event is: the next stage of its scheduled run, the first stage of
+    // a chain event, or null for a one-shot event that schedules nothing
+    getChainStage(event, choice, scheduled) {
+        const state = this.gameState.getState();
+        if (scheduled) {
+            return { id: scheduled.chain, start: scheduled.chainStart, stage: scheduled.stage };
+        }
+        if (event.chain || choice.schedule) {
+            return { id: event.chain || event.id, start: state.eventHistory.length, stage: 1 };
+        }
+        return null;
+    }
+
+    // Queues the next stage of a chain run
+    scheduleEvent(schedule, chain) {
+        const state = this.gameState.getState();
+        if (!this.eventDefinitions[schedule.event]) {
+            console.error('[EventSystem] Cannot schedule unknown event:', schedule.event);
+            return false;
+        }
+        if (!state.scheduledEvents) {
+            state.scheduledEvents = [];
+        }
+        state.scheduledEvents.push({
+            eventId: schedule.event,
+            chain: chain.id,
+            chainStart: chain.start,
+            stage: chain.stage + 1,
+            actionsLeft: schedule.after,
+            worldType: schedule.worldType || null,
+            weather: schedule.weather || null
+        });
+        return true;
+    }
+
+    // One player action passed: scheduled stages count down to zero and then wait for their world
+    updateScheduledEvents() {
+        this.getScheduledEvents().forEach(scheduled => {
+            scheduled.actionsLeft = Math.max(0, scheduled.actionsLeft - 1);
+        });
+    }
+
+    isScheduledEventDue(scheduled) {
+        const world = this.gameState.getState().currentWorld;
+        if (scheduled.actionsLeft > 0 || !world) return false;
+        if (scheduled.worldType && world.type !== scheduled.worldType) return false;
+        return !scheduled.weather || world.weather === scheduled.weather;
+    }
+
+    findDueScheduledEvent(event) {
+        return this.getScheduledEvents().find(scheduled => scheduled.eventId === event.id && this.isScheduledEventDue(scheduled));
+    }
+
+    // The first scheduled stage ready to come up, or null. It stays queued until it is answered,
+    // so a stage that was shown but not answered comes up again
+    getDueScheduledEvent() {
+        const due = this.getScheduledEvents().find(scheduled => this.isScheduledEventDue(scheduled) && this.getEventById(scheduled.eventId));
+        return due ? this.getEventById(due.eventId) : null;
+    }
+
+    // The choices offered for an event: those whose requiresChoice was picked earlier in the run
+    getAvailableChoices(event) {
+        const scheduled = this.findDueScheduledEvent(event);
+        if (!scheduled) {
+            return event.choices.filter(choice => !choice.requiresChoice);
+        }
+        const state = this.gameState.getState();
+        const earlierChoices = state.eventHistory
+            .filter(entry => entry.chain && entry.chain.id === scheduled.chain && entry.chain.start === scheduled.chainStart)
+            .map(entry => entry.choice);
+        return event.choices.filter(choice => !choice.requiresChoice || earlierChoices.includes(choice.requiresChoice));
+    }
+
     getEventDefinitions() {
         return this.eventDefinitions;
     }
+
+    getEventById(id) {
+        return this.eventDefinitions[id] || null;
+    }
 }
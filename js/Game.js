@@ -1,13 +1,13 @@
 // Game.js - Main game class that coordinates all systems
 
-import { GameState } from './GameState.js';
-import { WorldSystem } from './WorldSystem.js';
-import { ResourceSystem } from './ResourceSystem.js';
-import { EventSystem } from './EventSystem.js';
-import { UpgradeSystem } from './UpgradeSystem.js';
+import { GameEngine } from './GameEngine.js';
 import { MachineSystem } from './MachineSystem.js';
 import { UISystem } from './UISystem.js';
-import { AchievementSystem } from './AchievementSystem.js';
+import { ReplayEngine } from './ReplayEngine.js';
+import { SaveSlotManager } from './SaveSlotManager.js';
+import { SaveMigrations } from './SaveMigrations.js';
+import { SaveCodec } from './SaveCodec.js';
+import { ContentLoader } from './ContentLoader.js';
 
 class LoadingManager {
     constructor() {
@@ -81,24 +81,23 @@ export class Game {
         this.loadingManager = new LoadingManager();
         this.loadingManager.updateProgress(10, 'Initializing game systems...', 'Setting up core components');
         
-        // Initialize systems
-        this.gameState = new GameState();
-        this.loadingManager.updateProgress(20, 'Loading game state...', 'Preparing world data');
-        
-        this.worldSystem = new WorldSystem(this.gameState);
-        this.loadingManager.updateProgress(30, 'Initializing world system...', 'Creating dimensional framework');
-        
-        this.achievementSystem = new AchievementSystem(this.gameState);
-        this.loadingManager.updateProgress(40, 'Setting up achievements...', 'Preparing progress tracking');
-        
-        this.resourceSystem = new ResourceSystem(this.gameState, this.achievementSystem);
-        this.loadingManager.updateProgress(50, 'Loading resource system...', 'Configuring generation mechanics');
-        
-        this.eventSystem = new EventSystem(this.gameState);
-        this.loadingManager.updateProgress(60, 'Preparing events...', 'Loading world interactions');
-        
-        this.upgradeSystem = new UpgradeSystem(this.gameState);
-        this.loadingManager.updateProgress(70, 'Initializing upgrades...', 'Preparing enhancement systems');
+        // Initialize the simulation core (game state and logic systems)
+        this.engine = new GameEngine({
+            notify: message => this.uiSystem && this.uiSystem.showNotification(message)
+        });
+        this.loadingManager.updateProgress(40, 'Loading game state...', 'Preparing world data');
+        
+        // Expose the logic systems directly for the UI and debug helpers
+        this.gameState = this.engine.gameState;
+        this.worldSystem = this.engine.worldSystem;
+        this.achievementSystem = this.engine.achievementSystem;
+        this.resourceSystem = this.engine.resourceSystem;
+        this.eventSystem = this.engine.eventSystem;
+        this.upgradeSystem = this.engine.upgradeSystem;
+        this.worldDesigner = this.engine.worldDesigner;
+        this.worldStats = this.engine.worldStats;
+        this.modifierSystem = this.engine.modifierSystem;
+        this.loadingManager.updateProgress(70, 'Initializing systems...', 'Preparing worlds, events and upgrades');
         
         this.uiSystem = new UISystem(this.gameState);
         this.loadingManager.updateProgress(80, 'Setting up interface...', 'Preparing user experience');
@@ -125,17 +124,20 @@ export class Game {
             this.loadingManager.updateProgress(90, 'Loading saved data...', 'Restoring your progress');
             this.loadGame(); // Try to load saved game first
             
-            // Initialize starting world if no current world is set
-            this.initializeStartingWorld();
+            // Mod packs were merged before the game was built (see ContentLoader.loadMods)
+            const content = ContentLoader.getReport();
+            if (content.packs.length > 1) {
+                this.uiSystem.showNotification(`🧩 Content packs: ${content.packs.slice(1).join(', ')}`);
+            }
+            if (content.problems.length > 0) {
+                this.uiSystem.showNotification(`⚠️ ${content.problems.length} content pack problem(s) - see the console`);
+            }
             
             // Initialize auto-save after loading game settings
             const state = this.gameState.getState();
             const autoSaveInterval = state.settings.autoSaveInterval || 30;
             this.setupAutoSave(autoSaveInterval);
             
-            // Initialize achievement tracking
-            this.achievementSystem.initializeAchievementTracking(this.gameState.getState());
-            
             this.loadingManager.updateProgress(95, 'Finalizing setup...', 'Connecting game systems');
             
             this.bindEvents();
@@ -145,28 +147,43 @@ export class Game {
             
             await new Promise(resolve => setTimeout(resolve, 200)); // Small delay for smooth UX
             
+            this.uiSystem.renderResourcePanel();
             this.uiSystem.setupResourceDescriptions();
             this.uiSystem.setupPageNavigation();
-            this.uiSystem.setEventChoiceCallback((event, choice) => this.selectEventChoice(event, choice));
+            this.uiSystem.setEventChoiceCallback((event, choice, option) => this.selectEventChoice(event, choice, option));
+            this.uiSystem.setWorldPreviewCallback(action => this.handleWorldPreviewAction(action));
             this.uiSystem.setMainPageReturnCallback(() => {
                 this.updateUI();
                 this.renderMachine();
             });
             this.uiSystem.setUnlockWorldsCallback(() => this.unlockWorldGenerator());
+            this.uiSystem.setPassiveRatesCallback(() =>
+                this.resourceSystem.getPassiveRates(this.gameState.getState().currentWorld));
+            this.uiSystem.setModifierBreakdownCallback(() => this.engine.getModifierBreakdowns());
             this.updateUI();
             this.renderMachine();
             
             // Hide loading screen
             await this.loadingManager.hide();
             
-            // Setup regular updates for playtime and achievements
+            // An event left unanswered before the last reload is still waiting
+            const pendingEvent = this.eventSystem.getPendingEvent();
+            if (pendingEvent) {
+                this.uiSystem.showEventModal(pendingEvent);
+            }
+            
+            // Setup regular updates for playtime, achievements and (in idle mode) passive production
+            this.lastTickAt = Date.now();
             setInterval(() => {
-                this.achievementSystem.updatePlaytime();
+                const now = Date.now();
+                this.engine.advanceTime(now - this.lastTickAt);
+                this.lastTickAt = now;
+                
+                this.engine.updatePlaytime();
                 this.checkAndNotifyAchievements();
                 
-                // Update UI (no more passive income generation)
                 this.updateUI();
-            }, 1000); // Check every second for playtime and achievements only
+            }, 1000);
             
         } catch (error) {
             console.error('Error during game initialization:', error);
@@ -196,6 +213,9 @@ export class Game {
     bindEvents() {
         const callbacks = {
             createWorld: () => this.createWorld(),
+            selectWorldTier: (tier) => this.selectWorldTier(tier),
+            travelToWorld: (worldId) => this.travelToWorld(worldId),
+            createCustomWorld: (properties, name) => this.createCustomWorld(properties, name),
             generateResource: (type) => this.generateResource(type),
             upgradeResource: (upgradeType, resourceType) => this.upgradeResource(upgradeType, resourceType),
             upgradeCrossResource: (upgradeType, resourceType) => this.upgradeCrossResource(upgradeType, resourceType),
@@ -206,63 +226,50 @@ export class Game {
             unlockWorldGenerator: () => this.unlockWorldGenerator(),
             updateSetting: (setting, value) => this.updateSetting(setting, value),
             exportSave: () => this.exportSave(),
-            importSave: (fileInput) => this.importSave(fileInput)
+            importSave: (fileInput) => this.importSave(fileInput),
+            exportSaveString: () => this.exportSaveString(),
+            importSaveString: (text) => this.importSaveString(text),
+            verifySave: () => this.verifySave(),
+            saveSlotAction: (action, slotId, name) => this.handleSaveSlotAction(action, slotId, name),
+            checkSave: () => this.checkSave(),
+            restoreBackup: (timestamp) => this.restoreBackup(timestamp),
+            repairSave: () => this.repairSave()
         };
         
         this.uiSystem.bindEventListeners(callbacks);
     }
 
     createWorld() {
-        const state = this.gameState.getState();
-        
-        // Get the next world that can be unlocked
-        const nextWorld = this.worldSystem.getNextUnlockableWorld();
-        
-        if (!nextWorld) {
-            this.uiSystem.showNotification('All worlds have been unlocked!');
+        // While reroll charges remain the next world is previewed first so it can be rerolled
+        const preview = this.engine.getWorldPreview();
+        if (preview) {
+            this.uiSystem.showWorldPreviewModal(preview);
             return;
         }
-        
-        if (!nextWorld.canUnlock) {
-            // Show what resources are needed
-            const requirements = [];
-            for (const [resource, amount] of Object.entries(nextWorld.requirements)) {
-                const current = state.resources[resource] || 0;
-                if (current < amount) {
-                    requirements.push(`${resource}: ${current}/${amount}`);
-                }
-            }
-            this.uiSystem.showNotification(`Cannot unlock ${nextWorld.world.name}. Need: ${requirements.join(', ')}`);
+        this.commitWorldCreation();
+    }
+
+    handleWorldPreviewAction(action) {
+        if (action === 'create') {
+            this.commitWorldCreation();
             return;
         }
-        
-        console.log('[Game] Unlocking world:', nextWorld.world.name);
-        
-        // Unlock and select the world
-        const success = this.worldSystem.selectWorld(nextWorld.world.id);
-        if (!success) {
-            this.uiSystem.showNotification('Failed to unlock world!');
-            return;
+        if (action === 'reroll' && this.engine.rerollNextWorld().success) {
+            const preview = this.engine.getWorldPreview();
+            if (preview) {
+                this.uiSystem.showWorldPreviewModal(preview);
+            }
+            this.updateUI();
         }
-        
-        // Add world to history
-        if (!state.worldHistory) {
-            state.worldHistory = [];
+    }
+
+    commitWorldCreation() {
+        const result = this.engine.createWorld();
+        if (!result.success) {
+            return;
         }
-        state.worldHistory.push({
-            ...nextWorld.world,
-            createdAt: Date.now(),
-            unlockedAt: state.worldsCreated
-        });
         
-        // Generate resources from the world
-        const resourceGains = this.resourceSystem.generateResources(state.currentWorld);
-        
-        // Check for new world unlocks
-        const worldUnlock = this.worldSystem.checkWorldUnlocks();
-        if (worldUnlock) {
-            this.uiSystem.showNotification(worldUnlock.message);
-        }
+        console.log('[Game] Unlocked world:', result.world.name);
         
         // Add machine part (only when unlocking worlds)
         this.machineSystem.addMachinePart('world');
@@ -270,17 +277,12 @@ export class Game {
         // Update machine complexity
         this.machineSystem.updateMachineComplexity();
         
-        // Check for random events
-        const randomEvent = this.eventSystem.checkForRandomEvent();
-        if (randomEvent) {
-            this.uiSystem.showEventModal(randomEvent);
+        // Show any random event triggered by the new world
+        if (result.event) {
+            this.uiSystem.showEventModal(result.event);
         }
         
-        // Update active events (reduce duration)
-        this.eventSystem.updateActiveEvents();
-        
-        // Check achievements after world creation
-        this.checkAndNotifyAchievements();
+        this.handleNewAchievements(result.newAchievements);
         
         this.updateUI();
         this.renderMachine();
@@ -291,113 +293,94 @@ export class Game {
         // Visual feedback
         this.uiSystem.showResourceGain();
         this.machineSystem.animateResource('world');
-        
-        // Show the newly unlocked world
-        this.uiSystem.showNotification(`🌍 ${nextWorld.world.name} unlocked and selected!`);
     }
 
     generateResource(type) {
-        console.log(`[Game] generateResource called for type: ${type}`);
-        const resourceGain = this.resourceSystem.generateResource(type);
-        console.log(`[Game] Resource gain: ${resourceGain}`);
-        
-        // Update active events (reduce duration)
-        this.eventSystem.updateActiveEvents();
+        const result = this.engine.generateResource(type);
+        console.log(`[Game] Resource gain for ${type}: ${result.gain}`);
         
-        // Track click and check achievements
-        this.achievementSystem.incrementClick();
-        this.checkAndNotifyAchievements();
+        // Show a chain event that came due
+        if (result.event) {
+            this.uiSystem.showEventModal(result.event);
+        }
         
-        console.log(`[Game] About to call updateUI`);
+        this.handleNewAchievements(result.newAchievements);
         this.updateUI();
-        console.log(`[Game] updateUI completed`);
         
         // Visual feedback
         this.uiSystem.animateResource(type);
         this.machineSystem.animateResource(type);
     }
 
-    // Shared per-action housekeeping (could be called after any resource action in future phase work)
-    postActionUpdate() {
-        const state = this.gameState.getState();
-        const world = state.currentWorld;
-        if (world && typeof world.weatherDuration === 'number') {
-            world.weatherDuration -= 1;
-            if (world.weatherDuration <= 0) {
-                this.worldSystem.rollNewWeather(world);
-                this.uiSystem.showNotification(`Weather changed to ${world.weather}`);
-            }
-        }
-        this.eventSystem.updateActiveEvents();
-        this.updateUI();
-    }
-
     checkAndNotifyAchievements() {
-        const newAchievements = this.achievementSystem.checkAchievements();
-        
-        console.log(`Checked achievements, found ${newAchievements.length} new achievements`);
-        
-        // Notify about new achievements
-        newAchievements.forEach(achievement => {
-            this.uiSystem.showNotification(`Achievement Unlocked: ${achievement.name}`);
-            console.log(`Achievement unlocked: ${achievement.name} - ${achievement.description}`);
-        });
+        this.handleNewAchievements(this.engine.checkAchievements());
+    }
 
-        if (newAchievements.length > 0) {
-            // Update UI to show new achievements
+    // UI side of achievement unlocks; the engine already notified, applied bonuses and saved
+    handleNewAchievements(newAchievements) {
+        if (newAchievements && newAchievements.length > 0) {
             this.uiSystem.updateAchievementsUI();
-            
-            // Apply achievement bonuses
-            this.achievementSystem.applyAchievementBonuses(this.gameState.getState());
-            
-            // Save game to persist achievement progress
-            this.gameState.saveGame();
         }
     }
 
     generateEnergy() {
-        const state = this.gameState.getState();
-        const heatCost = 10;
-        const fuelCost = 15;
-        
-        if (state.resources.heat >= heatCost && state.resources.fuel >= fuelCost) {
-            state.resources.heat -= heatCost;
-            state.resources.fuel -= fuelCost;
-            
-            const energyGained = 40;
-            state.resources.energy += energyGained;
-            state.resources.energy = Math.min(200, state.resources.energy);
-            
-            // Track click and check achievements
-            this.achievementSystem.incrementClick();
-            this.checkAndNotifyAchievements();
+        const result = this.engine.generateEnergy();
+        if (result.success) {
+            // Show a chain event that came due
+            if (result.event) {
+                this.uiSystem.showEventModal(result.event);
+            }
+            this.handleNewAchievements(result.newAchievements);
             
             this.uiSystem.animateResource('energy');
             this.machineSystem.animateResource('energy');
             
             this.updateUI();
-            // this.uiSystem.updateWeatherWidget(); // temporarily disabled
+        }
+    }
+
+    createCustomWorld(properties, name) {
+        const result = this.engine.createCustomWorld(properties, name);
+        if (!result.success) {
+            return;
+        }
+        
+        this.handleNewAchievements(result.newAchievements);
+        this.updateUI();
+        this.saveGame();
+    }
+
+    travelToWorld(worldId) {
+        const result = this.engine.travelToWorld(worldId);
+        if (!result.success) {
+            return;
+        }
+        
+        this.handleNewAchievements(result.newAchievements);
+        this.updateUI();
+        this.renderMachine();
+        this.saveGame();
+    }
+
+    selectWorldTier(tier) {
+        if (this.engine.selectWorldTier(tier)) {
+            this.updateUI();
+            this.saveGame();
         }
     }
 
     upgradeResource(upgradeType, resourceType) {
-        const success = this.upgradeSystem.upgradeResource(upgradeType, resourceType);
-        if (success) {
-            this.uiSystem.showNotification(`${upgradeType} upgraded!`);
-            this.checkAndNotifyAchievements();
+        const result = this.engine.upgradeResource(upgradeType, resourceType);
+        if (result.success) {
+            this.handleNewAchievements(result.newAchievements);
             this.updateUI();
         }
     }
 
     upgradeCrossResource(upgradeType, resourceType) {
-        const success = this.upgradeSystem.upgradeCrossResource(upgradeType, resourceType);
-        if (success) {
-            this.uiSystem.showNotification(`${upgradeType} upgraded!`);
-            
-            // Check if this unlocks any new upgrades
-            this.upgradeSystem.checkUpgradeUnlocks();
-            
-            this.checkAndNotifyAchievements();
+        const result = this.engine.upgradeCrossResource(upgradeType, resourceType);
+        if (result.success) {
+            this.handleNewAchievements(result.newAchievements);
             this.updateUI();
         }
     }
@@ -415,12 +398,13 @@ export class Game {
     }
 
     saveGame() {
-        this.gameState.saveGame();
-        this.uiSystem.showNotification('Game saved!');
+        if (this.gameState.saveGame()) {
+            this.uiSystem.showNotification('Game saved!');
+        }
     }
 
     loadGame() {
-        const loaded = this.gameState.loadGame();
+        const loaded = this.engine.load();
         if (loaded) {
             // Systems already have correct GameState instance references from constructor
             // Don't overwrite gameState properties as systems need the GameState instance to call getState()
@@ -429,14 +413,17 @@ export class Game {
             this.updateUI();
             this.renderMachine();
             this.uiSystem.showNotification('Game loaded!');
+            
+            if (this.engine.lastOfflineReport) {
+                this.uiSystem.showOfflineProgressModal(this.engine.lastOfflineReport);
+            }
         }
     }
 
     resetGame() {
-        const reset = this.gameState.resetGame();
+        const reset = this.engine.reset();
         if (reset) {
             // Update all systems with reset state
-            const state = this.gameState.getState();
             this.worldSystem.gameState = this.gameState;
             this.resourceSystem.gameState = this.gameState;
             this.eventSystem.gameState = this.gameState;
@@ -455,40 +442,23 @@ export class Game {
     }
 
     // Event system integration
-    selectEventChoice(event, choice) {
-        this.eventSystem.selectEventChoice(event, choice);
+    selectEventChoice(event, choice, option = null) {
+        this.engine.selectEventChoice(event, choice, option);
         this.updateUI();
     }
 
     // New unlock system
     unlockWorldGenerator() {
-        console.log('[Game] unlockWorldGenerator called');
-        const state = this.gameState.getState();
-        const heatRequired = 100;
-        const fuelRequired = 50;
-        
-        console.log('[Game] Current resources:', {
-            heat: state.resources.heat,
-            fuel: state.resources.fuel,
-            heatRequired,
-            fuelRequired,
-            hasEnoughHeat: state.resources.heat >= heatRequired,
-            hasEnoughFuel: state.resources.fuel >= fuelRequired
-        });
-        
-        if (state.resources.heat >= heatRequired && state.resources.fuel >= fuelRequired) {
-            console.log('[Game] Unlocking world generator...');
-            state.resources.heat -= heatRequired;
-            state.resources.fuel -= fuelRequired;
-            state.unlocks.worldGenerator = true;
-            this.uiSystem.switchToPage('worlds');
-            this.uiSystem.showNotification('World Generator Unlocked!', 'You now have access to the dedicated worlds page!');
-            this.updateUI();
-            this.checkAndNotifyAchievements();
-            console.log('[Game] World generator unlocked successfully');
-        } else {
+        const result = this.engine.unlockWorldGenerator();
+        if (!result.success) {
             console.log('[Game] Not enough resources to unlock world generator');
+            return;
         }
+
+        this.uiSystem.switchToPage('worlds');
+        this.uiSystem.showNotification('World Generator Unlocked!', 'You now have access to the dedicated worlds page!');
+        this.handleNewAchievements(result.newAchievements);
+        this.updateUI();
     }
 
     // Settings system
@@ -539,16 +509,99 @@ export class Game {
         }
     }
 
+    // Save slots
+    handleSaveSlotAction(action, slotId, name) {
+        const slotManager = this.engine.slotManager;
+        const activeSlotId = this.gameState.slotId;
+        
+        switch (action) {
+            case 'create': {
+                const slot = slotManager.createSlot(name);
+                this.uiSystem.showSaveSlotStatus(slot
+                    ? `Created ${slot.name}`
+                    : `All ${SaveSlotManager.MAX_SLOTS} slots are in use`);
+                break;
+            }
+            case 'load':
+                if (slotId === activeSlotId) return;
+                // Keep the slot being left up to date before switching away
+                this.gameState.saveGame();
+                this.switchToSlot(slotId);
+                break;
+            case 'rename':
+                slotManager.renameSlot(slotId, name);
+                break;
+            case 'duplicate': {
+                if (slotId === activeSlotId) {
+                    this.gameState.saveGame();
+                }
+                const copy = slotManager.duplicateSlot(slotId);
+                this.uiSystem.showSaveSlotStatus(copy
+                    ? `Copied to ${copy.name}`
+                    : `All ${SaveSlotManager.MAX_SLOTS} slots are in use`);
+                break;
+            }
+            case 'delete': {
+                const slot = slotManager.getSlot(slotId);
+                if (!slotManager.deleteSlot(slotId)) {
+                    this.uiSystem.showSaveSlotStatus('The last save slot cannot be deleted');
+                    break;
+                }
+                this.uiSystem.showSaveSlotStatus(`Deleted ${slot.name}`);
+                if (slotId === activeSlotId) {
+                    this.switchToSlot(slotManager.getActiveSlotId());
+                }
+                break;
+            }
+            case 'export':
+                this.exportSave(slotId);
+                break;
+        }
+        
+        this.uiSystem.updateSaveSlotsUI();
+    }
+
+    switchToSlot(slotId) {
+        if (!this.engine.switchSlot(slotId)) return;
+        
+        if (this.machineSystem) {
+            this.machineSystem.clearMachine();
+        }
+        this.updateAllSystems();
+        this.updateUI();
+        this.renderMachine();
+        
+        const slot = this.engine.slotManager.getSlot(slotId);
+        this.uiSystem.showSaveSlotStatus(`Playing ${slot.name}`);
+        if (this.engine.lastOfflineReport) {
+            this.uiSystem.showOfflineProgressModal(this.engine.lastOfflineReport);
+        }
+    }
+
     // Data management
-    exportSave() {
-        const state = this.gameState.getState();
-        const saveData = JSON.stringify(state, null, 2);
+    exportSave(slotId = this.gameState.slotId) {
+        const slotManager = this.engine.slotManager;
+        const slot = slotManager.getSlot(slotId);
+        
+        // The slot being played exports its live state, other slots export what was last saved
+        let saveData;
+        if (slotId === this.gameState.slotId) {
+            saveData = JSON.stringify(this.gameState.getState(), null, 2);
+        } else {
+            saveData = slotManager.readSave(slotId);
+            if (!saveData) {
+                this.uiSystem.showSaveSlotStatus(`${slot ? slot.name : 'This slot'} is empty`);
+                return;
+            }
+        }
+        
+        const slotName = slot ? slot.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase() : 'save';
         const blob = new Blob([saveData], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
         
         const a = document.createElement('a');
         a.href = url;
-        a.download = `machine-of-worlds-save-${new Date().toISOString().split('T')[0]}.json`;
+        a.download = `machine-of-worlds-${slotName}-${new Date().toISOString().split('T')[0]}.json`;
         document.body.appendChild(a);
         a.click();
         document.body.removeChild(a);
@@ -557,93 +610,149 @@ export class Game {
         this.uiSystem.showNotification('Save data exported!');
     }
 
+    // Copies the active slot's live state as a save string and shows it in the paste box
+    exportSaveString() {
+        const saveString = SaveCodec.encode(this.gameState.getState());
+        this.uiSystem.showSaveString(saveString);
+        
+        if (navigator.clipboard && navigator.clipboard.writeText) {
+            navigator.clipboard.writeText(saveString)
+                .then(() => this.uiSystem.showNotification('Save string copied to clipboard!'))
+                .catch(() => this.uiSystem.showNotification('Save string ready - copy it from the box below'));
+        } else {
+            this.uiSystem.showNotification('Save string ready - copy it from the box below');
+        }
+        return saveString;
+    }
+
+    importSaveString(text) {
+        if (this.importSaveText(text, this.gameState.slotId)) {
+            this.uiSystem.showSaveString('');
+        }
+    }
+
     importSave(fileInput) {
         const file = fileInput.files[0];
         if (!file) return;
+        
+        // Slot rows set a target slot on the shared file input; the plain Import button uses the active slot
+        const targetSlotId = fileInput.dataset.slotId || this.gameState.slotId;
+        delete fileInput.dataset.slotId;
 
         const reader = new FileReader();
         reader.onload = (e) => {
+            this.importSaveText(e.target.result, targetSlotId);
+            // Clear the file input for future imports
+            fileInput.value = '';
+        };
+        reader.readAsText(file);
+    }
+
+    // Imports a JSON save file or a save string into a slot. Returns true on success
+    importSaveText(text, targetSlotId) {
+        try {
+            const importedData = SaveCodec.isSaveString(text) ? SaveCodec.decode(text) : JSON.parse(text);
+            
+            // Use the comprehensive validation from GameState
+            if (!this.gameState.validateSaveData(importedData)) {
+                throw new Error('Save file validation failed');
+            }
+            
+            // Importing into a slot that isn't being played just replaces its stored save
+            if (targetSlotId !== this.gameState.slotId) {
+                const migrated = SaveMigrations.migrate(importedData).save;
+                this.engine.slotManager.writeSave(targetSlotId, JSON.stringify(migrated));
+                this.uiSystem.updateSaveSlotsUI();
+                this.uiSystem.showSaveSlotStatus(`Imported into ${this.engine.slotManager.getSlot(targetSlotId).name}`);
+                return true;
+            }
+            
+            // Store current state as backup in case import fails
+            const backupState = JSON.parse(JSON.stringify(this.gameState.state));
+            
             try {
-                const importedData = JSON.parse(e.target.result);
+                // Same migration and merge pipeline as loadGame
+                const migration = this.gameState.applySaveData(importedData);
+                
+                // Validate and fix the imported state
+                this.gameState.validateAndFixState();
+                this.engine.initializeStartingWorld();
                 
-                // Use the comprehensive validation from GameState
-                if (!this.gameState.validateSaveData(importedData)) {
-                    throw new Error('Save file validation failed');
+                // Saves from before action logging start a fresh log here; logged saves
+                // are replayed and any disagreement is reported (but the import still goes ahead)
+                if (migration.save.actionLog) {
+                    const integrity = ReplayEngine.verify(migration.save);
+                    this.uiSystem.showSaveIntegrityResult(integrity);
+                    if (!integrity.valid) {
+                        console.warn('[Game] Imported save does not match its action log:', integrity);
+                    }
                 }
+                this.engine.startActionLog();
+                
+                // Update all systems and UI
+                this.updateAllSystems();
+                this.updateUI();
+                this.renderMachine();
                 
-                // Store current state as backup in case import fails
-                const backupState = JSON.parse(JSON.stringify(this.gameState.state));
+                // Save the imported data to localStorage
+                this.gameState.saveGame();
                 
-                try {
-                    // Apply imported data using the same logic as loadGame
-                    this.gameState.state = {
-                        ...this.gameState.state,
-                        ...importedData,
-                        // Ensure upgrades structure is properly merged
-                        upgrades: {
-                            ...this.gameState.state.upgrades,
-                            ...importedData.upgrades
-                        },
-                        // Ensure resources structure is properly merged
-                        resources: {
-                            ...this.gameState.state.resources,
-                            ...importedData.resources
-                        },
-                        // Ensure currentWorld is preserved
-                        currentWorld: importedData.currentWorld || this.gameState.state.currentWorld,
-                        // Ensure new properties exist even in old saves
-                        permanentBonuses: {
-                            ...this.gameState.state.permanentBonuses,
-                            ...importedData.permanentBonuses
-                        },
-                        worldTiers: {
-                            ...this.gameState.state.worldTiers,
-                            ...importedData.worldTiers
-                        },
-                        unlocks: {
-                            ...this.gameState.state.unlocks,
-                            ...importedData.unlocks
-                        },
-                        achievements: {
-                            ...this.gameState.state.achievements,
-                            ...importedData.achievements
-                        },
-                        settings: {
-                            ...this.gameState.state.settings,
-                            ...importedData.settings
-                        },
-                        // Ensure worldHistory exists (for compatibility with old saves)
-                        worldHistory: importedData.worldHistory || []
-                    };
-                    
-                    // Validate and fix the imported state
-                    this.gameState.validateAndFixState();
-                    
-                    // Update all systems and UI
-                    this.updateAllSystems();
-                    this.updateUI();
-                    this.renderMachine();
-                    
-                    // Save the imported data to localStorage
-                    this.gameState.saveGame();
-                    
-                    this.uiSystem.showNotification('Save data imported successfully!');
-                    
-                    // Clear the file input for future imports
-                    fileInput.value = '';
-                    
-                } catch (applyError) {
-                    // Restore backup state if import application fails
-                    this.gameState.state = backupState;
-                    throw applyError;
-                }
+                this.uiSystem.showNotification('Save data imported successfully!');
+                this.uiSystem.updateSaveSlotsUI();
+                return true;
                 
-            } catch (error) {
-                console.error('Import error:', error);
-                this.uiSystem.showNotification('Error importing save data: ' + error.message);
+            } catch (applyError) {
+                // Restore backup state if import application fails
+                this.gameState.state = backupState;
+                throw applyError;
             }
-        };
-        reader.readAsText(file);
+            
+        } catch (error) {
+            console.error('Import error:', error);
+            this.uiSystem.showNotification('Error importing save data: ' + error.message);
+            return false;
+        }
+    }
+
+    // Replays the current run's action log and compares the result with the live state
+    verifySave() {
+        const result = ReplayEngine.verify(this.gameState.getState());
+        this.uiSystem.showSaveIntegrityResult(result);
+        if (!result.valid) {
+            console.warn('[Game] Save integrity check failed:', result);
+        }
+        return result;
+    }
+
+    restoreBackup(timestamp) {
+        if (!this.engine.restoreBackup(timestamp)) {
+            this.uiSystem.showSaveSlotStatus('That backup could not be restored');
+            return;
+        }
+        
+        if (this.machineSystem) {
+            this.machineSystem.clearMachine();
+        }
+        this.updateAllSystems();
+        this.updateUI();
+        this.renderMachine();
+        this.uiSystem.updateOptionsUI();
+        this.uiSystem.showSaveSlotStatus(`Restored backup from ${new Date(timestamp).toLocaleString()}`);
+    }
+
+    checkSave() {
+        const report = this.engine.checkSave(false);
+        this.uiSystem.showSaveCheckResult(report);
+        return report;
+    }
+
+    repairSave() {
+        const report = this.engine.checkSave(true);
+        this.uiSystem.showSaveCheckResult(report, true);
+        this.updateAllSystems();
+        this.updateUI();
+        this.renderMachine();
+        return report;
     }
 
     updateAllSystems() {
@@ -687,57 +796,18 @@ export class Game {
     getUISystem() {
         return this.uiSystem;
     }
-
-    initializeStartingWorld() {
-        const state = this.gameState.getState();
-        
-        // If no current world is set, initialize with Desert Planet
-        if (!state.currentWorld) {
-            const desertPlanet = this.worldSystem.getWorldById(0);
-            if (desertPlanet) {
-                state.currentWorld = {
-                    ...desertPlanet,
-                    id: 0,
-                    type: desertPlanet.type,
-                    name: desertPlanet.name,
-                    description: desertPlanet.description,
-                    // Flatten properties to top level for ResourceSystem compatibility
-                    gravity: desertPlanet.properties.gravity,
-                    timeSpeed: desertPlanet.properties.timeSpeed,
-                    temperature: desertPlanet.properties.temperature,
-                    atmosphere: desertPlanet.properties.atmosphere,
-                    // Keep properties object for future use
-                    properties: desertPlanet.properties,
-                    // Add weather system for compatibility
-                    weather: 'Calm',
-                    weatherDuration: 10
-                };
-            }
-        }
-        
-        // Ensure unlockedWorlds array exists and includes Desert Planet
-        if (!state.unlockedWorlds) {
-            state.unlockedWorlds = [0];
-        } else if (!state.unlockedWorlds.includes(0)) {
-            state.unlockedWorlds.push(0);
-        }
-        
-        // Ensure worldProgress exists
-        if (typeof state.worldProgress === 'undefined') {
-            state.worldProgress = 0;
-        }
-    }
 }
 
 // Initialize the game when the page loads
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
     // Set dark mode as default
     document.documentElement.setAttribute('data-theme', 'dark');
+    await ContentLoader.loadMods();
     window.game = new Game();
     
     // Make selectEventChoice available globally for event modal buttons
-    window.selectEventChoice = (event, choice) => {
-        window.game.selectEventChoice(event, choice);
+    window.selectEventChoice = (event, choice, option = null) => {
+        window.game.selectEventChoice(event, choice, option);
     };
     
     // Debug functions for troubleshooting
@@ -753,6 +823,15 @@ document.addEventListener('DOMContentLoaded', () => {
         showUpgrades: () => {
             const state = window.game.gameState.getState();
             console.log('Upgrades:', state ? state.upgrades : 'State is null');
+        },
+        showSeed: () => {
+            const rng = window.game.engine.rng;
+            console.log('RNG seed:', rng.getSeed(), 'cursor:', rng.getCursor());
+        },
+        // Step through the current run's log: const r = debugGame.replay(); r.step(); r.getState()
+        replay: () => {
+            const log = window.game.gameState.getState().actionLog;
+            return new ReplayEngine(log.baseSnapshot, log.actions);
         }
     };
 });
@@ -0,0 +1,715 @@
+// GameEngine.js - Headless simulation core that wires the game logic systems together without a DOM
+// Game.js drives it from the browser; tools/playthrough.mjs drives it from Node for balance testing
+
+import { GameState } from './GameState.js';
+import { WorldSystem, TIER_NAMES, TRAVEL_ENERGY_COST } from './WorldSystem.js';
+import { ResourceSystem } from './ResourceSystem.js';
+import { EventSystem } from './EventSystem.js';
+import { UpgradeSystem, UPGRADE_LABELS } from './UpgradeSystem.js';
+import { AchievementSystem } from './AchievementSystem.js';
+import { RandomService } from './RandomService.js';
+import { WeatherSystem } from './WeatherSystem.js';
+import { WorldDesigner } from './WorldDesigner.js';
+import { WorldStats } from './WorldStats.js';
+import { ModifierSystem } from './ModifierSystem.js';
+import { ActionLog, ACTION_TYPES } from './ActionLog.js';
+
+// Fixed timestep of the idle simulation, and how many missed ticks one update may catch up on
+const TICK_MS = 1000;
+const MAX_CATCH_UP_TICKS = 60;
+// Offline progress ignores short absences and stops counting after 8 hours
+const MIN_OFFLINE_SECONDS = 60;
+const MAX_OFFLINE_SECONDS = 8 * 60 * 60;
+// Create Energy turns this much heat and fuel into this much energy, before modifiers
+const ENERGY_ACTION_COST = { heat: 10, fuel: 15 };
+const ENERGY_PER_ACTION = 40;
+
+export class GameEngine {
+    // options.storage - localStorage-compatible object (defaults to localStorage, or memory under Node)
+    // options.notify  - function(message) receiving player-facing notifications
+    // options.confirm - function(message) answering confirmation prompts (e.g. reset)
+    // options.seed    - fixed RNG seed for reproducible runs
+    // options.recordActions - set to false to skip the action log (replays, throwaway simulations)
+    // options.slotId  - save slot to use (defaults to the active slot)
+    // options.content - merged content packs (defaults to ContentLoader.getContent())
+    constructor(options = {}) {
+        this.notify = options.notify || (() => {});
+
+        this.gameState = new GameState({
+            storage: options.storage,
+            confirm: options.confirm,
+            notify: message => this.notify(message),
+            slotId: options.slotId,
+            content: options.content
+        });
+        this.slotManager = this.gameState.slotManager;
+        this.rng = new RandomService(this.gameState);
+        if (options.seed !== undefined) {
+            this.rng.setSeed(options.seed);
+        }
+
+        this.weatherSystem = new WeatherSystem(this.gameState, this.rng);
+        this.worldSystem = new WorldSystem(this.gameState, this.weatherSystem);
+        this.achievementSystem = new AchievementSystem(this.gameState);
+        this.resourceSystem = new ResourceSystem(this.gameState, this.achievementSystem, this.rng);
+        this.eventSystem = new EventSystem(this.gameState, this.rng);
+        this.upgradeSystem = new UpgradeSystem(this.gameState);
+        this.worldDesigner = new WorldDesigner(this.gameState, this.resourceSystem);
+        this.worldStats = new WorldStats(this.gameState);
+        this.worldSystem.setWorldStats(this.worldStats);
+        this.resourceSystem.setWorldStats(this.worldStats);
+
+        // Every generation and cost calculation reads the modifier stack. Weather comes first so
+        // Chaotic weather rolls before Quantum worlds do
+        this.modifierSystem = new ModifierSystem(this.gameState);
+        [this.weatherSystem, this.resourceSystem, this.upgradeSystem, this.achievementSystem].forEach(source => {
+            this.modifierSystem.addSource(source);
+        });
+        this.resourceSystem.setModifierSystem(this.modifierSystem);
+        this.upgradeSystem.setModifierSystem(this.modifierSystem);
+        this.eventSystem.setModifierSystem(this.modifierSystem);
+
+        // Resource changes check for world unlocks through the world system
+        this.gameState.setWorldSystem(this.worldSystem);
+        this.eventSystem.setWorldSystem(this.worldSystem);
+
+        this.actionLog = new ActionLog(this.gameState);
+        this.actionLog.enabled = options.recordActions !== false;
+
+        // Real time not yet turned into ticks (runtime only, not saved)
+        this.tickAccumulator = 0;
+        // "While you were away" summary from the last load, if anything was earned
+        this.lastOfflineReport = null;
+
+        this.initializeStartingWorld();
+        this.achievementSystem.initializeAchievementTracking(this.gameState.getState());
+        this.startActionLog();
+    }
+
+    // Every player action is recorded before it runs, so the log's snapshot plus its actions
+    // always reproduce the current state (see ReplayEngine)
+    startActionLog() {
+        if (this.actionLog.enabled) {
+            this.actionLog.ensureStarted();
+        }
+    }
+
+    getState() {
+        return this.gameState.getState();
+    }
+
+    initializeStartingWorld() {
+        const state = this.gameState.getState();
+
+        // A rift world without its open rift (e.g. after a save repair) can't be left, so start over
+        if (state.currentWorld && state.currentWorld.rift && !state.rift) {
+            state.currentWorld = null;
+        }
+
+        // If no current world is set, initialize with Desert Planet
+        if (!state.currentWorld) {
+            const desertPlanet = this.worldSystem.getWorldById(0);
+            if (desertPlanet) {
+                state.currentWorld = {
+                    ...desertPlanet,
+                    id: 0,
+                    type: desertPlanet.type,
+                    name: desertPlanet.name,
+                    description: desertPlanet.description,
+                    // Flatten properties to top level for ResourceSystem compatibility
+                    gravity: desertPlanet.properties.gravity,
+                    timeSpeed: desertPlanet.properties.timeSpeed,
+                    temperature: desertPlanet.properties.temperature,
+                    atmosphere: desertPlanet.properties.atmosphere,
+                    // Keep properties object for future use
+                    properties: desertPlanet.properties,
+                    weather: 'Calm',
+                    weatherDuration: 10
+                };
+                this.worldSystem.rollNewWeather(state.currentWorld);
+            }
+        }
+
+        // Ensure unlockedWorlds array exists and includes Desert Planet
+        if (!state.unlockedWorlds) {
+            state.unlockedWorlds = [0];
+        } else if (!state.unlockedWorlds.includes(0)) {
+            state.unlockedWorlds.push(0);
+        }
+
+        // Ensure worldProgress exists
+        if (typeof state.worldProgress === 'undefined') {
+            state.worldProgress = 0;
+        }
+    }
+
+    // Unlocks and selects the next world. Returns { success, world, event } where event is a
+    // random event or chain stage waiting for the player's choice (pass it back through selectEventChoice)
+    createWorld() {
+        this.actionLog.record(ACTION_TYPES.CREATE_WORLD);
+        const state = this.gameState.getState();
+
+        if (this.worldSystem.isRiftOpen()) {
+            this.notify(`The rift is still open (${state.rift.actionsLeft} actions left)`);
+            return { success: false, reason: 'riftOpen' };
+        }
+
+        // Get the next world that can be unlocked
+        const nextWorld = this.worldSystem.getNextUnlockableWorld();
+
+        if (!nextWorld) {
+            this.notify('All worlds have been unlocked!');
+            return { success: false, reason: 'allUnlocked' };
+        }
+
+        if (!nextWorld.canUnlock) {
+            // Show what resources are needed
+            const requirements = [];
+            for (const [resource, amount] of Object.entries(nextWorld.requirements)) {
+                const current = state.resources[resource] || 0;
+                if (current < amount) {
+                    requirements.push(`${resource}: ${current}/${amount}`);
+                }
+            }
+            this.notify(`Cannot unlock ${nextWorld.world.name}. Need: ${requirements.join(', ')}`);
+            return { success: false, reason: 'requirements', world: nextWorld.world };
+        }
+
+        // Unlock and select the world
+        const success = this.worldSystem.selectWorld(nextWorld.world.id);
+        if (!success) {
+            this.notify('Failed to unlock world!');
+            return { success: false, reason: 'selectFailed', world: nextWorld.world };
+        }
+
+        // Add world to history
+        if (!state.worldHistory) {
+            state.worldHistory = [];
+        }
+        state.worldHistory.push({
+            ...nextWorld.world,
+            createdAt: Date.now(),
+            unlockedAt: state.worldsCreated
+        });
+
+        this.achievementSystem.trackTierWorldCreation(nextWorld.world.tier || 1);
+
+        // Generate resources from the world
+        this.resourceSystem.generateResources(state.currentWorld);
+
+        // Check for new world unlocks
+        const worldUnlock = this.worldSystem.checkWorldUnlocks();
+        if (worldUnlock) {
+            this.notify(worldUnlock.message);
+        }
+        this.checkTierUnlocks();
+
+        // Check for random events
+        const randomEvent = this.eventSystem.checkForRandomEvent();
+
+        this.tickActionTimers();
+
+        // A chain stage that is due waits for the next action if a random event came up
+        const event = this.eventSystem.offerEvent(randomEvent || this.eventSystem.getDueScheduledEvent());
+
+        const newAchievements = this.checkAchievements();
+
+        this.notify(`🌍 ${nextWorld.world.name} unlocked and selected!`);
+
+        return { success: true, world: nextWorld.world, event, newAchievements };
+    }
+
+    // Builds a player-designed world (World Architect reward): pays its cost, collects its yields
+    // once and records it in worldHistory
+    createCustomWorld(properties, name) {
+        const state = this.gameState.getState();
+        if (!this.worldDesigner.isUnlocked()) {
+            return { success: false, reason: 'locked', newAchievements: [] };
+        }
+
+        const preview = this.worldDesigner.getPreview(properties, name);
+        if (!preview.canAfford) {
+            const missing = Object.entries(preview.cost)
+                .filter(([resource, amount]) => (state.resources[resource] || 0) < amount)
+                .map(([resource, amount]) => `${resource}: ${Math.floor(state.resources[resource] || 0)}/${amount}`);
+            this.notify(`Cannot build ${preview.world.name}. Need: ${missing.join(', ')}`);
+            return { success: false, reason: 'requirements', newAchievements: [] };
+        }
+
+        this.actionLog.record(ACTION_TYPES.CREATE_CUSTOM_WORLD, { properties: preview.world.properties, name: preview.world.name });
+        for (const [resource, amount] of Object.entries(preview.cost)) {
+            state.resources[resource] -= amount;
+        }
+        const payout = this.resourceSystem.generateResources(preview.world);
+
+        if (!state.worldHistory) {
+            state.worldHistory = [];
+        }
+        // A custom world is never active, so its one-off payout is its only stat
+        state.worldHistory.push({
+            ...preview.world,
+            payout,
+            createdAt: Date.now(),
+            unlockedAt: state.worldsCreated
+        });
+
+        this.notify(`🛠️ ${preview.world.name} built!`);
+        return { success: true, world: preview.world, newAchievements: this.checkAchievements() };
+    }
+
+    // The next world as it would be created, while reroll charges remain and it can be afforded.
+    // Returns { world, canReroll, charges } or null when the world should just be created
+    getWorldPreview() {
+        if (this.worldSystem.getRerollCharges() <= 0) return null;
+
+        const nextWorld = this.worldSystem.getNextUnlockableWorld();
+        if (!nextWorld || !nextWorld.canUnlock) return null;
+
+        return {
+            world: nextWorld.world,
+            canReroll: this.worldSystem.canRerollWorld(nextWorld.world.id),
+            charges: this.worldSystem.getRerollCharges()
+        };
+    }
+
+    // Spends a reroll charge on the next world's properties
+    rerollNextWorld() {
+        const nextWorld = this.worldSystem.getNextUnlockableWorld();
+        if (!nextWorld || !this.worldSystem.canRerollWorld(nextWorld.world.id)) {
+            return { success: false };
+        }
+
+        this.actionLog.record(ACTION_TYPES.REROLL_WORLD);
+        const world = this.worldSystem.rerollWorld(nextWorld.world.id, this.rng);
+        this.notify(`🎲 ${world.name} rerolled`);
+        return { success: true, world };
+    }
+
+    // Switches back to a world that was already created. Leaving a world costs the travel energy
+    // and applies the same decay as any world change (5% pressure, energy by time speed)
+    travelToWorld(worldId) {
+        const state = this.gameState.getState();
+        const travel = this.worldSystem.canTravelTo(worldId);
+        if (this.worldSystem.isRiftOpen()) {
+            this.notify(`The rift is still open (${state.rift.actionsLeft} actions left)`);
+            return { success: false, reason: 'riftOpen', newAchievements: [] };
+        }
+        if (!travel.canTravel) {
+            if (travel.reason === 'energy') {
+                this.notify(`Need ${TRAVEL_ENERGY_COST} Energy to travel`);
+            }
+            return { success: false, reason: travel.reason, newAchievements: [] };
+        }
+
+        this.actionLog.record(ACTION_TYPES.TRAVEL_TO_WORLD, { worldId });
+        state.resources.energy -= travel.cost.energy;
+        this.resourceSystem.applyResourceDecay(state.currentWorld);
+        this.worldSystem.selectWorld(worldId);
+
+        this.notify(`🧭 Travelled to ${state.currentWorld.name}`);
+        return { success: true, world: state.currentWorld, newAchievements: this.checkAchievements() };
+    }
+
+    // Returns { gain, newAchievements, event } where event is a chain stage that came due
+    generateResource(type) {
+        this.actionLog.record(ACTION_TYPES.GENERATE_RESOURCE, { resourceType: type });
+        this.worldStats.recordAction(this.gameState.getState().currentWorld);
+        const gain = this.resourceSystem.generateResource(type);
+        this.resourceSystem.applyActionEffects(this.gameState.getState().currentWorld);
+
+        this.tickActionTimers();
+        this.advanceWeather();
+        this.advanceRift();
+
+        // Checked after the weather moves on, since a stage can wait for a weather
+        const event = this.eventSystem.offerEvent(this.eventSystem.getDueScheduledEvent());
+
+        this.achievementSystem.incrementClick();
+        const newAchievements = this.checkAchievements();
+
+        return { gain, newAchievements, event };
+    }
+
+    // Returns { success, newAchievements, event } where event is a chain stage that came due
+    generateEnergy() {
+        this.actionLog.record(ACTION_TYPES.GENERATE_ENERGY);
+        const state = this.gameState.getState();
+        const world = state.currentWorld;
+        const { heat: heatCost, fuel: fuelCost } = this.getEnergyCost();
+
+        if (state.resources.heat < heatCost || state.resources.fuel < fuelCost) {
+            return { success: false, newAchievements: [] };
+        }
+
+        state.resources.heat -= heatCost;
+        state.resources.fuel -= fuelCost;
+
+        this.worldStats.recordAction(world);
+        const energyGained = Math.floor(this.modifierSystem.calculate('generation.energy', ENERGY_PER_ACTION, { world, action: true, roll: true }));
+        state.resources.energy += energyGained;
+        this.worldStats.recordIncome(world, { energy: energyGained });
+        state.resources.energy = Math.min(200, state.resources.energy);
+        this.resourceSystem.applyActionEffects(world);
+        this.tickActionTimers();
+        this.advanceWeather();
+        this.advanceRift();
+
+        const event = this.eventSystem.offerEvent(this.eventSystem.getDueScheduledEvent());
+
+        this.achievementSystem.incrementClick();
+        const newAchievements = this.checkAchievements();
+
+        return { success: true, newAchievements, event };
+    }
+
+    // One player action passed: active events, timed modifiers and chain stages count down
+    tickActionTimers() {
+        this.eventSystem.updateActiveEvents();
+        this.eventSystem.updateScheduledEvents();
+        this.modifierSystem.tick();
+    }
+
+    // Heat and fuel Create Energy costs right now
+    getEnergyCost() {
+        const world = this.gameState.getState().currentWorld;
+        const multiplier = this.modifierSystem.calculate('energyCost', 1, { world, action: true });
+        return {
+            heat: Math.round(ENERGY_ACTION_COST.heat * multiplier),
+            fuel: Math.round(ENERGY_ACTION_COST.fuel * multiplier)
+        };
+    }
+
+    // Where the numbers on the main page come from: [{ id, label, format, breakdown }] for the current
+    // world's actions, Create Energy, upgrade costs and per-action effects. Nothing is rolled
+    getModifierBreakdowns() {
+        const state = this.gameState.getState();
+        const world = state.currentWorld;
+        const action = { world, action: true };
+        const breakdowns = [];
+
+        this.resourceSystem.getWorldActions(world).forEach(({ type, label }) => {
+            breakdowns.push({ id: `generation.${type}`, label, format: 'amount', breakdown: this.resourceSystem.getActionBreakdown(type) });
+        });
+        breakdowns.push({
+            id: 'generation.energy',
+            label: 'Create Energy',
+            format: 'amount',
+            breakdown: this.modifierSystem.getBreakdown('generation.energy', ENERGY_PER_ACTION, action)
+        });
+        breakdowns.push({
+            id: 'energyCost',
+            label: 'Create Energy cost',
+            format: 'multiplier',
+            breakdown: this.modifierSystem.getBreakdown('energyCost', 1, action)
+        });
+        this.upgradeSystem.getUnlockedUpgrades().forEach(upgradeType => {
+            breakdowns.push({
+                id: `upgradeCost.${upgradeType}`,
+                label: `${UPGRADE_LABELS[upgradeType] || upgradeType} cost`,
+                format: 'amount',
+                breakdown: this.upgradeSystem.getUpgradeCostBreakdown(upgradeType)
+            });
+        });
+        breakdowns.push({
+            id: 'stabilityPerAction',
+            label: 'Stability per action',
+            format: 'change',
+            breakdown: this.modifierSystem.getBreakdown('stabilityPerAction', 0, action)
+        });
+        breakdowns.push({
+            id: 'pressurePerAction',
+            label: 'Pressure per action',
+            format: 'change',
+            breakdown: this.modifierSystem.getBreakdown('pressurePerAction', 0, action)
+        });
+        breakdowns.push({
+            id: 'offlineEfficiency',
+            label: 'Offline progress',
+            format: 'multiplier',
+            breakdown: this.resourceSystem.getOfflineBreakdown()
+        });
+        return breakdowns;
+    }
+
+    upgradeResource(upgradeType, resourceType) {
+        this.actionLog.record(ACTION_TYPES.UPGRADE_RESOURCE, { upgradeType, resourceType });
+        const success = this.upgradeSystem.upgradeResource(upgradeType, resourceType);
+        if (!success) {
+            return { success: false, newAchievements: [] };
+        }
+
+        this.notify(`${upgradeType} upgraded!`);
+        this.checkTierUnlocks();
+        return { success: true, newAchievements: this.checkAchievements() };
+    }
+
+    upgradeCrossResource(upgradeType, resourceType) {
+        this.actionLog.record(ACTION_TYPES.UPGRADE_CROSS_RESOURCE, { upgradeType, resourceType });
+        const success = this.upgradeSystem.upgradeCrossResource(upgradeType, resourceType);
+        if (!success) {
+            return { success: false, newAchievements: [] };
+        }
+
+        this.notify(`${upgradeType} upgraded!`);
+
+        // Check if this unlocks any new upgrades
+        this.upgradeSystem.checkUpgradeUnlocks();
+        this.checkTierUnlocks();
+
+        return { success: true, newAchievements: this.checkAchievements() };
+    }
+
+    // option is what the player picked in a multi-step choice's follow-up step.
+    // Returns false without applying anything if the choice isn't on offer or the option doesn't fit it
+    selectEventChoice(event, choice, option = null) {
+        if (!this.eventSystem.isValidChoice(event, choice, option)) {
+            console.error('[GameEngine] Invalid event choice:', event ? event.id : event, choice ? choice.text : choice, option);
+            return false;
+        }
+
+        const payload = { eventId: event.id, choiceIndex: event.choices.indexOf(choice) };
+        if (option !== null) {
+            payload.option = option;
+        }
+        this.actionLog.record(ACTION_TYPES.SELECT_EVENT_CHOICE, payload);
+        this.worldStats.recordEvent(this.gameState.getState().currentWorld, event, choice);
+        this.eventSystem.selectEventChoice(event, choice, option);
+        return true;
+    }
+
+    // Chooses the tier the next generated worlds come from. Returns false if the tier is still locked
+    selectWorldTier(tier) {
+        this.actionLog.record(ACTION_TYPES.SELECT_WORLD_TIER, { tier });
+        const success = this.worldSystem.setSelectedTier(tier);
+        if (success) {
+            this.notify(`New worlds will be ${TIER_NAMES[tier]} (Tier ${tier})`);
+        }
+        return success;
+    }
+
+    // Unlocks any world tier whose conditions are now met and announces it
+    checkTierUnlocks() {
+        const unlocked = this.worldSystem.checkTierUnlocks();
+        unlocked.forEach(tier => {
+            this.notify(`✨ Tier ${tier}: ${TIER_NAMES[tier]} worlds unlocked!`);
+        });
+        return unlocked;
+    }
+
+    // Weather counts down in player actions (its stability drift is one of the action effects).
+    // Returns the new weather when it changed, otherwise null
+    advanceWeather() {
+        const world = this.gameState.getState().currentWorld;
+        if (!world || typeof world.weatherDuration !== 'number') return null;
+
+        world.weatherDuration -= 1;
+        if (world.weatherDuration > 0) return null;
+
+        const weather = this.worldSystem.rollNewWeather(world);
+        this.notify(`Weather changed to ${weather}`);
+        return weather;
+    }
+
+    // A Dimensional Rift closes after its actions run out and returns the player home
+    advanceRift() {
+        const riftWorld = this.worldSystem.advanceRift();
+        if (riftWorld) {
+            this.notify(`🌀 The rift to ${riftWorld.name} closed. Back on ${this.gameState.getState().currentWorld.name}`);
+        }
+        return riftWorld;
+    }
+
+    // Spends heat and fuel to open the dedicated worlds page
+    unlockWorldGenerator() {
+        const state = this.gameState.getState();
+        const heatRequired = 100;
+        const fuelRequired = 50;
+
+        if (state.unlocks && state.unlocks.worldGenerator) {
+            return { success: false, reason: 'alreadyUnlocked', newAchievements: [] };
+        }
+        if (state.resources.heat < heatRequired || state.resources.fuel < fuelRequired) {
+            return { success: false, reason: 'requirements', newAchievements: [] };
+        }
+
+        this.actionLog.record(ACTION_TYPES.UNLOCK_WORLD_GENERATOR);
+        state.resources.heat -= heatRequired;
+        state.resources.fuel -= fuelRequired;
+        if (!state.unlocks) {
+            state.unlocks = {};
+        }
+        state.unlocks.worldGenerator = true;
+
+        return { success: true, newAchievements: this.checkAchievements() };
+    }
+
+    isIdleMode() {
+        const state = this.gameState.getState();
+        return !!(state.settings && state.settings.playMode === 'idle');
+    }
+
+    // Feeds elapsed real time into the fixed-timestep loop; returns how many ticks ran.
+    // In active-only mode nothing accumulates, so switching to idle never pays out a backlog
+    advanceTime(elapsedMs) {
+        if (!this.isIdleMode() || !(elapsedMs > 0)) {
+            this.tickAccumulator = 0;
+            return 0;
+        }
+
+        this.tickAccumulator += elapsedMs;
+        let ticks = Math.floor(this.tickAccumulator / TICK_MS);
+        if (ticks > MAX_CATCH_UP_TICKS) {
+            // Long stalls (background tabs, sleep) are dropped rather than replayed all at once
+            ticks = MAX_CATCH_UP_TICKS;
+            this.tickAccumulator = 0;
+        } else {
+            this.tickAccumulator -= ticks * TICK_MS;
+        }
+
+        for (let i = 0; i < ticks; i++) {
+            this.tick();
+        }
+        return ticks;
+    }
+
+    tick() {
+        const seconds = TICK_MS / 1000;
+        this.actionLog.record(ACTION_TYPES.TICK, { seconds });
+        return this.applyTick(seconds);
+    }
+
+    // One step of idle simulation: passive world output, energy decay and the pressure valve
+    applyTick(seconds) {
+        const state = this.gameState.getState();
+        const world = state.currentWorld;
+
+        const gains = this.resourceSystem.applyPassiveProduction(world, seconds);
+        const energyDecay = this.resourceSystem.applyEnergyDecay(world, seconds);
+        const valveHeat = this.resourceSystem.applyPressureValve();
+
+        return { gains, energyDecay, valveHeat };
+    }
+
+    // Turns the time since the save was written into resource gains. Returns a report
+    // { seconds, elapsedSeconds, timeCapped, gains, capsHit } or null when nothing applies
+    applyOfflineProgress(now = Date.now()) {
+        const state = this.gameState.getState();
+        if (!state.lastSavedAt || !state.currentWorld) return null;
+
+        const elapsedSeconds = Math.floor((now - state.lastSavedAt) / 1000);
+        if (elapsedSeconds < MIN_OFFLINE_SECONDS) return null;
+
+        const seconds = Math.min(elapsedSeconds, MAX_OFFLINE_SECONDS);
+        this.actionLog.record(ACTION_TYPES.OFFLINE_PROGRESS, { seconds });
+        const result = this.applyOfflineSeconds(seconds);
+
+        // Save straight away so closing the tab again can't collect the same time twice
+        this.gameState.saveGame();
+
+        return {
+            seconds,
+            elapsedSeconds,
+            timeCapped: elapsedSeconds > MAX_OFFLINE_SECONDS,
+            gains: result.gains,
+            capsHit: result.capsHit
+        };
+    }
+
+    applyOfflineSeconds(seconds) {
+        const state = this.gameState.getState();
+        return this.resourceSystem.applyOfflineProgress(state.currentWorld, seconds);
+    }
+
+    checkAchievements() {
+        const newAchievements = this.achievementSystem.checkAchievements();
+
+        newAchievements.forEach(achievement => {
+            this.notify(`Achievement Unlocked: ${achievement.name}`);
+        });
+
+        if (newAchievements.length > 0) {
+            // Feature unlocks; stat rewards reach the modifier stack on their own
+            this.achievementSystem.applyAchievementRewards(this.gameState.getState());
+
+            // Save game to persist achievement progress
+            this.gameState.saveGame();
+        }
+
+        return newAchievements;
+    }
+
+    // Wall-clock play time, also credited to the current world's active time
+    updatePlaytime() {
+        const state = this.gameState.getState();
+        const before = state.playtime || 0;
+        this.achievementSystem.updatePlaytime();
+        this.worldStats.recordActiveTime(state.currentWorld, (state.playtime || 0) - before);
+    }
+
+    save() {
+        this.gameState.saveGame();
+    }
+
+    // options.offlineProgress - set to false when the save's age isn't time away (e.g. restoring a backup)
+    load(options = {}) {
+        this.lastOfflineReport = null;
+        const loaded = this.gameState.loadGame();
+        if (loaded) {
+            this.initializeStartingWorld();
+            this.achievementSystem.initializeAchievementTracking(this.gameState.getState());
+            this.startActionLog();
+            if (options.offlineProgress !== false) {
+                this.lastOfflineReport = this.applyOfflineProgress();
+            }
+        }
+        return loaded;
+    }
+
+    // Options "Check & Repair Save": reports schema problems and, when repairing, fixes them
+    checkSave(repair = false) {
+        const report = this.gameState.checkState({ repair });
+        if (repair && !report.valid) {
+            this.initializeStartingWorld();
+            this.startActionLog();
+            this.gameState.saveGame();
+        }
+        return report;
+    }
+
+    // Rolls the current slot back to one of its backups
+    restoreBackup(timestamp) {
+        if (!this.gameState.restoreFromSpecificBackup(timestamp)) {
+            return false;
+        }
+        return this.load({ offlineProgress: false });
+    }
+
+    // Makes another slot the active one and loads it; an empty slot starts a new game
+    switchSlot(slotId) {
+        if (!this.slotManager.setActiveSlot(slotId)) {
+            return false;
+        }
+
+        this.gameState.slotId = slotId;
+        this.gameState.state = new GameState({ storage: this.gameState.storage, slotId, content: this.gameState.content }).state;
+        this.tickAccumulator = 0;
+
+        if (!this.load()) {
+            this.initializeStartingWorld();
+            this.achievementSystem.initializeAchievementTracking(this.gameState.getState());
+            this.startActionLog();
+            this.gameState.saveGame();
+        }
+        return true;
+    }
+
+    reset() {
+        const reset = this.gameState.resetGame();
+        if (reset) {
+            this.initializeStartingWorld();
+            this.achievementSystem.initializeAchievementTracking(this.gameState.getState());
+            this.startActionLog();
+        }
+        return reset;
+    }
+}
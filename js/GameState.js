@@ -1,8 +1,34 @@
 // GameState.js - Handles game state management, initialization, and save/load functionality
 
+import { MemoryStorage } from './MemoryStorage.js';
+import { RandomService } from './RandomService.js';
+import { SaveSlotManager } from './SaveSlotManager.js';
+import { SaveMigrations, CURRENT_SAVE_VERSION } from './SaveMigrations.js';
+import { SaveValidator } from './SaveValidator.js';
+import { ContentLoader } from './ContentLoader.js';
+
+// Most backups kept per save slot. A backup is about 20 KB without its action log, so ten for each
+// slot stay far inside the ~5 MB localStorage quota
+const MAX_BACKUP_RETENTION = 10;
+
 export class GameState {
-    constructor() {
+    constructor(options = {}) {
+        // Injectable environment so the state can run without a browser (see GameEngine)
+        this.storage = options.storage || (typeof localStorage !== 'undefined' ? localStorage : new MemoryStorage());
+        this.notify = options.notify || null;
+        // Save problem last reported to the player (see reportSaveProblem)
+        this.saveProblem = null;
+        this.confirmAction = options.confirm || (message => typeof confirm === 'function' ? confirm(message) : true);
+        this.worldSystem = null;
+        // Worlds, events, upgrades and achievements from the content packs (see ContentLoader)
+        this.content = options.content || ContentLoader.getContent();
+        
+        // Which save slot this state reads from and writes to
+        this.slotManager = new SaveSlotManager(this.storage);
+        this.slotId = options.slotId || this.slotManager.getActiveSlotId();
+
         this.state = {
+            saveVersion: CURRENT_SAVE_VERSION,
             worldsCreated: 0,
             machineComplexity: 0,
             worldHistory: [], // Track created worlds
@@ -20,22 +46,48 @@ export class GameState {
                 crystal: 0,
                 voidEnergy: 0
             },
-            upgrades: {
-                heatGenerator: { level: 0, maxLevel: 10, baseCost: 10 },
-                fuelEfficiency: { level: 0, maxLevel: 10, baseCost: 15 },
-                // Cross-Resource Upgrades (Phase 2)
-                thermalAccelerator: { level: 0, maxLevel: 5, baseCost: 25, unlocked: false, requiresHeat: 3, requiresPressure: 30 },
-                fuelSynchronizer: { level: 0, maxLevel: 5, baseCost: 30, unlocked: false, requiresFuel: 5, requiresEnergy: 20 },
-                pressureValve: { level: 0, maxLevel: 5, baseCost: 35, unlocked: false, requiresStability: 15, requiresPressure: 50 },
-                energyMatrix: { level: 0, maxLevel: 5, baseCost: 40, unlocked: false, requiresHeat: 7, requiresFuel: 8 }
-            },
+            // Tuning comes from the content packs; level (and unlocked) is the player's progress
+            upgrades: Object.fromEntries(Object.entries(this.content.upgrades)
+                .map(([key, upgrade]) => [key, { level: 0, ...upgrade }])),
             currentWorld: null, // Will be set to Desert Planet initially
             unlockedWorlds: [0], // Desert Planet unlocked by default
             worldProgress: 0, // Current world index (0 = Desert Planet)
+            generatedWorlds: [], // Worlds built by WorldGenerator after the hand-written ones
+            // Enhanced (2) and Exotic (3) world tiers, and which tier new worlds are generated from
+            worldTiers: {
+                tier2Unlocked: false,
+                tier3Unlocked: false,
+                selectedTier: 1
+            },
+            // Quantum Fluctuation charges and the properties of worlds rerolled with them, by world id
+            worldRerolls: {
+                charges: 0,
+                rerolled: {}
+            },
+            // Per-world yields, active time, events and weather, by world id (see WorldStats)
+            worldStats: {},
+            // Open Dimensional Rift ({ returnWorldId, actionsLeft }) and how many have been opened
+            rift: null,
+            riftsOpened: 0,
             machineParts: [],
             // RNG Event System (Phase 2 Step 3)
             activeEvents: [],
             eventHistory: [],
+            // Chain stages waiting to come up, and the event waiting for the player's choice (see EventSystem)
+            scheduledEvents: [],
+            pendingEvent: null,
+            // Event rolls in a row without a rare / ultra rare event (see EVENT_PROBABILITY)
+            eventPity: {
+                rare: 0,
+                ultraRare: 0
+            },
+            // Timed modifiers from event choices (see ModifierSystem)
+            modifiers: [],
+            // Seeded RNG position - saved so rolls can't be re-rolled by reloading
+            rng: {
+                seed: RandomService.createSeed(),
+                cursor: 0
+            },
             permanentBonuses: {
                 resourceEfficiency: 1.0, // Multiplier for all resources
                 upgradeCostReduction: 1.0 // Multiplier for upgrade costs
@@ -45,90 +97,11 @@ export class GameState {
             achievements: {
                 unlocked: [],
                 progress: {},
-                definitions: {
-                    1: { name: "First Steps", description: "Generate your first Heat", reward: "+5% Heat generation", requirement: { type: "resource", resource: "heat", amount: 1 } },
-                    2: { name: "Fuel Finder", description: "Generate your first Fuel", reward: "+5% Fuel generation", requirement: { type: "resource", resource: "fuel", amount: 1 } },
-                    3: { name: "First Upgrade", description: "Purchase your first upgrade", reward: "+2% upgrade efficiency", requirement: { type: "upgrade", count: 1 } },
-                    4: { name: "Heat Wave", description: "Reach 100 Heat", reward: "+10% Heat generation", requirement: { type: "resource", resource: "heat", amount: 100 } },
-                    5: { name: "Fuel Tank", description: "Reach 100 Fuel", reward: "+8% Fuel generation", requirement: { type: "resource", resource: "fuel", amount: 100 } },
-                    6: { name: "World Builder", description: "Create your first world", reward: "Unlock world bonuses", requirement: { type: "worlds", amount: 1 } },
-                    7: { name: "Pressure Rising", description: "Reach 50 Pressure", reward: "+15% Pressure generation", requirement: { type: "resource", resource: "pressure", amount: 50 } },
-                    8: { name: "Energy Seeker", description: "Reach 25 Energy", reward: "+12% Energy generation", requirement: { type: "resource", resource: "energy", amount: 25 } },
-                    9: { name: "Stability Master", description: "Reach 20 Stability", reward: "+10% Stability generation", requirement: { type: "resource", resource: "stability", amount: 20 } },
-                    10: { name: "Heat Master", description: "Reach 1000 Heat", reward: "+20% Heat generation", requirement: { type: "resource", resource: "heat", amount: 1000 } },
-                    11: { name: "Fuel Depot", description: "Reach 500 Fuel", reward: "+15% Fuel generation", requirement: { type: "resource", resource: "fuel", amount: 500 } },
-                    12: { name: "Upgrader", description: "Purchase 5 upgrades", reward: "+5% upgrade efficiency", requirement: { type: "upgrade", count: 5 } },
-                    13: { name: "World Collector", description: "Create 5 worlds", reward: "Unlock Tier 2 worlds", requirement: { type: "worlds", amount: 5 } },
-                    14: { name: "Pressure Cooker", description: "Reach maximum Pressure (100)", reward: "+25% Pressure conversion", requirement: { type: "resource", resource: "pressure", amount: 100 } },
-                    15: { name: "Energy Core", description: "Reach 100 Energy", reward: "+20% Energy generation", requirement: { type: "resource", resource: "energy", amount: 100 } },
-                    16: { name: "Synergy User", description: "Activate Heat+Pressure synergy", reward: "+10% synergy bonus", requirement: { type: "synergy", synergy: "heat_pressure", count: 1 } },
-                    17: { name: "Dimension Hopper", description: "Create 25 worlds", reward: "Unlock World Generator", requirement: { type: "worlds", amount: 25 } },
-                    18: { name: "Mega Heat", description: "Reach 10,000 Heat", reward: "+30% Heat generation", requirement: { type: "resource", resource: "heat", amount: 10000 } },
-                    19: { name: "Fuel Empire", description: "Reach 5,000 Fuel", reward: "+25% Fuel generation", requirement: { type: "resource", resource: "fuel", amount: 5000 } },
-                    20: { name: "Upgrade Master", description: "Purchase 10 upgrades", reward: "+10% upgrade efficiency", requirement: { type: "upgrade", count: 10 } },
-                    21: { name: "World Factory", description: "Create 25 worlds", reward: "Unlock Tier 3 worlds", requirement: { type: "worlds", amount: 25 } },
-                    22: { name: "Stability Fortress", description: "Reach 100 Stability", reward: "+30% Stability generation", requirement: { type: "resource", resource: "stability", amount: 100 } },
-                    23: { name: "Synergy Master", description: "Activate synergies 100 times", reward: "+25% synergy effectiveness", requirement: { type: "synergy", count: 100 } },
-                    24: { name: "Heat Titan", description: "Reach 100,000 Heat", reward: "+50% Heat generation", requirement: { type: "resource", resource: "heat", amount: 100000 } },
-                    25: { name: "Fuel Ocean", description: "Reach 50,000 Fuel", reward: "+40% Fuel generation", requirement: { type: "resource", resource: "fuel", amount: 50000 } },
-                    26: { name: "Upgrade Legend", description: "Max out all basic upgrades", reward: "Unlock legendary upgrades", requirement: { type: "upgrade", maxed: ["heatGenerator", "fuelEfficiency"] } },
-                    27: { name: "Universe Builder", description: "Create 75 worlds", reward: "Unlock universe mode", requirement: { type: "worlds", amount: 75 } },
-                    28: { name: "Pressure God", description: "Convert 1000 Pressure to Heat", reward: "+50% Pressure conversion", requirement: { type: "conversion", type: "pressure_to_heat", amount: 1000 } },
-                    29: { name: "Energy Nexus", description: "Reach 1000 Energy", reward: "+40% Energy generation", requirement: { type: "resource", resource: "energy", amount: 1000 } },
-                    30: { name: "Perfect Balance", description: "Have all resources above 1000", reward: "+25% all generation", requirement: { type: "balance", resources: ["heat", "fuel", "pressure", "energy", "stability"], amount: 1000 } },
-                    31: { name: "Speed Runner", description: "Unlock World Generator in under 1 hour", reward: "+100% early game speed", requirement: { type: "speed", achievement: 17, time: 3600 } },
-                    32: { name: "Efficiency Expert", description: "Reach 500% upgrade efficiency", reward: "+50% efficiency cap", requirement: { type: "stat", stat: "upgradeEfficiency", amount: 5.0 } },
-                    33: { name: "World Architect", description: "Create worlds with all biome types", reward: "Unlock custom worlds", requirement: { type: "variety", category: "biomes", count: 10 } },
-                    34: { name: "Resource Hoarder", description: "Have 1M total resources", reward: "+20% resource storage", requirement: { type: "total", resources: "all", amount: 1000000 } },
-                    35: { name: "Upgrade Collector", description: "Own all possible upgrades", reward: "+30% upgrade effectiveness", requirement: { type: "collection", category: "upgrades", percentage: 100 } },
-                    36: { name: "Hidden Power", description: "???", reward: "???", requirement: { type: "secret", code: "MACHINE_POWER" }, hidden: true },
-                    37: { name: "Time Master", description: "Play for 24 hours total", reward: "+50% offline progress", requirement: { type: "playtime", amount: 86400 } },
-                    38: { name: "Click Master", description: "Generate resources 1000 times", reward: "+25% manual generation", requirement: { type: "clicks", amount: 1000 } },
-                    39: { name: "Reset Veteran", description: "Reset your game 3 times", reward: "+100% reset bonuses", requirement: { type: "resets", amount: 3 } },
-                    40: { name: "Achievement Hunter", description: "Unlock 25 achievements", reward: "+50% achievement bonuses", requirement: { type: "achievements", amount: 25 } },
-                    41: { name: "Mega Worlds", description: "Create 150 worlds", reward: "Unlock mega worlds", requirement: { type: "worlds", amount: 150 } },
-                    42: { name: "Heat Infinity", description: "Reach 1M Heat", reward: "+100% Heat generation", requirement: { type: "resource", resource: "heat", amount: 1000000 } },
-                    43: { name: "Fuel Cosmos", description: "Reach 1M Fuel", reward: "+100% Fuel generation", requirement: { type: "resource", resource: "fuel", amount: 1000000 } },
-                    44: { name: "Ultimate Builder", description: "Create 250 worlds", reward: "Unlock ultimate mode", requirement: { type: "worlds", amount: 250 } },
-                    45: { name: "Perfect Synergy", description: "Have all synergies active", reward: "+100% synergy power", requirement: { type: "synergy", all: true } },
-                    46: { name: "Resource God", description: "Have all resources above 100K", reward: "+75% all generation", requirement: { type: "balance", resources: ["heat", "fuel", "pressure", "energy", "stability"], amount: 100000 } },
-                    47: { name: "Legendary Status", description: "Reach maximum level in everything", reward: "Unlock prestige mode", requirement: { type: "completion", percentage: 100 } },
-                    48: { name: "Secret Keeper", description: "???", reward: "???", requirement: { type: "secret", code: "WORLD_MACHINE" }, hidden: true },
-                    49: { name: "Time Lord", description: "Play for 7 days total", reward: "+200% time bonuses", requirement: { type: "playtime", amount: 604800 } },
-                    50: { name: "Master of Worlds", description: "Complete all other achievements", reward: "Master title + 1000% all bonuses", requirement: { type: "completion", achievements: 69 } },
-                    
-                    // New Achievement Variety - Conversion & Efficiency
-                    51: { name: "Conversion Expert", description: "Convert 500 Pressure to Heat", reward: "Unlock auto-conversion", requirement: { type: "conversion", from: "pressure", to: "heat", amount: 500 } },
-                    52: { name: "Energy Converter", description: "Convert 200 Energy to Fuel", reward: "+50% conversion efficiency", requirement: { type: "conversion", from: "energy", to: "fuel", amount: 200 } },
-                    53: { name: "Efficiency Master", description: "Reach 3:1 Heat to Fuel ratio", reward: "Unlock ratio bonuses", requirement: { type: "ratio", resources: ["heat", "fuel"], ratio: [3, 1] } },
-                    54: { name: "Resource Optimizer", description: "Maintain 2:1:1 Heat:Fuel:Pressure for 5 minutes", reward: "+25% balanced generation", requirement: { type: "maintain", resources: ["heat", "fuel", "pressure"], ratio: [2, 1, 1], duration: 300 } },
-                    
-                    // Streak & Consistency Achievements
-                    55: { name: "Daily Dedication", description: "Play for 7 consecutive days", reward: "Unlock daily bonuses", requirement: { type: "streak", category: "daily", count: 7 } },
-                    56: { name: "Resource Streak", description: "Generate resources for 100 consecutive game updates", reward: "+30% continuous generation", requirement: { type: "streak", category: "generation", count: 100 } },
-                    57: { name: "Upgrade Spree", description: "Purchase 5 upgrades within 60 seconds", reward: "Unlock bulk purchasing", requirement: { type: "speed", category: "upgrades", count: 5, time: 60 } },
-                    
-                    // Discovery & Strategy Achievements
-                    58: { name: "Explorer", description: "Discover all resource generation methods", reward: "Resource generation overview", requirement: { type: "discovery", category: "generation", count: 5 } },
-                    59: { name: "Strategist", description: "Reach 1000 Heat using only manual generation", reward: "Manual generation x2", requirement: { type: "challenge", method: "manual", resource: "heat", amount: 1000 } },
-                    60: { name: "Multi-tasker", description: "Have 5+ resources generating simultaneously", reward: "+20% parallel efficiency", requirement: { type: "simultaneous", category: "generation", count: 5 } },
-                    
-                    // Quality of Life Rewards
-                    61: { name: "Storage Expert", description: "Reach resource caps 10 times", reward: "+50% all resource caps", requirement: { type: "caps", category: "reached", count: 10 } },
-                    62: { name: "Automation Lover", description: "Use auto-features for 1 hour total", reward: "Unlock advanced automation", requirement: { type: "usage", category: "automation", duration: 3600 } },
-                    63: { name: "Interface Master", description: "Visit all game pages 20+ times each", reward: "Unlock quick navigation", requirement: { type: "navigation", category: "all_pages", count: 20 } },
-                    
-                    // Challenge & Constraint Achievements
-                    64: { name: "Minimalist", description: "Create 10 worlds with only 2 upgrade types", reward: "Upgrade efficiency +100%", requirement: { type: "constraint", category: "upgrades", max: 2, goal: { type: "worlds", amount: 10 } } },
-                    65: { name: "Speed Builder", description: "Create 5 worlds in under 10 minutes", reward: "World creation speed +200%", requirement: { type: "speed", category: "worlds", count: 5, time: 600 } },
-                    
-                    // Tier-Specific Progression Achievements
-                    66: { name: "Enhanced Explorer", description: "Create your first Enhanced World (Tier 2)", reward: "+15% Tier 2 world bonuses", requirement: { type: "tier", tier: 2, worldsCreated: 1 } },
-                    67: { name: "Enhanced Master", description: "Create 10 Enhanced Worlds", reward: "+25% Tier 2 world generation", requirement: { type: "tier", tier: 2, worldsCreated: 10 } },
-                    68: { name: "Exotic Pioneer", description: "Create your first Exotic World (Tier 3)", reward: "+20% Tier 3 world bonuses", requirement: { type: "tier", tier: 3, worldsCreated: 1 } },
-                    69: { name: "Reality Bender", description: "Create 5 Exotic Worlds", reward: "Unlock reality manipulation", requirement: { type: "tier", tier: 3, worldsCreated: 5 } },
-                    70: { name: "Tier Master", description: "Create worlds from all tiers", reward: "+50% cross-tier synergy", requirement: { type: "tierVariety", tiers: [1, 2, 3], minEach: 3 } }
-                }
+                definitions: JSON.parse(JSON.stringify(this.content.achievements))
+            },
+            // Feature unlocks bought with resources
+            unlocks: {
+                worldGenerator: false
             },
             // Settings System
             settings: {
@@ -137,6 +110,8 @@ export class GameState {
                 animateProgressBars: true,
                 showDetailedTooltips: true,
                 autoSaveInterval: 30, // Save every 30 seconds
+                backupRetention: 3, // Backups kept per save slot
+                playMode: 'active', // 'active' = clicks only while playing, 'idle' = current world also produces every second
                 showEfficiencyNumbers: true,
                 confirmDangerousActions: true,
                 showTutorialMessages: true,
@@ -154,6 +129,15 @@ export class GameState {
         return this.state;
     }
 
+    // Systems that react to resource changes are attached after construction
+    setWorldSystem(worldSystem) {
+        this.worldSystem = worldSystem;
+    }
+
+    setNotificationSink(notify) {
+        this.notify = notify;
+    }
+
     // Method to safely add resources and trigger save
     addResources(resourceDeltas, shouldSave = false) {
         for (const [resource, amount] of Object.entries(resourceDeltas)) {
@@ -169,10 +153,10 @@ export class GameState {
         this.enforceResourceCaps();
         
         // Check for world unlocks after adding resources
-        if (window.game && window.game.worldSystem) {
-            const worldUnlock = window.game.worldSystem.checkWorldUnlocks();
-            if (worldUnlock && window.game.uiSystem) {
-                window.game.uiSystem.showNotification(worldUnlock.message);
+        if (this.worldSystem) {
+            const worldUnlock = this.worldSystem.checkWorldUnlocks();
+            if (worldUnlock && this.notify) {
+                this.notify(worldUnlock.message);
             }
         }
         
@@ -225,61 +209,136 @@ export class GameState {
         this.state = { ...this.state, ...newState };
     }
 
+    // Saves happen on clicks and autosave, so a failed write is reported to the player instead of
+    // thrown. The write either lands or leaves the previous save in place. Returns whether it landed
     saveGame() {
         try {
             // Create backup before saving
-            this.createBackup();
+            const backedUp = this.createBackup();
+            
+            // Offline progress on the next load is measured from here
+            this.state.lastSavedAt = Date.now();
             
             const gameData = JSON.stringify(this.state);
-            localStorage.setItem('machineOfWorldsSave', gameData);
+            this.storage.setItem(this.getSaveKey(), gameData);
+            this.slotManager.recordSave(this.slotId, this.state);
             
-            // Clean up old backups (keep only last 3)
+            // Clean up old backups (keep as many as the retention setting allows)
             this.cleanupOldBackups();
             
+            this.reportSaveProblem(backedUp ? null : 'Game saved, but no backup could be made');
+            return true;
         } catch (error) {
             console.error('Error saving game:', error);
-            // Try to restore from backup if save fails
-            this.restoreFromBackup();
-            throw error;
+            this.reportSaveProblem(GameState.isQuotaError(error)
+                ? 'Could not save: browser storage is full. Delete an unused save slot or lower backup retention'
+                : 'Could not save the game');
+            return false;
+        }
+    }
+
+    // Tells the player about a save problem once rather than on every save while it lasts;
+    // null marks a clean save
+    reportSaveProblem(message) {
+        if (message && message !== this.saveProblem && this.notify) {
+            this.notify(message);
         }
+        this.saveProblem = message;
+    }
+
+    // localStorage signals a full quota differently per browser
+    static isQuotaError(error) {
+        return !!error && (error.name === 'QuotaExceededError' || error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22 || error.code === 1014);
     }
 
-    // Create a timestamped backup of current save
+    getSaveKey() {
+        return SaveSlotManager.getSaveKey(this.slotId);
+    }
+
+    // Create a timestamped backup of current save. Backups leave out the action log, which is most
+    // of a save's size; a restored backup starts a fresh log from its own state. Returns false when
+    // the backup couldn't be written (usually a full storage), and leaves no half-written backup behind
     createBackup() {
+        const currentSave = this.storage.getItem(this.getSaveKey());
+        if (!currentSave) return true;
+        
+        const timestamp = Date.now();
+        const backupKey = SaveSlotManager.getBackupKey(this.slotId, timestamp);
         try {
-            const currentSave = localStorage.getItem('machineOfWorldsSave');
-            if (currentSave) {
-                const timestamp = Date.now();
-                const backupKey = `machineOfWorldsBackup_${timestamp}`;
-                localStorage.setItem(backupKey, currentSave);
-                
-                // Store backup metadata
-                const backups = this.getBackupList();
-                backups.push({
-                    key: backupKey,
-                    timestamp: timestamp,
-                    date: new Date(timestamp).toISOString()
-                });
-                localStorage.setItem('machineOfWorldsBackups', JSON.stringify(backups));
-            }
+            const { actionLog, ...backup } = JSON.parse(currentSave);
+            this.storage.setItem(backupKey, JSON.stringify(backup));
+            
+            // Store backup metadata, with a summary for the backup browser
+            const backups = this.getBackupList();
+            backups.push({
+                key: backupKey,
+                timestamp: timestamp,
+                date: new Date(timestamp).toISOString(),
+                meta: SaveSlotManager.createMetadata(backup)
+            });
+            this.storage.setItem(SaveSlotManager.getBackupListKey(this.slotId), JSON.stringify(backups));
+            return true;
         } catch (error) {
             console.error('Error creating backup:', error);
+            this.storage.removeItem(backupKey);
+            return false;
         }
     }
 
     // Get list of available backups
     getBackupList() {
+        return this.slotManager.getBackupList(this.slotId);
+    }
+
+    // Capped at MAX_BACKUP_RETENTION, so saves from builds that offered more backups keep fewer
+    getBackupRetention() {
+        const retention = this.state.settings && this.state.settings.backupRetention;
+        return retention > 0 ? Math.min(retention, MAX_BACKUP_RETENTION) : 3;
+    }
+
+    // Parsed and migrated copy of one backup, or null if it is missing or unreadable
+    getBackupData(timestamp) {
         try {
-            const backupsData = localStorage.getItem('machineOfWorldsBackups');
-            return backupsData ? JSON.parse(backupsData) : [];
+            const backupData = this.storage.getItem(SaveSlotManager.getBackupKey(this.slotId, timestamp));
+            return backupData ? SaveMigrations.migrate(JSON.parse(backupData)).save : null;
         } catch (error) {
-            console.error('Error getting backup list:', error);
-            return [];
+            console.error('Error reading backup:', error);
+            return null;
         }
     }
 
+    // Side-by-side comparison of two saves for the backup browser. Returns
+    // { resources, upgrades: [{ key, current, other }], achievements: { onlyCurrent, onlyOther } }
+    static diffSaves(current, other) {
+        const rows = (a = {}, b = {}, read) => [...new Set([...Object.keys(a), ...Object.keys(b)])]
+            .map(key => ({ key, current: read(a[key]), other: read(b[key]) }))
+            .filter(row => row.current !== row.other);
+        
+        const names = state => {
+            const achievements = state.achievements || {};
+            const definitions = achievements.definitions || {};
+            return (achievements.unlocked || []).map(id => definitions[id] ? definitions[id].name : `#${id}`);
+        };
+        const currentAchievements = names(current);
+        const otherAchievements = names(other);
+        
+        return {
+            resources: rows(current.resources, other.resources, value => Math.floor(value || 0)),
+            upgrades: rows(current.upgrades, other.upgrades, upgrade => upgrade ? upgrade.level : 0),
+            achievements: {
+                onlyCurrent: currentAchievements.filter(name => !otherAchievements.includes(name)),
+                onlyOther: otherAchievements.filter(name => !currentAchievements.includes(name))
+            }
+        };
+    }
+
+    compareWithBackup(backupState) {
+        return GameState.diffSaves(this.state, backupState);
+    }
+
     // Clean up old backups, keeping only the most recent ones
-    cleanupOldBackups(maxBackups = 3) {
+    cleanupOldBackups(maxBackups = this.getBackupRetention()) {
         try {
             const backups = this.getBackupList();
             
@@ -290,12 +349,12 @@ export class GameState {
                 // Remove old backups
                 const backupsToRemove = backups.slice(maxBackups);
                 backupsToRemove.forEach(backup => {
-                    localStorage.removeItem(backup.key);
+                    this.storage.removeItem(backup.key);
                 });
                 
                 // Update backup list
                 const keepBackups = backups.slice(0, maxBackups);
-                localStorage.setItem('machineOfWorldsBackups', JSON.stringify(keepBackups));
+                this.storage.setItem(SaveSlotManager.getBackupListKey(this.slotId), JSON.stringify(keepBackups));
             }
         } catch (error) {
             console.error('Error cleaning up backups:', error);
@@ -315,12 +374,12 @@ export class GameState {
             backups.sort((a, b) => b.timestamp - a.timestamp);
             const latestBackup = backups[0];
             
-            const backupData = localStorage.getItem(latestBackup.key);
+            const backupData = this.storage.getItem(latestBackup.key);
             if (backupData) {
                 // Validate backup data before restoring
                 const parsedBackup = JSON.parse(backupData);
                 if (this.validateSaveData(parsedBackup)) {
-                    localStorage.setItem('machineOfWorldsSave', backupData);
+                    this.storage.setItem(this.getSaveKey(), backupData);
                     console.log('Successfully restored from backup:', latestBackup.date);
                     return true;
                 } else {
@@ -338,17 +397,18 @@ export class GameState {
     // Restore from a specific backup by timestamp
     restoreFromSpecificBackup(timestamp) {
         try {
-            const backupKey = `machineOfWorldsBackup_${timestamp}`;
-            const backupData = localStorage.getItem(backupKey);
+            const backupKey = SaveSlotManager.getBackupKey(this.slotId, timestamp);
+            const backupData = this.storage.getItem(backupKey);
             
             if (backupData) {
                 // Validate backup data before restoring
                 const parsedBackup = JSON.parse(backupData);
                 if (this.validateSaveData(parsedBackup)) {
-                    // Create a backup of current state before restoring
+                    // Create a backup of current state before restoring (the live state, not the last autosave)
+                    this.storage.setItem(this.getSaveKey(), JSON.stringify(this.state));
                     this.createBackup();
                     
-                    localStorage.setItem('machineOfWorldsSave', backupData);
+                    this.storage.setItem(this.getSaveKey(), backupData);
                     console.log('Successfully restored from backup:', new Date(timestamp).toISOString());
                     return true;
                 } else {
@@ -366,11 +426,17 @@ export class GameState {
     }
 
     loadGame() {
-        const savedData = localStorage.getItem('machineOfWorldsSave');
+        const savedData = this.storage.getItem(this.getSaveKey());
         if (savedData) {
             try {
                 const parsedData = JSON.parse(savedData);
                 
+                // A save from a newer build must not be "recovered" by overwriting it with a backup
+                if (SaveMigrations.getVersion(parsedData) > CURRENT_SAVE_VERSION) {
+                    console.error('Save was written by a newer version of the game - not loading it');
+                    return false;
+                }
+                
                 // Validate save data integrity
                 if (!this.validateSaveData(parsedData)) {
                     console.error('Save data validation failed - attempting backup recovery');
@@ -391,46 +457,8 @@ export class GameState {
                 // Store current state as fallback
                 const fallbackState = JSON.parse(JSON.stringify(this.state));
                 
-                // Merge saved data with current state structure to handle new properties
-                this.state = {
-                    ...this.state,
-                    ...parsedData,
-                    // Ensure upgrades structure is properly merged
-                    upgrades: {
-                        ...this.state.upgrades,
-                        ...parsedData.upgrades
-                    },
-                    // Ensure resources structure is properly merged
-                    resources: {
-                        ...this.state.resources,
-                        ...parsedData.resources
-                    },
-                    // Ensure currentWorld is preserved
-                    currentWorld: parsedData.currentWorld || this.state.currentWorld,
-                    // Ensure new properties exist even in old saves
-                    permanentBonuses: {
-                        ...this.state.permanentBonuses,
-                        ...parsedData.permanentBonuses
-                    },
-                    worldTiers: {
-                        ...this.state.worldTiers,
-                        ...parsedData.worldTiers
-                    },
-                    unlocks: {
-                        ...this.state.unlocks,
-                        ...parsedData.unlocks
-                    },
-                    achievements: {
-                        ...this.state.achievements,
-                        ...parsedData.achievements
-                    },
-                    settings: {
-                        ...this.state.settings,
-                        ...parsedData.settings
-                    },
-                    // Ensure worldHistory exists (for compatibility with old saves)
-                    worldHistory: parsedData.worldHistory || []
-                };
+                // Upgrade old formats and merge onto a fresh state
+                this.applySaveData(parsedData);
                 
                 try {
                     // Validate state structure and fix any missing properties
@@ -467,6 +495,96 @@ export class GameState {
         return false;
     }
 
+    // The one path from stored or imported save data to live state, used by loadGame and
+    // Game.importSave: migrate to the current version, then merge onto a fresh default state so
+    // fields added since the save was written get their defaults. Returns the migration result
+    applySaveData(saveData) {
+        const migration = SaveMigrations.migrate(saveData);
+        this.state = this.mergeWithDefaults(migration.save);
+        
+        if (migration.applied.length > 0) {
+            console.log(`[GameState] Migrated save from v${migration.fromVersion}:`, migration.applied);
+        }
+        
+        // Fix whatever the schema still finds wrong instead of rejecting the whole save
+        const report = this.checkState({ repair: true });
+        if (!report.valid) {
+            console.warn(`[GameState] Repaired ${report.problems.length} problem(s) in save:`, report.problems);
+        }
+        return migration;
+    }
+
+    // A migrated save on top of a fresh default state, without repairing anything
+    mergeWithDefaults(save) {
+        const defaults = new GameState({ storage: this.storage, slotId: this.slotId, content: this.content }).state;
+        
+        return {
+            ...defaults,
+            ...save,
+            // Nested objects merge so new keys keep their defaults
+            upgrades: {
+                ...defaults.upgrades,
+                ...save.upgrades
+            },
+            resources: {
+                ...defaults.resources,
+                ...save.resources
+            },
+            currentWorld: save.currentWorld || defaults.currentWorld,
+            permanentBonuses: {
+                ...defaults.permanentBonuses,
+                ...save.permanentBonuses
+            },
+            worldTiers: {
+                ...defaults.worldTiers,
+                ...save.worldTiers
+            },
+            worldRerolls: {
+                ...defaults.worldRerolls,
+                ...save.worldRerolls
+            },
+            eventPity: {
+                ...defaults.eventPity,
+                ...save.eventPity
+            },
+            unlocks: {
+                ...defaults.unlocks,
+                ...save.unlocks
+            },
+            achievements: {
+                ...defaults.achievements,
+                ...save.achievements,
+                // Definitions come from the content packs, so pack changes reach existing saves
+                definitions: defaults.achievements.definitions
+            },
+            settings: {
+                ...defaults.settings,
+                ...save.settings
+            },
+            // A save from before action logging starts its own log rather than inheriting one
+            actionLog: save.actionLog || null
+        };
+    }
+
+    // Checks the live state against the full save schema (see SaveValidator). With repair on,
+    // the state is replaced by the repaired copy and the action log dropped, since it can no
+    // longer reproduce the repaired state. Returns { valid, problems }
+    checkState({ repair = false } = {}) {
+        const defaults = new GameState({ storage: this.storage, slotId: this.slotId, content: this.content }).state;
+        // Generated world ids come from the checked state's own generatedWorlds
+        const worldIds = this.worldSystem
+            ? this.worldSystem.getFixedWorldDefinitions().map(world => world.id)
+            : null;
+        const eventIds = Object.keys(this.content.events);
+        const report = new SaveValidator(defaults, { worldIds, eventIds }).check(this.state);
+        
+        if (repair && !report.valid) {
+            this.state = report.state;
+            this.state.actionLog = null;
+        }
+        return { valid: report.valid, problems: report.problems };
+    }
+
     // Validate save data integrity to prevent corruption
     validateSaveData(data) {
         // Check if data is an object
@@ -536,58 +654,31 @@ export class GameState {
         return true;
     }
 
+    // Structural guarantees for the live state; format changes belong in SaveMigrations
     validateAndFixState() {
-        // Migrate old saves: if worldHistory is empty but worldsCreated > 0, create placeholder history
-        if ((!this.state.worldHistory || this.state.worldHistory.length === 0) && this.state.worldsCreated > 0) {
-            this.state.worldHistory = [];
-            for (let i = 1; i <= this.state.worldsCreated; i++) {
-                this.state.worldHistory.push({
-                    id: i,
-                    type: 'Desert', // Placeholder type
-                    tier: 1,
-                    gravity: 1.0,
-                    timeSpeed: 1.0,
-                    temperature: 25,
-                    atmosphere: 50,
-                    weather: 'Calm',
-                    weatherDuration: 10,
-                    createdAt: Date.now() - (this.state.worldsCreated - i) * 60000 // Fake timestamps
-                });
-            }
-        }
-        
         // Ensure worldHistory exists
         if (!this.state.worldHistory) {
             this.state.worldHistory = [];
         }
 
         
-        // Ensure all required upgrade properties exist
-        const defaultUpgrades = {
-            heatGenerator: { level: 0, maxLevel: 10, baseCost: 10 },
-            fuelEfficiency: { level: 0, maxLevel: 10, baseCost: 15 },
-            thermalAccelerator: { level: 0, maxLevel: 5, baseCost: 25, unlocked: false, requiresHeat: 3, requiresPressure: 30 },
-            fuelSynchronizer: { level: 0, maxLevel: 5, baseCost: 30, unlocked: false, requiresFuel: 5, requiresEnergy: 20 },
-            pressureValve: { level: 0, maxLevel: 5, baseCost: 35, unlocked: false, requiresStability: 15, requiresPressure: 50 },
-            energyMatrix: { level: 0, maxLevel: 5, baseCost: 40, unlocked: false, requiresHeat: 7, requiresFuel: 8 }
-        };
-
-        // Fix any missing upgrade properties
-        for (const [key, defaultUpgrade] of Object.entries(defaultUpgrades)) {
-            if (!this.state.upgrades[key]) {
-                this.state.upgrades[key] = { ...defaultUpgrade };
-            } else {
-                // Ensure all properties exist
-                const before = { ...this.state.upgrades[key] };
-                this.state.upgrades[key] = { ...defaultUpgrade, ...this.state.upgrades[key] };
-              
-            }
+        // Upgrade tuning comes from the content packs, so pack changes reach existing saves;
+        // the save keeps its level and unlocked flag
+        for (const [key, upgrade] of Object.entries(this.content.upgrades)) {
+            const { unlocked, ...tuning } = upgrade;
+            this.state.upgrades[key] = { level: 0, ...upgrade, ...this.state.upgrades[key], ...tuning };
         }
 
-        // Ensure activeEvents array exists
+        // Ensure activeEvents, scheduledEvents and modifiers arrays exist
         if (!this.state.activeEvents) {
             this.state.activeEvents = [];
         }
+        if (!this.state.scheduledEvents) {
+            this.state.scheduledEvents = [];
+        }
+        if (!this.state.modifiers) {
+            this.state.modifiers = [];
+        }
 
         // Ensure all required resources exist
         const defaultResources = { heat: 0, fuel: 0, pressure: 0, energy: 0, stability: 0 };
@@ -595,22 +686,22 @@ export class GameState {
     }
 
     resetGame() {
-        const confirmReset = confirm('Are you sure you want to reset your progress? This cannot be undone.');
+        const confirmReset = this.confirmAction('Are you sure you want to reset your progress? This cannot be undone.');
         if (confirmReset) {
-            localStorage.removeItem('machineOfWorldsSave');
+            this.storage.removeItem(this.getSaveKey());
             // Reset to initial state
-            this.state = new GameState().state;
+            this.state = new GameState({ storage: this.storage, slotId: this.slotId, content: this.content }).state;
             return true;
         }
         return false;
     }
 
-    // Debug function to force clear localStorage and reset
+    // Debug function to force clear storage and reset
     forceClearAndReset() {
 
-        localStorage.removeItem('machineOfWorldsSave');
+        this.storage.removeItem(this.getSaveKey());
         // Create a fresh state
-        const freshGameState = new GameState();
+        const freshGameState = new GameState({ storage: this.storage, slotId: this.slotId, content: this.content });
         this.state = freshGameState.state
     }
 }
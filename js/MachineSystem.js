@@ -98,6 +98,8 @@ export class MachineSystem {
     }
 
     getCSSColor(variableName) {
+        // No stylesheet to read from when running headless
+        if (typeof document === 'undefined' || typeof getComputedStyle !== 'function') return '#3498db';
         return getComputedStyle(document.documentElement).getPropertyValue(variableName).trim() || '#3498db';
     }
 
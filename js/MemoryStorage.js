@@ -0,0 +1,36 @@
+// MemoryStorage.js - In-memory stand-in for localStorage used by headless runs (Node, CI)
+
+export class MemoryStorage {
+    constructor(initialData = {}) {
+        this.data = new Map(Object.entries(initialData));
+    }
+
+    get length() {
+        return this.data.size;
+    }
+
+    key(index) {
+        return Array.from(this.data.keys())[index] ?? null;
+    }
+
+    getItem(key) {
+        return this.data.has(key) ? this.data.get(key) : null;
+    }
+
+    setItem(key, value) {
+        this.data.set(key, String(value));
+    }
+
+    removeItem(key) {
+        this.data.delete(key);
+    }
+
+    clear() {
+        this.data.clear();
+    }
+
+    // Plain object copy of everything stored, handy for dumping a run to disk
+    toJSON() {
+        return Object.fromEntries(this.data);
+    }
+}
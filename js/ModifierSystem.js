@@ -0,0 +1,130 @@
+// ModifierSystem.js - The one modifier stack every generation and cost calculation goes through
+// A modifier changes one stat: { source, label, target, operation, value, expires }
+//   source    - where it comes from, one of MODIFIER_SOURCES
+//   target    - the stat it changes: 'generation.<resource>' ('generation.all' counts for every
+//               resource), 'energyCost', 'upgradeCost', 'stabilityPerAction', 'pressurePerAction'
+//               or 'offlineEfficiency'
+//   operation - 'add' (flat amount), 'percent' (0.2 is +20%) or 'multiply'
+//   expires   - actions left for timed modifiers, null while its source lasts
+//   uses      - purchases left, for modifiers used up by buying rather than by actions
+// A modifier with actionsOnly only counts for player actions, not for world creation, idle or
+// offline yields. A random modifier has a range and counts as 1 until it is rolled
+//
+// Pressure and stability aren't part of an action's yield: they change by a set amount on every
+// action. Their generation bonuses target that change instead (PER_ACTION_TARGETS), and on those
+// stats percents and multipliers only scale a gain, so a bonus never deepens a loss
+//
+// Timed and purchase-counted modifiers (from event choices) are kept in state.modifiers. Everything else is read from
+// the source systems on every query, so it always matches the current upgrades, achievements,
+// weather and world
+
+export const MODIFIER_OPERATIONS = ['add', 'percent', 'multiply'];
+
+// Where a generation bonus for each resource goes, for resources that change per action
+export const PER_ACTION_TARGETS = {
+    pressure: 'pressurePerAction',
+    stability: 'stabilityPerAction'
+};
+
+export const MODIFIER_SOURCES = {
+    event: 'Event',
+    upgrade: 'Upgrade',
+    achievement: 'Achievement',
+    weather: 'Weather',
+    world: 'World',
+    bonus: 'Permanent'
+};
+
+export class ModifierSystem {
+    constructor(gameState) {
+        this.gameState = gameState;
+        // Systems with getModifiers(stat, context), asked in the order they were added
+        this.sources = [];
+    }
+
+    addSource(source) {
+        this.sources.push(source);
+    }
+
+    // Stores a timed modifier; it counts down with tick()
+    addModifier(modifier) {
+        const state = this.gameState.getState();
+        if (!state.modifiers) {
+            state.modifiers = [];
+        }
+        state.modifiers.push({ actionsOnly: false, ...modifier });
+    }
+
+    // One player action passed: timed modifiers count down and drop out when they run out
+    tick() {
+        const state = this.gameState.getState();
+        if (!state.modifiers) return;
+
+        state.modifiers = state.modifiers.filter(modifier => {
+            if (modifier.uses !== undefined) return true;
+            modifier.expires--;
+            return modifier.expires > 0;
+        });
+    }
+
+    // A purchase went through at a price from this stat: its purchase-counted modifiers are used once
+    useUp(stat) {
+        const state = this.gameState.getState();
+        if (!state.modifiers) return;
+
+        state.modifiers = state.modifiers.filter(modifier => {
+            if (modifier.uses === undefined || modifier.target !== stat) return true;
+            modifier.uses--;
+            return modifier.uses > 0;
+        });
+    }
+
+    appliesTo(modifier, stat, context) {
+        if (modifier.actionsOnly && !context.action) return false;
+        if (modifier.target === stat) return true;
+        return modifier.target === 'generation.all' && stat.startsWith('generation.');
+    }
+
+    // Every modifier on a stat. context.world is the world asked about, context.action marks a
+    // player action and context.roll rolls random modifiers (only when the result is applied)
+    getModifiers(stat, context = {}) {
+        const state = this.gameState.getState();
+        const modifiers = [...(state.modifiers || [])];
+        this.sources.forEach(source => {
+            modifiers.push(...source.getModifiers(stat, context));
+        });
+        return modifiers.filter(modifier => this.appliesTo(modifier, stat, context));
+    }
+
+    // (base + adds) x (1 + percents) x multipliers. Per-action stats stop at the adds when they
+    // come to a loss
+    combine(stat, base, modifiers) {
+        let added = base;
+        let percent = 0;
+        let multiplier = 1;
+        modifiers.forEach(modifier => {
+            if (modifier.operation === 'add') {
+                added += modifier.value;
+            } else if (modifier.operation === 'percent') {
+                percent += modifier.value;
+            } else if (modifier.operation === 'multiply') {
+                multiplier *= modifier.value;
+            }
+        });
+        if (added <= 0 && Object.values(PER_ACTION_TARGETS).includes(stat)) {
+            return added;
+        }
+        return added * (1 + percent) * multiplier;
+    }
+
+    calculate(stat, base, context = {}) {
+        return this.combine(stat, base, this.getModifiers(stat, context));
+    }
+
+    // What calculate() would give and every modifier behind it, for the breakdown view.
+    // Random modifiers are left unrolled and count as 1
+    getBreakdown(stat, base, context = {}) {
+        const modifiers = this.getModifiers(stat, { ...context, roll: false });
+        return { stat, base, modifiers, total: this.combine(stat, base, modifiers) };
+    }
+}
@@ -0,0 +1,85 @@
+// RandomService.js - Seeded, reproducible random numbers for every gameplay roll
+// The generator is counter based: the n-th roll only depends on (seed, n), so storing
+// { seed, cursor } in the save is enough to resume - or replay - a run exactly
+
+export class RandomService {
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    static createSeed() {
+        return Math.floor(Math.random() * 0x100000000) >>> 0;
+    }
+
+    // Mulberry32 output for position `cursor` of the stream started by `seed`
+    static valueAt(seed, cursor) {
+        let t = (seed + Math.imul(cursor + 1, 0x6D2B79F5)) >>> 0;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    // Independent stream derived from a seed and a key. Rolls from it never move the main cursor,
+    // so content generated lazily (e.g. while the UI renders) can't desync a replay
+    static fork(seed, key) {
+        const state = { rng: { seed: (seed ^ Math.imul(key + 1, 0x9E3779B1)) >>> 0, cursor: 0 } };
+        return new RandomService({ getState: () => state });
+    }
+
+    getRngState() {
+        const state = this.gameState.getState();
+        if (!state.rng || typeof state.rng.seed !== 'number') {
+            state.rng = { seed: RandomService.createSeed(), cursor: 0 };
+        }
+        return state.rng;
+    }
+
+    getSeed() {
+        return this.getRngState().seed;
+    }
+
+    getCursor() {
+        return this.getRngState().cursor;
+    }
+
+    // Start a new stream (e.g. to reproduce a bug report)
+    setSeed(seed) {
+        const state = this.gameState.getState();
+        state.rng = { seed: Number(seed) >>> 0, cursor: 0 };
+    }
+
+    // Float in [0, 1) - drop-in replacement for Math.random()
+    next() {
+        const rng = this.getRngState();
+        const value = RandomService.valueAt(rng.seed, rng.cursor);
+        rng.cursor++;
+        return value;
+    }
+
+    // Float in [min, max)
+    range(min, max) {
+        return min + this.next() * (max - min);
+    }
+
+    // Integer in [min, max]
+    int(min, max) {
+        return min + Math.floor(this.next() * (max - min + 1));
+    }
+
+    pick(items) {
+        if (!items || items.length === 0) return undefined;
+        return items[Math.floor(this.next() * items.length)];
+    }
+
+    // Like pick, with each item's chance proportional to weightOf(item)
+    weightedPick(items, weightOf) {
+        if (!items || items.length === 0) return undefined;
+        const totalWeight = items.reduce((sum, item) => sum + weightOf(item), 0);
+        let roll = this.next() * totalWeight;
+        for (const item of items) {
+            roll -= weightOf(item);
+            if (roll < 0) return item;
+        }
+        return items[items.length - 1];
+    }
+}
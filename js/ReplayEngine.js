@@ -0,0 +1,172 @@
+// ReplayEngine.js - Rebuilds a GameState from a starting snapshot and an action log
+// Used to step through player bug reports and to check that a save matches its own action log
+
+import { GameEngine } from './GameEngine.js';
+import { MemoryStorage } from './MemoryStorage.js';
+import { ACTION_TYPES } from './ActionLog.js';
+
+export class ReplayEngine {
+    constructor(baseSnapshot, actions = []) {
+        this.actions = actions;
+        this.position = 0;
+
+        // Replays run on their own engine so they never touch the player's storage
+        this.engine = new GameEngine({
+            storage: new MemoryStorage(),
+            recordActions: false
+        });
+        this.engine.gameState.state = JSON.parse(JSON.stringify(baseSnapshot));
+        this.engine.gameState.state.actionLog = null;
+    }
+
+    getState() {
+        return this.engine.getState();
+    }
+
+    isFinished() {
+        return this.position >= this.actions.length;
+    }
+
+    // Applies the next logged action (all of its folded repeats) and returns it
+    step() {
+        if (this.isFinished()) return null;
+
+        const action = this.actions[this.position];
+        const repeats = action.count || 1;
+        for (let i = 0; i < repeats; i++) {
+            this.applyAction(action);
+        }
+        this.position++;
+        return action;
+    }
+
+    runToEnd() {
+        while (!this.isFinished()) {
+            this.step();
+        }
+        return this.getState();
+    }
+
+    applyAction(action) {
+        const payload = action.payload || {};
+
+        switch (action.type) {
+            case ACTION_TYPES.CREATE_WORLD:
+                this.engine.createWorld();
+                break;
+            case ACTION_TYPES.GENERATE_RESOURCE:
+                this.engine.generateResource(payload.resourceType);
+                break;
+            case ACTION_TYPES.GENERATE_ENERGY:
+                this.engine.generateEnergy();
+                break;
+            case ACTION_TYPES.UPGRADE_RESOURCE:
+                this.engine.upgradeResource(payload.upgradeType, payload.resourceType);
+                break;
+            case ACTION_TYPES.UPGRADE_CROSS_RESOURCE:
+                this.engine.upgradeCrossResource(payload.upgradeType, payload.resourceType);
+                break;
+            case ACTION_TYPES.SELECT_EVENT_CHOICE: {
+                const event = this.engine.eventSystem.getEventById(payload.eventId);
+                const choice = event ? event.choices[payload.choiceIndex] : null;
+                if (event && choice) {
+                    this.engine.selectEventChoice(event, choice, payload.option !== undefined ? payload.option : null);
+                } else {
+                    console.warn('[ReplayEngine] Unknown event choice in log:', payload);
+                }
+                break;
+            }
+            case ACTION_TYPES.UNLOCK_WORLD_GENERATOR:
+                this.engine.unlockWorldGenerator();
+                break;
+            case ACTION_TYPES.SELECT_WORLD_TIER:
+                this.engine.selectWorldTier(payload.tier);
+                break;
+            case ACTION_TYPES.TRAVEL_TO_WORLD:
+                this.engine.travelToWorld(payload.worldId);
+                break;
+            case ACTION_TYPES.REROLL_WORLD:
+                this.engine.rerollNextWorld();
+                break;
+            case ACTION_TYPES.CREATE_CUSTOM_WORLD:
+                this.engine.createCustomWorld(payload.properties, payload.name);
+                break;
+            case ACTION_TYPES.OFFLINE_PROGRESS:
+                this.engine.applyOfflineSeconds(payload.seconds);
+                break;
+            case ACTION_TYPES.TICK:
+                // Ticks were only logged while idle mode was on, so apply them regardless of the setting now
+                this.engine.applyTick(payload.seconds);
+                break;
+            default:
+                console.warn('[ReplayEngine] Unknown action type in log:', action.type);
+        }
+    }
+
+    // The parts of the state that are fully determined by the action log. Timestamps, playtime,
+    // achievements (some depend on wall-clock time) and the machine visuals are left out
+    static fingerprint(state) {
+        const upgradeLevels = {};
+        for (const [name, upgrade] of Object.entries(state.upgrades || {})) {
+            upgradeLevels[name] = upgrade.level;
+        }
+
+        return {
+            worldsCreated: state.worldsCreated,
+            worldProgress: state.worldProgress,
+            selectedTier: state.worldTiers ? state.worldTiers.selectedTier : 1,
+            rerollCharges: state.worldRerolls ? state.worldRerolls.charges : 0,
+            rift: state.rift ? `${state.rift.returnWorldId}:${state.rift.actionsLeft}` : null,
+            unlockedWorlds: [...(state.unlockedWorlds || [])].sort((a, b) => a - b),
+            currentWorld: state.currentWorld ? state.currentWorld.id : null,
+            weather: state.currentWorld ? `${state.currentWorld.weather}:${state.currentWorld.weatherDuration}` : null,
+            resources: { ...state.resources },
+            upgrades: upgradeLevels,
+            activeEvents: (state.activeEvents || []).map(event => `${event.effect}:${event.duration}`),
+            modifiers: (state.modifiers || []).map(modifier => `${modifier.target}:${modifier.operation}:${modifier.value}:${modifier.expires}:${modifier.uses}`),
+            eventPity: state.eventPity ? { ...state.eventPity } : null,
+            eventChoices: (state.eventHistory || []).map(entry => `${entry.name}:${entry.choice}`),
+            pendingEvent: state.pendingEvent || null,
+            scheduledEvents: (state.scheduledEvents || []).map(scheduled => `${scheduled.eventId}:${scheduled.actionsLeft}`),
+            permanentBonuses: { ...state.permanentBonuses },
+            rng: state.rng ? { ...state.rng } : null
+        };
+    }
+
+    static compare(expected, actual, path = '', mismatches = []) {
+        if (typeof expected === 'number' && typeof actual === 'number') {
+            if (Math.abs(expected - actual) > 1e-6) {
+                mismatches.push({ path, expected, actual });
+            }
+        } else if (expected && actual && typeof expected === 'object' && typeof actual === 'object') {
+            const keys = new Set([...Object.keys(expected), ...Object.keys(actual)]);
+            keys.forEach(key => {
+                ReplayEngine.compare(expected[key], actual[key], path ? `${path}.${key}` : key, mismatches);
+            });
+        } else if (expected !== actual) {
+            mismatches.push({ path, expected, actual });
+        }
+        return mismatches;
+    }
+
+    // Replays the save's own log and reports every field where the save disagrees with the replay
+    static verify(state) {
+        const log = state.actionLog;
+        if (!log || !log.baseSnapshot || !Array.isArray(log.actions)) {
+            return { valid: false, reason: 'This save has no action log to verify against', mismatches: [] };
+        }
+
+        const replay = new ReplayEngine(log.baseSnapshot, log.actions);
+        const replayed = replay.runToEnd();
+        const mismatches = ReplayEngine.compare(
+            ReplayEngine.fingerprint(replayed),
+            ReplayEngine.fingerprint(state)
+        );
+
+        return {
+            valid: mismatches.length === 0,
+            actionsReplayed: log.actions.reduce((total, action) => total + (action.count || 1), 0),
+            mismatches
+        };
+    }
+}
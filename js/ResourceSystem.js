@@ -1,114 +1,262 @@
 // ResourceSystem.js - Handles resource generation, decay, and management
 
+import { RandomService } from './RandomService.js';
+import { PER_ACTION_TARGETS } from './ModifierSystem.js';
+
+// Idle play yields a tenth of a world's per-action output each second, so it never out-earns clicking
+const PASSIVE_YIELD_FRACTION = 0.1;
+// Energy lost per second of idle time at timeSpeed 1.0 (faster worlds decay faster)
+const ENERGY_DECAY_PER_SECOND = 0.5;
+// Offline time earns half the idle rate before modifiers (Time Master adds +50%)
+const OFFLINE_EFFICIENCY = 0.5;
+
+// Every resource in display order. `max` is the cap shown next to the amount; `action` labels the
+// main-page button for resources a world produces directly
+export const RESOURCE_TYPES = {
+    heat: { label: 'Heat', action: 'Generate Heat' },
+    fuel: { label: 'Fuel', action: 'Generate Fuel' },
+    pressure: { label: 'Pressure', max: 100 },
+    energy: { label: 'Energy', max: 200 },
+    stability: { label: 'Stability', max: 50 },
+    water: { label: 'Water', action: 'Extract Water' },
+    oxygen: { label: 'Oxygen', action: 'Harvest Oxygen' },
+    stone: { label: 'Stone', action: 'Mine Stone' },
+    magma: { label: 'Magma', action: 'Tap Magma' },
+    ice: { label: 'Ice', action: 'Gather Ice' },
+    crystal: { label: 'Crystal', action: 'Grow Crystals' },
+    voidEnergy: { label: 'Void Energy', action: 'Siphon Void Energy' }
+};
+
 export class ResourceSystem {
-    constructor(gameState, achievementSystem = null) {
+    constructor(gameState, achievementSystem = null, rng = null) {
         this.gameState = gameState;
         this.achievementSystem = achievementSystem;
+        this.rng = rng || new RandomService(gameState);
+        this.worldStats = null;
+        this.modifierSystem = null;
+    }
+
+    // Per-world yield records for the world history explorer
+    setWorldStats(worldStats) {
+        this.worldStats = worldStats;
+    }
+
+    // Adds a world's output to the resources and credits it to that world's stats
+    addWorldIncome(world, gains, shouldSave = false) {
+        this.gameState.addResources(gains, shouldSave);
+        if (this.worldStats) {
+            this.worldStats.recordIncome(world, gains);
+        }
     }
 
-    // Get passive bonuses from owned worlds (applied to manual generation)
-    getWorldBonuses() {
+    // Generation and cost calculations go through the modifier stack
+    setModifierSystem(modifierSystem) {
+        this.modifierSystem = modifierSystem;
+    }
+
+    // Modifier source: the world's climate, its Tier 2/3 special effects and permanent efficiency.
+    // Quantum worlds ('random') only swing player actions, rolled when the gain is applied
+    getModifiers(stat, context) {
+        const world = context.world;
         const state = this.gameState.getState();
-        if (!state || !state.worldsCreated) return { heatMultiplier: 1, fuelMultiplier: 1 };
-        
-        // Each world provides bonuses to manual generation - improved progression
-        const worldBonus = 1 + (state.worldsCreated * 0.15); // Increased from 10% to 15% per world
-        
-        // Apply upgrade multipliers to bonuses
-        let heatMultiplier = worldBonus;
-        let fuelMultiplier = worldBonus;
-        
-        if (state.upgrades && state.upgrades.heatGenerator) {
-            heatMultiplier += state.upgrades.heatGenerator.level * 0.08; // Increased from 5% to 8% per level
+        const modifiers = [];
+        const add = (target, operation, value, label, extra = {}) => {
+            modifiers.push({ source: 'world', label, target, operation, value, expires: null, ...extra });
+        };
+
+        if (world && stat.startsWith('generation.')) {
+            if (world.temperature > 50) add('generation.heat', 'multiply', 1.2, 'Hot climate (over 50°C)');
+            if (world.temperature < 0) add('generation.ice', 'multiply', 1.3, 'Freezing climate (below 0°C)');
+            if (world.atmosphere > 70) add('generation.water', 'multiply', 1.15, 'Dense atmosphere (over 70%)');
         }
-        if (state.upgrades && state.upgrades.fuelEfficiency) {
-            fuelMultiplier += state.upgrades.fuelEfficiency.level * 0.08; // Increased from 5% to 8% per level
+
+        const effects = world && world.specialEffects && world.specialEffects.effects;
+        if (effects) {
+            const label = `${world.name} world effect`;
+            for (const [key, value] of Object.entries(effects)) {
+                if (typeof value === 'number' && key !== 'stabilityPerAction' && key !== 'pressurePerAction') {
+                    add(PER_ACTION_TARGETS[key] || `generation.${key}`, 'multiply', value, label);
+                }
+            }
+            if (effects.all === 'random' && stat.startsWith('generation.')) {
+                const value = context.roll ? this.rng.range(0.5, 2.0) : 1;
+                add('generation.all', 'multiply', value, label, { actionsOnly: true, range: [0.5, 2.0] });
+            }
+            // Living worlds adapt over time: 1% per world created
+            if (effects.special === 'learningBonus') {
+                add('generation.all', 'multiply', 1 + state.worldsCreated * 0.01, label);
+            }
+            if (effects.stabilityPerAction) add('stabilityPerAction', 'add', effects.stabilityPerAction, label);
+            if (effects.pressurePerAction) add('pressurePerAction', 'add', effects.pressurePerAction, label);
         }
-        
-        return { heatMultiplier, fuelMultiplier };
+
+        if (state.permanentBonuses.resourceEfficiency !== 1) {
+            modifiers.push({
+                source: 'bonus',
+                label: 'Permanent efficiency',
+                target: 'generation.all',
+                operation: 'multiply',
+                value: state.permanentBonuses.resourceEfficiency,
+                expires: null
+            });
+        }
+        return modifiers;
+    }
+
+    // Per-action stability and pressure changes (weather, world effects, events)
+    applyActionEffects(world) {
+        const context = { world, action: true };
+        const changes = {};
+        const stability = this.modifierSystem.calculate('stabilityPerAction', 0, context);
+        const pressure = this.modifierSystem.calculate('pressurePerAction', 0, context);
+        if (stability !== 0) changes.stability = stability;
+        if (pressure !== 0) changes.pressure = pressure;
+        
+        if (Object.keys(changes).length > 0) {
+            this.gameState.addResources(changes);
+        }
+        return changes;
+    }
+
+    // Yield of one resource from a world's resourceGeneration entry, before rounding.
+    // Used for world creation, idle and offline income; player actions use generateResource
+    calculateWorldYield(world, resourceType, config) {
+        return this.modifierSystem.calculate(`generation.${resourceType}`, this.getBaseYield(config), { world });
+    }
+
+    getBaseYield(config) {
+        return (config.base || 0) * (config.multiplier || 1.0);
+    }
+
+    // How the current world's action for a resource adds up, without rolling anything
+    getActionBreakdown(type) {
+        const world = this.gameState.getState().currentWorld;
+        if (!world || !world.resourceGeneration || !world.resourceGeneration[type]) return null;
+
+        const base = this.getBaseYield(world.resourceGeneration[type]);
+        return this.modifierSystem.getBreakdown(`generation.${type}`, base, { world, action: true });
     }
 
     generateResources(world) {
         if (!world || !world.resourceGeneration) return;
         
-        const state = this.gameState.getState();
         const resourceGains = {};
         
         // Generate resources based on world definition
         for (const [resourceType, config] of Object.entries(world.resourceGeneration)) {
-            const baseGain = config.base || 0;
-            const multiplier = config.multiplier || 1.0;
-            
-            let gain = baseGain * multiplier;
-            
-            // Apply temperature effects
-            if (resourceType === 'heat' && world.temperature > 50) {
-                gain *= 1.2;
-            } else if (resourceType === 'ice' && world.temperature < 0) {
-                gain *= 1.3;
-            } else if (resourceType === 'water' && world.atmosphere > 70) {
-                gain *= 1.15;
-            }
-            
-            // Apply upgrade bonuses for heat and fuel
-            if (resourceType === 'heat' && state.upgrades.heatGenerator) {
-                gain *= (1 + state.upgrades.heatGenerator.level * 0.1);
-            } else if (resourceType === 'fuel' && state.upgrades.fuelEfficiency) {
-                gain *= (1 + state.upgrades.fuelEfficiency.level * 0.1);
-            }
-            
-            // Apply permanent bonuses
-            gain *= state.permanentBonuses.resourceEfficiency;
-            
-            resourceGains[resourceType] = Math.floor(gain);
+            resourceGains[resourceType] = Math.floor(this.calculateWorldYield(world, resourceType, config));
         }
         
-        // Use the new addResources method
-        this.gameState.addResources(resourceGains, true);
+        this.addWorldIncome(world, resourceGains, true);
         
         return resourceGains;
     }
 
-    generateResource(type) {
-        const state = this.gameState.getState();
-        const world = state.currentWorld;
+    // Per-second passive income from the current world (idle play mode)
+    getPassiveRates(world) {
+        const rates = {};
+        if (!world || !world.resourceGeneration) return rates;
         
-        if (!world || !world.resourceGeneration || !world.resourceGeneration[type]) {
-            return 0;
+        for (const [resourceType, config] of Object.entries(world.resourceGeneration)) {
+            rates[resourceType] = this.calculateWorldYield(world, resourceType, config) * PASSIVE_YIELD_FRACTION;
+        }
+        return rates;
+    }
+
+    // Passive gains are kept fractional so short ticks still add up; the UI floors them for display
+    applyPassiveProduction(world, seconds) {
+        const rates = this.getPassiveRates(world);
+        const gains = {};
+        for (const [resourceType, rate] of Object.entries(rates)) {
+            gains[resourceType] = rate * seconds;
         }
         
-        // Get resource generation config for this world and resource type
-        const config = world.resourceGeneration[type];
-        const baseGain = config.base || 0;
-        const multiplier = config.multiplier || 1.0;
-        
-        let gain = baseGain * multiplier;
+        if (Object.keys(gains).length > 0) {
+            this.addWorldIncome(world, gains);
+        }
+        return gains;
+    }
+
+    // Gains for time spent away, using the same world yields as idle play at the offline rate.
+    // Returns the gains actually kept and which caps cut them short
+    applyOfflineProgress(world, seconds) {
+        const state = this.gameState.getState();
+        const rates = this.getPassiveRates(world);
+        const offlineMultiplier = this.getOfflineEfficiency(world);
+        const expected = {};
+        const gains = {};
+        
+        for (const [resourceType, rate] of Object.entries(rates)) {
+            const gain = Math.floor(rate * seconds * offlineMultiplier);
+            if (gain > 0) {
+                gains[resourceType] = gain;
+                expected[resourceType] = (state.resources[resourceType] || 0) + gain;
+            }
+        }
         
-        // Apply temperature effects
-        if (type === 'heat' && world.temperature > 50) {
-            gain *= 1.2;
-        } else if (type === 'ice' && world.temperature < 0) {
-            gain *= 1.3;
-        } else if (type === 'water' && world.atmosphere > 70) {
-            gain *= 1.15;
+        if (Object.keys(gains).length > 0) {
+            this.addWorldIncome(world, gains);
         }
         
-        // Apply upgrade bonuses for heat and fuel
-        if (type === 'heat' && state.upgrades.heatGenerator) {
-            gain *= (1 + state.upgrades.heatGenerator.level * 0.2);
-        } else if (type === 'fuel' && state.upgrades.fuelEfficiency) {
-            gain *= (1 + state.upgrades.fuelEfficiency.level * 0.2);
+        // Anything below what was added got clipped by enforceResourceCaps
+        const kept = {};
+        const capsHit = [];
+        for (const [resourceType, target] of Object.entries(expected)) {
+            const actual = state.resources[resourceType];
+            kept[resourceType] = gains[resourceType] - Math.max(0, target - actual);
+            if (actual < target) {
+                capsHit.push(resourceType);
+            }
         }
         
-        // Apply event multipliers
-        gain = this.applyEventMultipliers(type, gain);
+        return { gains: kept, capsHit };
+    }
+
+    getOfflineEfficiency(world) {
+        return this.modifierSystem.calculate('offlineEfficiency', OFFLINE_EFFICIENCY, { world });
+    }
+
+    getOfflineBreakdown() {
+        const world = this.gameState.getState().currentWorld;
+        return this.modifierSystem.getBreakdown('offlineEfficiency', OFFLINE_EFFICIENCY, { world });
+    }
+
+    applyEnergyDecay(world, seconds) {
+        const state = this.gameState.getState();
+        if (!world || state.resources.energy <= 0) return 0;
+        
+        // Magnetic worlds store energy without decay
+        const effects = world.specialEffects && world.specialEffects.effects;
+        if (effects && effects.special === 'noEnergyDecay') return 0;
+        
+        const decay = Math.min(state.resources.energy, (world.timeSpeed || 1) * ENERGY_DECAY_PER_SECOND * seconds);
+        state.resources.energy -= decay;
+        return decay;
+    }
+
+    // The generate actions a world offers: one per resource in its resourceGeneration
+    getWorldActions(world) {
+        if (!world || !world.resourceGeneration) return [];
+        
+        return Object.keys(RESOURCE_TYPES)
+            .filter(type => RESOURCE_TYPES[type].action && world.resourceGeneration[type])
+            .map(type => ({ type, label: RESOURCE_TYPES[type].action }));
+    }
+
+    generateResource(type) {
+        const state = this.gameState.getState();
+        const world = state.currentWorld;
+        
+        if (!world || !world.resourceGeneration || !world.resourceGeneration[type]) {
+            return 0;
+        }
         
-        // Apply permanent bonuses
-        gain *= state.permanentBonuses.resourceEfficiency;
+        const base = this.getBaseYield(world.resourceGeneration[type]);
+        const gain = this.modifierSystem.calculate(`generation.${type}`, base, { world, action: true, roll: true });
         
-        // Use addResources method to ensure save is triggered
+        // Save right away so manual gains aren't lost
         const gainAmount = Math.floor(gain);
-        this.gameState.addResources({ [type]: gainAmount }, true);
+        this.addWorldIncome(world, { [type]: gainAmount }, true);
         
         // Track manual generation for achievements
         if (this.achievementSystem) {
@@ -120,165 +268,24 @@ export class ResourceSystem {
         return gainAmount;
     }
 
-    generatePressure(world) {
-        if (!world) return;
-        
-        // Check if world has pressure generation configured
-        if (world.resourceGeneration && world.resourceGeneration.pressure) {
-            const config = world.resourceGeneration.pressure;
-            const baseGain = config.base || 0;
-            const multiplier = config.multiplier || 1.0;
-            let pressureGain = baseGain * multiplier;
-            
-            // Apply environmental bonuses for pressure
-            if (world.atmosphere > 70) {
-                pressureGain *= 1.5;
-            }
-            if (world.gravity > 2.0) {
-                pressureGain *= 1.2;
-            }
-            
-            // Apply pressure using centralized cap system
-            this.gameState.addResources({ pressure: Math.floor(pressureGain) });
-        } else {
-            // Legacy calculation for backwards compatibility
-            let pressureGain = 2 + (world.gravity * 3) + (world.atmosphere / 25);
-            
-            // Weather influences (legacy)
-            switch (world.weather) {
-                case 'Stormy':
-                    pressureGain *= 1.25;
-                    break;
-                case 'Turbulent':
-                    pressureGain *= 2.0; // +100%
-                    break;
-            }
-            
-            // High atmosphere bonus
-            if (world.atmosphere > 70) {
-                pressureGain += 2;
-            }
-            
-            // Apply pressure using centralized cap system
-            this.gameState.addResources({ pressure: Math.floor(pressureGain) });
-        }
-        
-        // Cross-Resource Upgrade: Pressure Valve (always apply)
+    // Cross-Resource Upgrade: Pressure Valve converts excess pressure to heat while stability holds
+    applyPressureValve() {
         const state = this.gameState.getState();
-        if (state.upgrades && state.upgrades.pressureValve) {
-            const valveUpgrade = state.upgrades.pressureValve;
-            if (valveUpgrade.level > 0 && state.resources.stability > 20) {
-                // Converts excess pressure to heat
-                if (state.resources.pressure > 80) {
-                    const heatBonus = Math.floor(valveUpgrade.level * 2);
-                    this.gameState.addResources({ heat: heatBonus });
-                    
-                    // Track conversion for achievements
-                    if (this.achievementSystem) {
-                        this.achievementSystem.trackConversion('pressure', 'heat', heatBonus);
-                    }
-                }
-            }
-        }
-    }
-
-    generateStability(world) {
-        let stabilityGain = 1; // Base 1 per action
+        if (!state.upgrades || !state.upgrades.pressureValve) return 0;
         
-        if (world) {
-            // Apply world tier special effects
-            if (world.specialEffects && world.specialEffects.effects && world.specialEffects.effects.stability) {
-                stabilityGain *= world.specialEffects.effects.stability;
-            }
-            
-            // Special handling for specific world types
-            if (world.specialEffects && world.specialEffects.effects) {
-                const effects = world.specialEffects.effects;
-                
-                if (effects.all === 'random') {
-                    const randomBonus = 0.5 + Math.random() * 1.5;
-                    stabilityGain *= randomBonus;
-                } else if (typeof effects.all === 'number') {
-                    stabilityGain *= effects.all;
-                }
-                
-                // Living worlds adapt over time
-                if (effects.special === 'learningBonus') {
-                    const learningBonus = 1 + (this.gameState.worldsCreated * 0.01); // 1% per world created
-                    stabilityGain *= learningBonus;
-                }
-            }
-            
-            // Temperature effects
-            if (world.temperature >= 0 && world.temperature <= 75) {
-                stabilityGain += 1; // Moderate temperature bonus
-            } else if (world.temperature > 75) {
-                stabilityGain -= 1; // Hot worlds reduce stability
-            }
-
-            // Weather effects (expanded)
-            switch (world.weather) {
-                case 'Calm':
-                    stabilityGain += 1;
-                    break;
-                case 'Chaotic':
-                    stabilityGain -= 3;
-                    break;
-                case 'Serene':
-                    stabilityGain += 2;
-                    break;
-                case 'Stormy':
-                    stabilityGain -= 2;
-                    break;
-                case 'Turbulent':
-                    stabilityGain -= 1;
-                    break;
-            }
-        }
-        
-        // Apply stability using centralized cap system
-        this.gameState.addResources({ stability: Math.floor(stabilityGain) });
-    }
-
-    generateEnergy(world) {
-        if (!world) return;
-        
-        // Energy is generated from Heat + Fuel combination
-        const heatContribution = this.gameState.resources.heat * 0.1;
-        const fuelContribution = this.gameState.resources.fuel * 0.1;
-        let energyGain = (heatContribution + fuelContribution) / 4;
-        
-        // Apply world tier special effects
-        if (world.specialEffects && world.specialEffects.effects && world.specialEffects.effects.energy) {
-            energyGain *= world.specialEffects.effects.energy;
+        const valveUpgrade = state.upgrades.pressureValve;
+        if (valveUpgrade.level <= 0 || state.resources.stability <= 20 || state.resources.pressure <= 80) {
+            return 0;
         }
         
-        // Special handling for specific world types
-        if (world.specialEffects && world.specialEffects.effects) {
-            const effects = world.specialEffects.effects;
-            
-            if (effects.all === 'random') {
-                const randomBonus = 0.5 + Math.random() * 1.5;
-                energyGain *= randomBonus;
-            } else if (typeof effects.all === 'number') {
-                energyGain *= effects.all;
-            }
-        }
+        const heatBonus = Math.floor(valveUpgrade.level * 2);
+        this.gameState.addResources({ heat: heatBonus });
         
-        // Cross-Resource Upgrade: Energy Matrix
-        if (this.gameState.upgrades && this.gameState.upgrades.energyMatrix) {
-            const matrixUpgrade = this.gameState.upgrades.energyMatrix;
-            if (matrixUpgrade.level > 0) {
-                energyGain *= (1 + (matrixUpgrade.level * 0.15)); // +15% per level
-            }
+        // Track conversion for achievements
+        if (this.achievementSystem) {
+            this.achievementSystem.trackConversion('pressure', 'heat', heatBonus);
         }
-        
-        // Apply energy gain using centralized cap system
-        this.gameState.addResources({ energy: Math.floor(energyGain) });
-        
-        // Energy decay based on time speed
-        const decayRate = world.timeSpeed * 0.02; // Faster worlds decay energy faster
-        this.gameState.addResources({ energy: -Math.floor(decayRate) });
+        return heatBonus;
     }
 
     applyCrossResourceBonuses(baseGains) {
@@ -287,46 +294,21 @@ export class ResourceSystem {
     }
 
     applyResourceDecay(world) {
+        const state = this.gameState.getState();
         // Pressure decays by 5% per world change
-        this.gameState.resources.pressure *= 0.95;
-        this.gameState.resources.pressure = Math.floor(this.gameState.resources.pressure);
+        state.resources.pressure *= 0.95;
+        state.resources.pressure = Math.floor(state.resources.pressure);
         
         // Energy decays based on time speed
-        if (world && this.gameState.resources.energy > 0) {
+        if (world && state.resources.energy > 0) {
             const energyDecay = Math.floor(world.timeSpeed * 2);
-            this.gameState.resources.energy = Math.max(0, this.gameState.resources.energy - energyDecay);
+            state.resources.energy = Math.max(0, state.resources.energy - energyDecay);
         }
     }
 
-    applyEventMultipliers(resourceType, baseAmount) {
-        let multiplier = 1;
-        
-        const state = this.gameState.getState();
-        if (!state || !state.activeEvents) return baseAmount; // Guard against undefined state
-        
-        // Apply active event effects
-        state.activeEvents.forEach(event => {
-            switch (event.effect) {
-                case 'heatBoost':
-                    if (resourceType === 'heat') multiplier *= 1.25;
-                    break;
-                case 'fuelBoost':
-                    if (resourceType === 'fuel') multiplier *= 1.25;
-                    break;
-                case 'allResourceBoost':
-                    multiplier *= 1.15;
-                    break;
-                case 'overclock':
-                    multiplier *= 2.0;
-                    break;
-            }
-        });
-        
-        return baseAmount * multiplier;
-    }
-
     loseHighestResource(percentage) {
-        const resources = this.gameState.resources;
+        const state = this.gameState.getState();
+        const resources = state.resources;
         let highest = { type: 'heat', amount: resources.heat };
         
         ['fuel', 'pressure', 'energy'].forEach(type => {
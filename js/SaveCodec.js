@@ -0,0 +1,206 @@
+// SaveCodec.js - Compact text form of a save for copy/paste sharing
+// Format: "MOW1.<payload>.<checksum>" where the payload is the save JSON, LZW-compressed and
+// base64url-encoded, and the checksum is the CRC-32 of the JSON. The leading tag carries the
+// string format version, separate from the save's own saveVersion
+
+const PREFIX = 'MOW';
+const FORMAT_VERSION = 1;
+const MAX_CODE_BITS = 16;
+const MAX_DICTIONARY_SIZE = 1 << MAX_CODE_BITS;
+
+let crcTable = null;
+
+function crc32(bytes) {
+    if (!crcTable) {
+        crcTable = new Uint32Array(256);
+        for (let n = 0; n < 256; n++) {
+            let c = n;
+            for (let k = 0; k < 8; k++) {
+                c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+            }
+            crcTable[n] = c >>> 0;
+        }
+    }
+
+    let crc = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) {
+        crc = crcTable[(crc ^ bytes[i]) & 0xFF] ^ (crc >>> 8);
+    }
+    return ((crc ^ 0xFFFFFFFF) >>> 0).toString(16).padStart(8, '0');
+}
+
+// Width of the index-th code. Both sides derive it from the position alone, so the
+// decoder never has to know how full the encoder's dictionary was
+function codeWidth(index) {
+    return Math.min(MAX_CODE_BITS, Math.ceil(Math.log2(257 + index)));
+}
+
+function compress(bytes) {
+    const dictionary = new Map();
+    let nextCode = 256;
+    const out = [];
+    let bitBuffer = 0;
+    let bitCount = 0;
+    let codeIndex = 0;
+
+    const emit = code => {
+        const width = codeWidth(codeIndex++);
+        for (let bit = width - 1; bit >= 0; bit--) {
+            bitBuffer = (bitBuffer << 1) | ((code >>> bit) & 1);
+            if (++bitCount === 8) {
+                out.push(bitBuffer);
+                bitBuffer = 0;
+                bitCount = 0;
+            }
+        }
+    };
+
+    if (bytes.length > 0) {
+        let current = bytes[0];
+        for (let i = 1; i < bytes.length; i++) {
+            const key = current * 256 + bytes[i];
+            const known = dictionary.get(key);
+            if (known !== undefined) {
+                current = known;
+                continue;
+            }
+            emit(current);
+            if (nextCode < MAX_DICTIONARY_SIZE) {
+                dictionary.set(key, nextCode++);
+            }
+            current = bytes[i];
+        }
+        emit(current);
+    }
+
+    if (bitCount > 0) {
+        out.push(bitBuffer << (8 - bitCount));
+    }
+    return Uint8Array.from(out);
+}
+
+function decompress(packed) {
+    // Dictionary entries are runs of the output already written: [start, length]
+    const starts = [];
+    const lengths = [];
+    const out = [];
+    let bitPosition = 0;
+    const totalBits = packed.length * 8;
+    let codeIndex = 0;
+    let previousStart = -1;
+    let previousLength = 0;
+
+    while (true) {
+        const width = codeWidth(codeIndex);
+        if (bitPosition + width > totalBits) break;
+
+        let code = 0;
+        for (let i = 0; i < width; i++, bitPosition++) {
+            code = (code << 1) | ((packed[bitPosition >> 3] >> (7 - (bitPosition & 7))) & 1);
+        }
+
+        const start = out.length;
+        const nextCode = 256 + starts.length;
+        if (code < 256) {
+            out.push(code);
+        } else if (code < nextCode) {
+            const entry = code - 256;
+            for (let i = 0; i < lengths[entry]; i++) {
+                out.push(out[starts[entry] + i]);
+            }
+        } else if (code === nextCode && previousStart !== -1 && nextCode < MAX_DICTIONARY_SIZE) {
+            // The code being defined by this very step: previous string plus its own first byte
+            for (let i = 0; i < previousLength; i++) {
+                out.push(out[previousStart + i]);
+            }
+            out.push(out[previousStart]);
+        } else {
+            throw new Error('Save string is damaged (invalid compressed data)');
+        }
+
+        // The previous string followed by this one's first byte sits contiguously in the output
+        if (previousStart !== -1 && nextCode < MAX_DICTIONARY_SIZE) {
+            starts.push(previousStart);
+            lengths.push(previousLength + 1);
+        }
+        previousStart = start;
+        previousLength = out.length - start;
+        codeIndex++;
+    }
+
+    return Uint8Array.from(out);
+}
+
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const base64 = text.replace(/-/g, '+').replace(/_/g, '/');
+    const binary = atob(base64 + '='.repeat((4 - base64.length % 4) % 4));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+export class SaveCodec {
+    static get FORMAT_VERSION() {
+        return FORMAT_VERSION;
+    }
+
+    // True when the text looks like a save string rather than a JSON save file
+    static isSaveString(text) {
+        return typeof text === 'string' && text.trim().startsWith(PREFIX);
+    }
+
+    static encode(saveData) {
+        const bytes = new TextEncoder().encode(JSON.stringify(saveData));
+        return `${PREFIX}${FORMAT_VERSION}.${toBase64Url(compress(bytes))}.${crc32(bytes)}`;
+    }
+
+    // Returns the save object, or throws an Error whose message can be shown to the player as is
+    static decode(text) {
+        // Pasted strings may have been wrapped or padded by chat apps and mail clients
+        const compact = String(text || '').replace(/\s+/g, '');
+        if (!compact) {
+            throw new Error('Paste a save string first');
+        }
+
+        const match = compact.match(/^MOW(\d+)\.([A-Za-z0-9_-]*)(?:\.([0-9a-f]*))?$/);
+        if (!match) {
+            throw new Error(SaveCodec.isSaveString(compact)
+                ? 'Save string is damaged (it contains characters a save string never has)'
+                : 'This is not a Machine of Worlds save string');
+        }
+
+        const [, version, payload, checksum] = match;
+        if (Number(version) > FORMAT_VERSION) {
+            throw new Error(`Save string is from a newer version of the game (format ${version}, this build reads up to ${FORMAT_VERSION})`);
+        }
+        if (!payload || checksum === undefined || checksum.length !== 8) {
+            throw new Error('Save string is incomplete - it looks like the end was cut off when copying');
+        }
+
+        let bytes;
+        try {
+            bytes = decompress(fromBase64Url(payload));
+        } catch (error) {
+            throw new Error('Save string is damaged and cannot be read');
+        }
+        if (crc32(bytes) !== checksum) {
+            throw new Error('Save string failed its checksum - it was changed or only partly copied');
+        }
+
+        try {
+            return JSON.parse(new TextDecoder().decode(bytes));
+        } catch (error) {
+            throw new Error('Save string is damaged and cannot be read');
+        }
+    }
+}
@@ -0,0 +1,227 @@
+// SaveMigrations.js - Ordered save format migrations, applied whenever a save is loaded or imported
+// Saves written before versioning count as version 1. To change the save format, bump
+// CURRENT_SAVE_VERSION and append a migration; never edit one that has already shipped.
+// Each migrate() takes a plain save object and returns the upgraded object. tools/migrations.mjs
+// runs the fixture saves in tools/fixtures/saves (one per older version) through every migration
+// and the save schema; add a fixture with each new version
+
+export const CURRENT_SAVE_VERSION = 17;
+
+export const SAVE_MIGRATIONS = [
+    {
+        from: 1,
+        to: 2,
+        description: 'World history is always a real list',
+        migrate(save) {
+            // Older builds padded an empty history with placeholder entries (no name, fake timestamps)
+            // when worldsCreated > 0. Drop those instead of passing them off as real worlds
+            const history = Array.isArray(save.worldHistory) ? save.worldHistory : [];
+            return {
+                ...save,
+                worldHistory: history.filter(entry => entry && typeof entry.name === 'string')
+            };
+        }
+    },
+    {
+        from: 2,
+        to: 3,
+        description: 'Unlock flags and play mode setting',
+        migrate(save) {
+            const unlocks = save.unlocks && typeof save.unlocks === 'object' ? save.unlocks : {};
+            const settings = save.settings && typeof save.settings === 'object' ? save.settings : {};
+            return {
+                ...save,
+                unlocks: { worldGenerator: false, ...unlocks },
+                settings: { playMode: 'active', ...settings }
+            };
+        }
+    },
+    {
+        from: 3,
+        to: 4,
+        description: 'Restart action logs recorded before weather',
+        migrate(save) {
+            // Weather now changes what actions produce, so older logs no longer replay to the
+            // same state. A fresh log starts from the migrated save when it is loaded
+            return { ...save, actionLog: null };
+        }
+    },
+    {
+        from: 4,
+        to: 5,
+        description: 'Procedurally generated worlds',
+        migrate(save) {
+            return {
+                ...save,
+                generatedWorlds: Array.isArray(save.generatedWorlds) ? save.generatedWorlds : []
+            };
+        }
+    },
+    {
+        from: 5,
+        to: 6,
+        description: 'World tiers',
+        migrate(save) {
+            const worldTiers = save.worldTiers && typeof save.worldTiers === 'object' ? save.worldTiers : {};
+            return {
+                ...save,
+                worldTiers: { tier2Unlocked: false, tier3Unlocked: false, selectedTier: 1, ...worldTiers }
+            };
+        }
+    },
+    {
+        from: 6,
+        to: 7,
+        description: 'World reroll charges',
+        migrate(save) {
+            return { ...save, worldRerolls: { charges: 0, rerolled: {} } };
+        }
+    },
+    {
+        from: 7,
+        to: 8,
+        description: 'Dimensional rifts',
+        migrate(save) {
+            return { ...save, rift: null, riftsOpened: 0 };
+        }
+    },
+    {
+        from: 8,
+        to: 9,
+        description: 'Per-world stats',
+        migrate(save) {
+            // Nothing was recorded before this version; the explorer shows older worlds without stats
+            return { ...save, worldStats: {} };
+        }
+    },
+    {
+        from: 9,
+        to: 10,
+        description: 'Modifier stack',
+        migrate(save) {
+            // Event boosts are timed modifiers now, which older saves don't have, so events still running
+            // end here. Achievement rewards now count towards every yield, so older action logs no longer
+            // replay to the same state. achievementBonuses only cached those rewards
+            const { achievementBonuses, ...rest } = save;
+            return { ...rest, activeEvents: [], modifiers: [], actionLog: null };
+        }
+    },
+    {
+        from: 10,
+        to: 11,
+        description: 'Stability-driven event odds',
+        migrate(save) {
+            // Events roll with new odds, so older action logs no longer replay to the same state.
+            // Pity timers start from zero
+            return { ...save, eventPity: { rare: 0, ultraRare: 0 }, actionLog: null };
+        }
+    },
+    {
+        from: 11,
+        to: 12,
+        description: 'Event chains',
+        migrate(save) {
+            // New chain events join the random pool, so older action logs no longer replay to the same state
+            return { ...save, scheduledEvents: [], actionLog: null };
+        }
+    },
+    {
+        from: 12,
+        to: 13,
+        description: 'World- and weather-specific event pools',
+        migrate(save) {
+            // Events roll from the pool eligible on the current world now, so older action logs
+            // no longer replay to the same state
+            return { ...save, actionLog: null };
+        }
+    },
+    {
+        from: 13,
+        to: 14,
+        description: 'Offered event',
+        migrate(save) {
+            // Older saves didn't keep which event was on offer; one left unanswered is dropped
+            return { ...save, pendingEvent: null };
+        }
+    },
+    {
+        from: 14,
+        to: 15,
+        description: 'Create Energy counts down timed effects',
+        migrate(save) {
+            // Create Energy now uses up event durations like every other action, so older action
+            // logs no longer replay to the same state
+            return { ...save, actionLog: null };
+        }
+    },
+    {
+        from: 15,
+        to: 16,
+        description: 'Upgrade discounts count purchases',
+        migrate(save) {
+            // Event discounts on upgrades now last a number of purchases; one still running keeps
+            // its remaining actions as purchases. Older action logs no longer replay to the same state
+            const modifiers = Array.isArray(save.modifiers) ? save.modifiers : [];
+            return {
+                ...save,
+                modifiers: modifiers.map(modifier => modifier && modifier.source === 'event' && modifier.target === 'upgradeCost' &&
+                    modifier.value < 1
+                    ? { ...modifier, expires: null, uses: modifier.expires }
+                    : modifier),
+                actionLog: null
+            };
+        }
+    },
+    {
+        from: 16,
+        to: 17,
+        description: 'Pressure and stability bonuses scale per-action changes',
+        migrate(save) {
+            // Pressure and stability boosts now multiply the change on every action rather than a
+            // generation nothing produced. Older action logs no longer replay to the same state
+            const targets = { 'generation.pressure': 'pressurePerAction', 'generation.stability': 'stabilityPerAction' };
+            const modifiers = Array.isArray(save.modifiers) ? save.modifiers : [];
+            return {
+                ...save,
+                modifiers: modifiers.map(modifier => modifier && targets[modifier.target]
+                    ? { ...modifier, target: targets[modifier.target] }
+                    : modifier),
+                actionLog: null
+            };
+        }
+    }
+];
+
+export class SaveMigrations {
+    static getVersion(save) {
+        return typeof save.saveVersion === 'number' ? save.saveVersion : 1;
+    }
+
+    // Runs every migration between the save's version and the current one.
+    // Returns { save, fromVersion, applied } and never modifies the object passed in
+    static migrate(saveData) {
+        const fromVersion = SaveMigrations.getVersion(saveData);
+        if (fromVersion > CURRENT_SAVE_VERSION) {
+            throw new Error(`Save is from a newer version of the game (v${fromVersion}, this build reads up to v${CURRENT_SAVE_VERSION})`);
+        }
+
+        let save = JSON.parse(JSON.stringify(saveData));
+        const applied = [];
+
+        for (const migration of SAVE_MIGRATIONS) {
+            if (migration.from < fromVersion) continue;
+            save = migration.migrate(save);
+            save.saveVersion = migration.to;
+            applied.push(`v${migration.from}→v${migration.to}: ${migration.description}`);
+        }
+        save.saveVersion = CURRENT_SAVE_VERSION;
+
+        // The action log's starting snapshot is a save too and has to match the format it replays into
+        if (save.actionLog && save.actionLog.baseSnapshot) {
+            const snapshot = { saveVersion: fromVersion, ...save.actionLog.baseSnapshot };
+            save.actionLog.baseSnapshot = SaveMigrations.migrate(snapshot).save;
+        }
+
+        return { save, fromVersion, applied };
+    }
+}
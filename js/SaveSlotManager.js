@@ -0,0 +1,209 @@
+// SaveSlotManager.js - Named save slots, each with its own save key, backups and summary metadata
+// The first slot keeps the original storage keys so saves from before slots existed load unchanged
+
+const REGISTRY_KEY = 'machineOfWorldsSlots';
+const DEFAULT_SLOT_ID = 'default';
+const MAX_SLOTS = 5;
+
+export class SaveSlotManager {
+    constructor(storage) {
+        this.storage = storage;
+    }
+
+    static get DEFAULT_SLOT_ID() {
+        return DEFAULT_SLOT_ID;
+    }
+
+    static get MAX_SLOTS() {
+        return MAX_SLOTS;
+    }
+
+    static getSaveKey(slotId) {
+        return slotId === DEFAULT_SLOT_ID ? 'machineOfWorldsSave' : `machineOfWorldsSave_${slotId}`;
+    }
+
+    static getBackupListKey(slotId) {
+        return slotId === DEFAULT_SLOT_ID ? 'machineOfWorldsBackups' : `machineOfWorldsBackups_${slotId}`;
+    }
+
+    static getBackupKey(slotId, timestamp) {
+        return slotId === DEFAULT_SLOT_ID
+            ? `machineOfWorldsBackup_${timestamp}`
+            : `machineOfWorldsBackup_${slotId}_${timestamp}`;
+    }
+
+    // Summary shown in the slot picker without parsing the whole save
+    static createMetadata(state) {
+        return {
+            worldsCreated: state.worldsCreated || 0,
+            playtime: Math.floor(state.playtime || 0),
+            currentWorld: state.currentWorld ? state.currentWorld.name : null,
+            lastSavedAt: state.lastSavedAt || null
+        };
+    }
+
+    getRegistry() {
+        try {
+            const data = this.storage.getItem(REGISTRY_KEY);
+            if (data) {
+                const registry = JSON.parse(data);
+                if (registry && Array.isArray(registry.slots) && registry.slots.length > 0) {
+                    return registry;
+                }
+            }
+        } catch (error) {
+            console.error('Error reading save slots:', error);
+        }
+
+        // No registry yet: start with a single slot that owns the original save
+        const registry = {
+            activeSlotId: DEFAULT_SLOT_ID,
+            slots: [{ id: DEFAULT_SLOT_ID, name: 'Slot 1', createdAt: Date.now(), meta: null }]
+        };
+        const legacySave = this.readSave(DEFAULT_SLOT_ID);
+        if (legacySave) {
+            try {
+                registry.slots[0].meta = SaveSlotManager.createMetadata(JSON.parse(legacySave));
+            } catch (error) {
+                console.error('Error reading existing save for slot metadata:', error);
+            }
+        }
+        return registry;
+    }
+
+    saveRegistry(registry) {
+        this.storage.setItem(REGISTRY_KEY, JSON.stringify(registry));
+    }
+
+    listSlots() {
+        return this.getRegistry().slots;
+    }
+
+    getSlot(slotId) {
+        return this.listSlots().find(slot => slot.id === slotId) || null;
+    }
+
+    getActiveSlotId() {
+        const registry = this.getRegistry();
+        const active = registry.slots.find(slot => slot.id === registry.activeSlotId);
+        return active ? active.id : registry.slots[0].id;
+    }
+
+    setActiveSlot(slotId) {
+        const registry = this.getRegistry();
+        if (!registry.slots.some(slot => slot.id === slotId)) {
+            console.error('Save slot not found:', slotId);
+            return false;
+        }
+        registry.activeSlotId = slotId;
+        this.saveRegistry(registry);
+        return true;
+    }
+
+    createSlot(name) {
+        const registry = this.getRegistry();
+        if (registry.slots.length >= MAX_SLOTS) {
+            console.error(`Cannot create more than ${MAX_SLOTS} save slots`);
+            return null;
+        }
+
+        let id = `slot${Date.now().toString(36)}`;
+        while (registry.slots.some(slot => slot.id === id)) {
+            id += 'x';
+        }
+
+        const slot = {
+            id,
+            name: (name && name.trim()) || `Slot ${registry.slots.length + 1}`,
+            createdAt: Date.now(),
+            meta: null
+        };
+        registry.slots.push(slot);
+        this.saveRegistry(registry);
+        return slot;
+    }
+
+    renameSlot(slotId, name) {
+        if (!name || !name.trim()) return false;
+
+        const registry = this.getRegistry();
+        const slot = registry.slots.find(s => s.id === slotId);
+        if (!slot) return false;
+
+        slot.name = name.trim();
+        this.saveRegistry(registry);
+        return true;
+    }
+
+    // Copies the save (not its backups) into a new slot
+    duplicateSlot(slotId, name) {
+        const source = this.getSlot(slotId);
+        if (!source) return null;
+
+        const copy = this.createSlot(name || `${source.name} (copy)`);
+        if (!copy) return null;
+
+        const saveData = this.readSave(slotId);
+        if (saveData) {
+            this.writeSave(copy.id, saveData);
+        }
+        return copy;
+    }
+
+    // Removes the slot, its save and its backups. The last remaining slot cannot be deleted
+    deleteSlot(slotId) {
+        const registry = this.getRegistry();
+        if (registry.slots.length <= 1) {
+            console.error('Cannot delete the only save slot');
+            return false;
+        }
+
+        const index = registry.slots.findIndex(slot => slot.id === slotId);
+        if (index === -1) return false;
+
+        this.storage.removeItem(SaveSlotManager.getSaveKey(slotId));
+        this.getBackupList(slotId).forEach(backup => this.storage.removeItem(backup.key));
+        this.storage.removeItem(SaveSlotManager.getBackupListKey(slotId));
+
+        registry.slots.splice(index, 1);
+        if (registry.activeSlotId === slotId) {
+            registry.activeSlotId = registry.slots[0].id;
+        }
+        this.saveRegistry(registry);
+        return true;
+    }
+
+    getBackupList(slotId) {
+        try {
+            const backupsData = this.storage.getItem(SaveSlotManager.getBackupListKey(slotId));
+            return backupsData ? JSON.parse(backupsData) : [];
+        } catch (error) {
+            console.error('Error getting backup list:', error);
+            return [];
+        }
+    }
+
+    readSave(slotId) {
+        return this.storage.getItem(SaveSlotManager.getSaveKey(slotId));
+    }
+
+    // Writes raw save data into a slot that isn't being played (e.g. importing into another slot)
+    writeSave(slotId, saveData) {
+        this.storage.setItem(SaveSlotManager.getSaveKey(slotId), saveData);
+        try {
+            this.recordSave(slotId, JSON.parse(saveData));
+        } catch (error) {
+            console.error('Error updating slot metadata:', error);
+        }
+    }
+
+    // Refreshes the slot's summary after its save was written
+    recordSave(slotId, state) {
+        const registry = this.getRegistry();
+        const slot = registry.slots.find(s => s.id === slotId);
+        if (!slot) return;
+
+        slot.meta = SaveSlotManager.createMetadata(state);
+        this.saveRegistry(registry);
+    }
+}
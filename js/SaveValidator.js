@@ -0,0 +1,374 @@
+// SaveValidator.js - Schema for the whole save tree, with a repair mode that fixes problems field by field
+// Every rule returns the (possibly repaired) value and records what it found, so one pass can either
+// report problems or hand back a repaired copy. Repairs fall back to the fresh-game default for the
+// same path where there is one
+
+import { MODIFIER_OPERATIONS } from './ModifierSystem.js';
+
+// Returned by item rules to drop a malformed entry from its array or object
+const DROP = Symbol('drop');
+
+const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function describe(value) {
+    if (value === undefined) return 'missing';
+    if (typeof value === 'number' && !isFinite(value)) return String(value);
+    if (Array.isArray(value)) return 'an array';
+    if (value === null) return 'null';
+    return typeof value === 'object' ? 'an object' : JSON.stringify(value);
+}
+
+// --- Rule builders ---
+
+function number({ min = -Infinity, max = Infinity, integer = false, optional = false, fallback = 0 } = {}) {
+    return (value, path, ctx) => {
+        if (value === undefined && optional) return value;
+
+        if (typeof value !== 'number' || !isFinite(value)) {
+            return ctx.problem(path, `expected a number, found ${describe(value)}`, ctx.defaultAt(path, fallback));
+        }
+        let fixed = integer ? Math.floor(value) : value;
+        fixed = Math.min(max, Math.max(min, fixed));
+        if (fixed !== value) {
+            return ctx.problem(path, `${value} is outside the allowed range`, fixed);
+        }
+        return value;
+    };
+}
+
+function string({ oneOf = null, optional = false, fallback = '' } = {}) {
+    return (value, path, ctx) => {
+        if (value === undefined && optional) return value;
+
+        if (typeof value !== 'string') {
+            return ctx.problem(path, `expected text, found ${describe(value)}`, ctx.defaultAt(path, fallback));
+        }
+        if (oneOf && !oneOf.includes(value)) {
+            return ctx.problem(path, `"${value}" is not one of ${oneOf.join(', ')}`, ctx.defaultAt(path, oneOf[0]));
+        }
+        return value;
+    };
+}
+
+function boolean({ optional = false } = {}) {
+    return (value, path, ctx) => {
+        if (value === undefined && optional) return value;
+
+        if (typeof value !== 'boolean') {
+            return ctx.problem(path, `expected true/false, found ${describe(value)}`, ctx.defaultAt(path, false));
+        }
+        return value;
+    };
+}
+
+// Known fields are checked with their rules; other keys are kept unless `extra` says how to check them
+function shape(fields, { optional = false, nullable = false, extra = null } = {}) {
+    return (value, path, ctx) => {
+        if (value === undefined && optional) return value;
+        if (value === null && nullable) return value;
+
+        if (!isPlainObject(value)) {
+            const fallback = ctx.defaultAt(path, nullable ? null : {});
+            const fixed = ctx.problem(path, `expected an object, found ${describe(value)}`, fallback);
+            // A replaced object still has to satisfy its own fields
+            return isPlainObject(fixed) ? shape(fields, { extra })(JSON.parse(JSON.stringify(fixed)), path, ctx) : fixed;
+        }
+
+        const result = { ...value };
+        for (const [key, rule] of Object.entries(fields)) {
+            const checked = rule(value[key], `${path}.${key}`, ctx);
+            if (checked === undefined) {
+                delete result[key];
+            } else {
+                result[key] = checked;
+            }
+        }
+        if (extra) {
+            for (const key of Object.keys(value)) {
+                if (key in fields) continue;
+                const checked = extra(value[key], `${path}.${key}`, ctx);
+                if (checked === DROP) {
+                    delete result[key];
+                } else {
+                    result[key] = checked;
+                }
+            }
+        }
+        return result;
+    };
+}
+
+function arrayOf(itemRule, { optional = false } = {}) {
+    return (value, path, ctx) => {
+        if (value === undefined && optional) return value;
+
+        if (!Array.isArray(value)) {
+            return ctx.problem(path, `expected a list, found ${describe(value)}`, ctx.defaultAt(path, []));
+        }
+        return value
+            .map((item, index) => itemRule(item, `${path}[${index}]`, ctx))
+            .filter(item => item !== DROP);
+    };
+}
+
+// Item rule that drops entries failing `test` instead of trying to fix them
+function entry(test, message) {
+    return (value, path, ctx) => test(value, ctx) ? value : ctx.problem(path, message(value), DROP, 'removed');
+}
+
+// Unknown keys in records like upgrades and resources
+function unknownKey(message) {
+    return (value, path, ctx) => ctx.problem(path, message, DROP, 'removed');
+}
+
+export class SaveValidator {
+    // defaults - a fresh game state, used as the repair value for each path
+    // options.worldIds - ids of the hand-written worlds in this build; generated worlds listed in
+    // the checked state's generatedWorlds are known too
+    // options.eventIds - keys of the events in the content packs, for scheduled chain stages
+    constructor(defaults, options = {}) {
+        this.defaults = defaults;
+        this.worldIds = options.worldIds || null;
+        this.eventIds = options.eventIds || null;
+        this.schema = this.createSchema();
+    }
+
+    createSchema() {
+        const defaults = this.defaults;
+        // Filled in by the generatedWorlds rule, which runs before every rule that refers to worlds
+        const generatedIds = new Set();
+        const isKnownWorld = id => !this.worldIds || this.worldIds.includes(id) || generatedIds.has(id);
+
+        const resourceFields = {};
+        Object.keys(defaults.resources).forEach(resource => {
+            resourceFields[resource] = number({ min: 0 });
+        });
+
+        const upgradeFields = {};
+        Object.entries(defaults.upgrades).forEach(([name, upgrade]) => {
+            upgradeFields[name] = shape({
+                level: number({ min: 0, max: upgrade.maxLevel, integer: true }),
+                maxLevel: number({ min: 0, integer: true }),
+                baseCost: number({ min: 0 }),
+                unlocked: boolean({ optional: true })
+            });
+        });
+
+        const settingFields = {};
+        Object.entries(defaults.settings).forEach(([name, value]) => {
+            if (name === 'playMode') {
+                settingFields[name] = string({ oneOf: ['active', 'idle'] });
+            } else if (typeof value === 'number') {
+                settingFields[name] = number({ min: 0 });
+            } else if (typeof value === 'boolean') {
+                settingFields[name] = boolean();
+            } else {
+                settingFields[name] = string();
+            }
+        });
+
+        const worldId = (value, path, ctx) => {
+            if (!Number.isInteger(value) || !isKnownWorld(value)) {
+                return ctx.problem(path, `unknown world id ${describe(value)}`, DROP, 'removed');
+            }
+            return value;
+        };
+
+        return shape({
+            saveVersion: number({ min: 1, integer: true }),
+            worldsCreated: number({ min: 0, integer: true }),
+            machineComplexity: number({ min: 0 }),
+            generatedWorlds: (value, path, ctx) => {
+                generatedIds.clear();
+                const firstGeneratedId = this.worldIds ? this.worldIds.length : 0;
+                const worlds = arrayOf(entry(
+                    item => isPlainObject(item) && Number.isInteger(item.id) && item.id >= firstGeneratedId &&
+                        typeof item.name === 'string' && typeof item.type === 'string' &&
+                        isPlainObject(item.resourceGeneration) && isPlainObject(item.unlockRequirements) &&
+                        isPlainObject(item.properties),
+                    item => `malformed generated world ${isPlainObject(item) ? `id ${describe(item.id)}` : describe(item)}`
+                ))(value, path, ctx);
+                worlds.forEach(world => generatedIds.add(world.id));
+                return worlds;
+            },
+            worldProgress: (value, path, ctx) => {
+                const checked = number({ min: 0, integer: true })(value, path, ctx);
+                return isKnownWorld(checked) ? checked : ctx.problem(path, `unknown world id ${checked}`, 0);
+            },
+            resources: shape(resourceFields, {
+                extra: (value, path, ctx) => number({ min: 0 })(value, path, ctx)
+            }),
+            upgrades: shape(upgradeFields, {
+                extra: unknownKey('upgrade does not exist in this version')
+            }),
+            currentWorld: (value, path, ctx) => {
+                if (value === null || value === undefined) return value;
+                // Rift worlds are generated on entry and never listed
+                if (!isPlainObject(value) || (!isKnownWorld(value.id) && value.rift !== true)) {
+                    // Cleared worlds are replaced with the starting world when the save is loaded
+                    return ctx.problem(path, `unknown world ${isPlainObject(value) ? `id ${describe(value.id)}` : describe(value)}`, null);
+                }
+                return value;
+            },
+            worldStats: shape({}, {
+                extra: entry(
+                    stats => isPlainObject(stats) && isPlainObject(stats.yields) && isPlainObject(stats.weather) &&
+                        Array.isArray(stats.events) && typeof stats.actions === 'number' && typeof stats.activeSeconds === 'number',
+                    stats => `malformed world stats ${describe(stats)}`
+                )
+            }),
+            rift: shape({
+                returnWorldId: (value, path, ctx) => {
+                    const checked = number({ min: 0, integer: true })(value, path, ctx);
+                    return isKnownWorld(checked) ? checked : ctx.problem(path, `unknown world id ${checked}`, 0);
+                },
+                actionsLeft: number({ min: 1, integer: true, fallback: 1 })
+            }, { nullable: true }),
+            riftsOpened: number({ min: 0, integer: true }),
+            unlockedWorlds: (value, path, ctx) => {
+                const ids = arrayOf(worldId)(value, path, ctx);
+                const unique = [...new Set(ids)];
+                if (unique.length !== ids.length) {
+                    return ctx.problem(path, 'contains duplicate world ids', unique);
+                }
+                return unique;
+            },
+            worldHistory: arrayOf(entry(
+                item => isPlainObject(item) && typeof item.name === 'string',
+                item => `expected a world entry with a name, found ${describe(item)}`
+            )),
+            machineParts: arrayOf(entry(isPlainObject, item => `expected a machine part, found ${describe(item)}`)),
+            activeEvents: arrayOf(entry(
+                item => isPlainObject(item) && typeof item.name === 'string' && typeof item.effect === 'string' &&
+                    Number.isInteger(item.duration) && item.duration >= 0,
+                item => `malformed active event ${isPlainObject(item) ? JSON.stringify(item) : describe(item)}`
+            )),
+            modifiers: arrayOf(entry(
+                item => isPlainObject(item) && typeof item.target === 'string' && MODIFIER_OPERATIONS.includes(item.operation) &&
+                    typeof item.value === 'number' && isFinite(item.value) &&
+                    // Timed by actions, or used up by purchases
+                    ((Number.isInteger(item.expires) && item.expires > 0 && item.uses === undefined) ||
+                        (item.expires === null && Number.isInteger(item.uses) && item.uses > 0)),
+                item => `malformed modifier ${isPlainObject(item) ? JSON.stringify(item) : describe(item)}`
+            )),
+            eventPity: shape({
+                rare: number({ min: 0, integer: true }),
+                ultraRare: number({ min: 0, integer: true })
+            }),
+            scheduledEvents: arrayOf(entry(
+                item => isPlainObject(item) && typeof item.eventId === 'string' &&
+                    (!this.eventIds || this.eventIds.includes(item.eventId)) && typeof item.chain === 'string' &&
+                    Number.isInteger(item.chainStart) && item.chainStart >= 0 && Number.isInteger(item.stage) && item.stage > 1 &&
+                    Number.isInteger(item.actionsLeft) && item.actionsLeft >= 0,
+                item => `malformed scheduled event ${isPlainObject(item) ? JSON.stringify(item) : describe(item)}`
+            )),
+            pendingEvent: (value, path, ctx) => value === null ||
+                (typeof value === 'string' && (!this.eventIds || this.eventIds.includes(value)))
+                ? value
+                : ctx.problem(path, `unknown pending event ${describe(value)}`, null),
+            eventHistory: arrayOf(entry(
+                item => isPlainObject(item) && typeof item.name === 'string',
+                item => `malformed event history entry ${describe(item)}`
+            )),
+            rng: shape({
+                seed: number({ min: 0, max: 0xFFFFFFFF, integer: true }),
+                cursor: number({ min: 0, integer: true })
+            }),
+            permanentBonuses: shape({
+                resourceEfficiency: number({ min: 0 }),
+                upgradeCostReduction: number({ min: 0 })
+            }, {
+                extra: (value, path, ctx) => number({ min: 0 })(value, path, ctx)
+            }),
+            achievements: (value, path, ctx) => {
+                const checked = shape({
+                    unlocked: arrayOf((id, itemPath, itemCtx) => typeof id === 'number' || typeof id === 'string'
+                        ? id
+                        : itemCtx.problem(itemPath, `invalid achievement id ${describe(id)}`, DROP, 'removed')),
+                    progress: shape({}),
+                    definitions: (defs, defsPath, defsCtx) => isPlainObject(defs) && Object.keys(defs).length > 0
+                        ? defs
+                        : defsCtx.problem(defsPath, 'achievement definitions are missing', defsCtx.defaultAt(defsPath, {}))
+                })(value, path, ctx);
+
+                // Unlocked ids must refer to achievements that exist
+                const definitions = checked.definitions || {};
+                const seen = new Set();
+                checked.unlocked = checked.unlocked.filter((id, index) => {
+                    const itemPath = `${path}.unlocked[${index}]`;
+                    if (!(id in definitions)) {
+                        ctx.problem(itemPath, `achievement ${id} does not exist`, DROP, 'removed');
+                        return false;
+                    }
+                    if (seen.has(String(id))) {
+                        ctx.problem(itemPath, `achievement ${id} is listed twice`, DROP, 'removed');
+                        return false;
+                    }
+                    seen.add(String(id));
+                    return true;
+                });
+                return checked;
+            },
+            worldTiers: shape({
+                tier2Unlocked: boolean(),
+                tier3Unlocked: boolean(),
+                selectedTier: number({ min: 1, max: 3, integer: true })
+            }),
+            worldRerolls: shape({
+                charges: number({ min: 0, integer: true }),
+                rerolled: shape({}, {
+                    extra: entry(
+                        (properties, ctx) => isPlainObject(properties) && ['temperature', 'atmosphere', 'gravity', 'timeSpeed']
+                            .every(name => typeof properties[name] === 'number'),
+                        properties => `malformed rerolled properties ${describe(properties)}`
+                    )
+                })
+            }),
+            unlocks: shape({ worldGenerator: boolean() }, {
+                extra: (value, path, ctx) => boolean()(value, path, ctx)
+            }),
+            settings: shape(settingFields),
+            playtime: number({ min: 0, optional: true }),
+            totalClicks: number({ min: 0, optional: true }),
+            lastSavedAt: number({ min: 0, optional: true }),
+            actionLog: (value, path, ctx) => {
+                if (value === null || value === undefined) return value;
+                if (!isPlainObject(value) || !isPlainObject(value.baseSnapshot) || !Array.isArray(value.actions)) {
+                    // A fresh log is started from the repaired state
+                    return ctx.problem(path, 'malformed action log', null, 'discarded');
+                }
+                return value;
+            }
+        });
+    }
+
+    // Returns { valid, problems: [{ path, message, fix }], state } where state is the repaired copy
+    check(state) {
+        const problems = [];
+        const defaults = this.defaults;
+        const ctx = {
+            problem(path, message, fixedValue, fix) {
+                problems.push({
+                    path,
+                    message,
+                    fix: fix || `set to ${fixedValue === null ? 'null' : JSON.stringify(fixedValue)}`
+                });
+                return fixedValue;
+            },
+            // Value of the same path in a fresh game, e.g. "state.resources.heat" -> 0
+            defaultAt(path, fallback) {
+                const parts = path.replace(/\[\d+\]/g, '').split('.').slice(1);
+                let value = defaults;
+                for (const part of parts) {
+                    if (!isPlainObject(value) || !(part in value)) return fallback;
+                    value = value[part];
+                }
+                return value === undefined ? fallback : JSON.parse(JSON.stringify(value));
+            }
+        };
+
+        // structuredClone keeps NaN and Infinity, which a JSON round trip would turn into null
+        const repaired = this.schema(structuredClone(state), 'state', ctx);
+        return { valid: problems.length === 0, problems, state: repaired };
+    }
+}
@@ -1,5 +1,12 @@
 // UISystem.js - Handles UI updates, event handlers, and notifications
 
+import { WEATHER_TYPES } from './WeatherSystem.js';
+import { TIER_NAMES, TRAVEL_ENERGY_COST } from './WorldSystem.js';
+import { DESIGNER_PROPERTIES } from './WorldDesigner.js';
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+import { MODIFIER_SOURCES } from './ModifierSystem.js';
+import { RARITY_LABELS } from './EventSystem.js';
+
 export class UISystem {
     constructor(gameState) {
         this.gameState = gameState;
@@ -11,8 +18,25 @@ export class UISystem {
             fuel: "Generated from world time speed. Used for upgrades and energy creation. Improves with cold worlds.",
             pressure: "Generated from gravity and atmosphere. Used for cross-resource upgrades. Decays when changing worlds.",
             energy: "Created from combining Heat and Fuel. Used for advanced actions and emergency repairs. Decays over time.",
-            stability: "Generated slowly from favorable conditions. Reduces negative events and enables advanced upgrades."
+            stability: "Generated slowly from favorable conditions. Reduces negative events and enables advanced upgrades.",
+            water: "Extracted on wet worlds like Ocean Planet. Boosted by thick atmospheres.",
+            oxygen: "Harvested from breathable atmospheres on temperate worlds like Forest Planet.",
+            stone: "Mined on rocky, high-gravity worlds like Mountain Planet.",
+            magma: "Tapped from volcanic worlds. Only the hottest worlds produce it.",
+            ice: "Gathered on frozen worlds. Boosted below 0°C.",
+            crystal: "Grown on Crystal and Void worlds and found on many higher-tier worlds.",
+            voidEnergy: "Siphoned from Void worlds. The rarest resource."
+        };
+        this.tierDescriptions = {
+            1: "Standard biomes. No special effects.",
+            2: "Costs and yields 1.5x. Each world has one special effect, like Plasma heat or Magnetic energy storage.",
+            3: "Costs and yields 2.5x. Reality-bending effects such as Singularity compression and Living worlds that grow with you."
         };
+        // World history explorer: filters and the entry (worldHistory index) shown in the detail panel
+        this.historyFilters = { type: 'all', tier: 'all', sort: 'newest' };
+        this.selectedHistoryIndex = null;
+        // Modifier breakdown: id of the number shown (see GameEngine.getModifierBreakdowns)
+        this.selectedBreakdown = null;
     }
 
     // Screen reader announcement method for accessibility
@@ -236,6 +260,7 @@ export class UISystem {
         
         // Update world progression status
         this.updateWorldProgressionDisplay();
+        this.updateWorldDesignerUI();
         
         // Update active world benefits
         const benefitsElement = document.getElementById('activeWorldBenefits');
@@ -267,6 +292,7 @@ export class UISystem {
         this.updateWorldHistory();
     }
 
+    // World map: every known world, with travel buttons for the ones already created
     updateWorldProgressionDisplay() {
         // Find a place to display world progression (e.g., in worlds page)
         const progressContainer = document.getElementById('worldProgression');
@@ -275,26 +301,38 @@ export class UISystem {
         const state = this.gameState.getState();
         if (!window.game || !window.game.worldSystem) return;
 
-        const worldDefinitions = window.game.worldSystem.getWorldDefinitions();
+        const worldSystem = window.game.worldSystem;
+        const worldDefinitions = worldSystem.getWorldDefinitions();
         const unlockedWorlds = state.unlockedWorlds || [0];
         
         let progressHTML = '<div class="world-progression-list">';
         
-        worldDefinitions.forEach((world, index) => {
-            const isUnlocked = unlockedWorlds.includes(index);
-            const isCurrent = state.currentWorld && state.currentWorld.id === index;
-            const canUnlock = !isUnlocked && window.game.worldSystem.canUnlockWorld(index);
+        worldDefinitions.forEach(world => {
+            const isCreated = unlockedWorlds.includes(world.id) && world.id <= state.worldProgress;
+            const isCurrent = state.currentWorld && state.currentWorld.id === world.id;
+            const canUnlock = !isCreated && worldSystem.canUnlockWorld(world.id);
+            const travel = isCreated && !isCurrent ? worldSystem.canTravelTo(world.id) : null;
             
-            const statusClass = isUnlocked ? 'unlocked' : (canUnlock ? 'can-unlock' : 'locked');
+            const statusClass = isCreated ? 'unlocked' : (canUnlock ? 'can-unlock' : 'locked');
             const currentClass = isCurrent ? 'current' : '';
+            const yields = Object.keys(world.resourceGeneration || {})
+                .map(resource => resource.charAt(0).toUpperCase() + resource.slice(1))
+                .join(', ');
             
             progressHTML += `
                 <div class="world-progression-item ${statusClass} ${currentClass}">
                     <div class="world-name">${world.name}</div>
+                    <div class="world-yields">${yields}</div>
                     <div class="world-status">
-                        ${isUnlocked ? '✓ Unlocked' : (canUnlock ? '⏳ Can Unlock' : '🔒 Locked')}
+                        ${isCreated ? '✓ Created' : (canUnlock ? '⏳ Can Unlock' : '🔒 Locked')}
                     </div>
                     ${isCurrent ? '<div class="current-indicator">Current</div>' : ''}
+                    ${travel ? `
+                        <button class="travel-btn" data-world-id="${world.id}" ${travel.canTravel ? '' : 'disabled'}
+                                aria-label="Travel to ${world.name}">
+                            Travel${TRAVEL_ENERGY_COST > 0 ? ` (${TRAVEL_ENERGY_COST} Energy)` : ''}
+                        </button>
+                    ` : ''}
                 </div>
             `;
         });
@@ -303,41 +341,229 @@ export class UISystem {
         progressContainer.innerHTML = progressHTML;
     }
 
+    // Custom world designer, shown once "World Architect" is unlocked
+    updateWorldDesignerUI() {
+        const section = document.getElementById('worldDesignerSection');
+        const controls = document.getElementById('worldDesignerControls');
+        if (!section || !controls || !window.game || !window.game.worldDesigner) return;
+        
+        const unlocked = window.game.worldDesigner.isUnlocked();
+        section.style.display = unlocked ? 'block' : 'none';
+        if (!unlocked) return;
+        
+        // Sliders are built once so they keep the player's settings between updates
+        if (!controls.children.length) {
+            controls.innerHTML = Object.entries(DESIGNER_PROPERTIES).map(([name, bounds]) => `
+                <label class="designer-control">
+                    <span class="designer-label">${bounds.label}</span>
+                    <input type="range" class="option-slider" data-property="${name}"
+                           min="${bounds.min}" max="${bounds.max}" step="${bounds.step}" value="${bounds.neutral}"
+                           aria-label="${bounds.label}">
+                    <span class="option-value" data-property-value="${name}">${bounds.neutral}${bounds.unit}</span>
+                </label>
+            `).join('');
+        }
+        this.updateWorldDesignerPreview();
+    }
+
+    getDesignerProperties() {
+        const properties = {};
+        document.querySelectorAll('#worldDesignerControls [data-property]').forEach(input => {
+            properties[input.dataset.property] = Number(input.value);
+        });
+        return properties;
+    }
+
+    updateWorldDesignerPreview() {
+        const previewContainer = document.getElementById('worldDesignerPreview');
+        if (!previewContainer || !window.game || !window.game.worldDesigner) return;
+        
+        const nameInput = document.getElementById('customWorldName');
+        const preview = window.game.worldDesigner.getPreview(this.getDesignerProperties(), nameInput ? nameInput.value : '');
+        const state = this.gameState.getState();
+        const formatName = name => name.charAt(0).toUpperCase() + name.slice(1);
+        
+        Object.entries(preview.world.properties).forEach(([name, value]) => {
+            const label = document.querySelector(`[data-property-value="${name}"]`);
+            if (label) label.textContent = `${value}${DESIGNER_PROPERTIES[name].unit}`;
+        });
+        
+        previewContainer.innerHTML = `
+            <div class="designer-yields">
+                <span class="property-name">Yields:</span>
+                ${Object.entries(preview.yields).map(([resource, amount]) => `<span>+${amount} ${formatName(resource)}</span>`).join('')}
+            </div>
+            <div class="designer-cost">
+                <span class="property-name">Cost:</span>
+                ${Object.entries(preview.cost).map(([resource, amount]) => {
+                    const short = (state.resources[resource] || 0) < amount;
+                    return `<span class="${short ? 'cost-missing' : ''}">${amount} ${formatName(resource)}</span>`;
+                }).join('')}
+            </div>
+        `;
+        
+        const buildBtn = document.getElementById('createCustomWorldBtn');
+        if (buildBtn) buildBtn.disabled = !preview.canAfford;
+    }
+
     setupResourceDescriptions() {
         // Placeholder for resource description tooltips
         // This can be expanded later to add hover descriptions for resources
         console.log('[UISystem] Resource descriptions setup complete');
     }
     
+    // Property values of a history entry; hand-written and generated worlds keep them nested
+    getHistoryProperties(world) {
+        return world.properties || world;
+    }
+
+    // Every created world, filtered by type and tier and sorted by date or a property
+    getFilteredWorldHistory() {
+        const state = this.gameState.getState();
+        const { type, tier, sort } = this.historyFilters;
+        const entries = (state.worldHistory || [])
+            .map((world, index) => ({ world, index }))
+            .filter(({ world }) => type === 'all' || world.type === type)
+            .filter(({ world }) => tier === 'all' || (world.tier || 1) === Number(tier));
+        
+        if (sort === 'newest') {
+            entries.reverse();
+        } else if (sort !== 'oldest') {
+            // Property sorts put the highest value first
+            entries.sort((a, b) => (this.getHistoryProperties(b.world)[sort] || 0) - (this.getHistoryProperties(a.world)[sort] || 0));
+        }
+        return entries;
+    }
+    
     updateWorldHistory() {
         const state = this.gameState.getState();
         const historyContainer = document.getElementById('worldHistory');
         
         if (!historyContainer) return;
         
+        // Type filter lists the types found in the history; the current choice survives updates
+        const typeFilter = document.getElementById('historyTypeFilter');
+        if (typeFilter) {
+            const types = [...new Set((state.worldHistory || []).map(world => world.type))].sort();
+            if (this.historyFilters.type !== 'all' && !types.includes(this.historyFilters.type)) {
+                this.historyFilters.type = 'all';
+            }
+            typeFilter.innerHTML = '<option value="all">All types</option>' +
+                types.map(type => `<option value="${this.escapeHTML(type)}">${this.escapeHTML(type)}</option>`).join('');
+            typeFilter.value = this.historyFilters.type;
+        }
+        
         if (!state.worldHistory || state.worldHistory.length === 0) {
             historyContainer.innerHTML = '<p class="no-worlds">No worlds created yet</p>';
+            this.updateWorldHistoryDetail();
             return;
         }
         
-        // Show last 10 worlds
-        const recentWorlds = state.worldHistory.slice(-10).reverse();
+        const entries = this.getFilteredWorldHistory();
+        if (entries.length === 0) {
+            historyContainer.innerHTML = '<p class="no-worlds">No worlds match these filters</p>';
+            this.updateWorldHistoryDetail();
+            return;
+        }
         
-        historyContainer.innerHTML = recentWorlds.map(world => `
-            <div class="world-history-item">
+        historyContainer.innerHTML = entries.map(({ world, index }) => {
+            const properties = this.getHistoryProperties(world);
+            return `
+            <div class="world-history-item ${index === this.selectedHistoryIndex ? 'selected' : ''}"
+                 data-history-index="${index}" role="button" tabindex="0"
+                 aria-pressed="${index === this.selectedHistoryIndex}">
                 <div class="world-header">
-                    <span class="world-number">#${world.id}</span>
-                    <span class="world-type">${world.type}</span>
+                    <span class="world-number">${world.riftVisit || world.custom ? '' : `#${world.id}`}</span>
+                    <span class="world-type">${this.escapeHTML(world.type)}</span>
                     <span class="world-tier">Tier ${world.tier || 1}</span>
+                    ${world.riftVisit ? '<span class="world-rift-marker">🌀 Rift visit</span>' : ''}
+                    ${world.custom ? '<span class="world-rift-marker">🛠️ Player-made</span>' : ''}
                 </div>
                 <div class="world-properties">
-                    <span>Gravity: ${world.gravity}x</span>
-                    <span>Time: ${world.timeSpeed}x</span>
-                    <span>Temp: ${world.temperature}°C</span>
+                    <span>Gravity: ${properties.gravity}x</span>
+                    <span>Time: ${properties.timeSpeed}x</span>
+                    <span>Temp: ${properties.temperature}°C</span>
                 </div>
                 ${world.specialEffects ? `<div class="world-special">${world.specialEffects.description}</div>` : ''}
             </div>
-        `).join('');
+        `;
+        }).join('');
+        
+        this.updateWorldHistoryDetail();
+    }
+    
+    // Detail panel for the selected history entry: properties, plus what the world yielded while
+    // it was active, how long, which events fired there and its weather (WorldStats)
+    updateWorldHistoryDetail() {
+        const detail = document.getElementById('worldHistoryDetail');
+        if (!detail) return;
+        
+        const state = this.gameState.getState();
+        const world = (state.worldHistory || [])[this.selectedHistoryIndex];
+        if (!world) {
+            this.selectedHistoryIndex = null;
+            detail.innerHTML = '<p class="no-worlds">Select a world to see its stats</p>';
+            return;
+        }
+        
+        const properties = this.getHistoryProperties(world);
+        const formatName = name => name.charAt(0).toUpperCase() + name.slice(1);
+        const formatAmounts = amounts => Object.entries(amounts)
+            .map(([resource, amount]) => `<span>+${Math.floor(amount)} ${formatName(resource)}</span>`)
+            .join('') || '<span>Nothing yet</span>';
+        
+        let statsHTML;
+        if (world.custom) {
+            // Custom worlds are never active; they only pay out once when built
+            statsHTML = world.payout
+                ? `<div class="history-detail-row"><span class="property-name">Payout:</span>${formatAmounts(world.payout)}</div>`
+                : '';
+        } else {
+            const stats = window.game && window.game.worldStats ? window.game.worldStats.getStats(world.id) : null;
+            if (!stats) {
+                statsHTML = '<p class="history-detail-empty">No stats recorded for this world yet.</p>';
+            } else {
+                const weather = Object.entries(stats.weather)
+                    .map(([name, count]) => `<span>${WEATHER_TYPES[name] ? WEATHER_TYPES[name].icon : ''} ${name} ×${count}</span>`)
+                    .join('') || '<span>None recorded</span>';
+                const events = stats.events.slice().reverse()
+                    .map(event => `<li>${this.escapeHTML(event.name)}${event.choice ? ` → ${this.escapeHTML(event.choice)}` : ''}</li>`)
+                    .join('');
+                statsHTML = `
+                    <div class="history-detail-row">
+                        <span class="property-name">Active:</span>
+                        <span>${this.formatPlaytime(stats.activeSeconds)}</span>
+                        <span>${stats.actions} actions</span>
+                        <span>${stats.visits} visits</span>
+                    </div>
+                    <div class="history-detail-row"><span class="property-name">Yields while active:</span>${formatAmounts(stats.yields)}</div>
+                    <div class="history-detail-row"><span class="property-name">Weather:</span>${weather}</div>
+                    <div class="history-detail-row"><span class="property-name">Events (${stats.events.length}):</span></div>
+                    ${events ? `<ul class="history-detail-events">${events}</ul>` : '<p class="history-detail-empty">No events fired here.</p>'}
+                `;
+            }
+        }
+        
+        detail.innerHTML = `
+            <h4>${this.escapeHTML(world.name)}</h4>
+            <div class="history-detail-row">
+                <span>${this.escapeHTML(world.type)}</span>
+                <span>Tier ${world.tier || 1} (${TIER_NAMES[world.tier || 1]})</span>
+                ${world.createdAt ? `<span>Created ${new Date(world.createdAt).toLocaleString()}</span>` : ''}
+            </div>
+            <div class="history-detail-row">
+                <span>Gravity: ${properties.gravity}x</span>
+                <span>Time: ${properties.timeSpeed}x</span>
+                <span>Temp: ${properties.temperature}°C</span>
+                <span>Atmosphere: ${properties.atmosphere}%</span>
+            </div>
+            ${statsHTML}
+        `;
+    }
+    
+    selectHistoryEntry(index) {
+        this.selectedHistoryIndex = index;
+        this.updateWorldHistory();
     }
 
     updateAchievementsUI() {
@@ -386,8 +612,9 @@ export class UISystem {
         // Clear existing content
         container.innerHTML = '';
         
-        // Create numbered boxes (1-50)
-        for (let i = 1; i <= 50; i++) {
+        // One numbered box per defined achievement, including ones added by content packs
+        const ids = Object.keys(definitions).map(Number).sort((a, b) => a - b);
+        for (const i of ids) {
             const box = document.createElement('div');
             box.className = 'achievement-box';
             box.textContent = i;
@@ -526,6 +753,14 @@ export class UISystem {
         const autoSaveInterval = document.getElementById('autoSaveInterval');
         if (autoSaveInterval) autoSaveInterval.value = settings.autoSaveInterval;
         
+        const playMode = document.getElementById('playMode');
+        if (playMode) playMode.value = settings.playMode || 'active';
+        
+        const backupRetention = document.getElementById('backupRetention');
+        if (backupRetention) backupRetention.value = this.gameState.getBackupRetention();
+        
+        this.updateBackupsUI();
+        
         const showEfficiencyNumbers = document.getElementById('showEfficiencyNumbers');
         if (showEfficiencyNumbers) showEfficiencyNumbers.checked = settings.showEfficiencyNumbers;
         
@@ -547,6 +782,58 @@ export class UISystem {
             volumeSlider.value = settings.volume;
             volumeValue.textContent = settings.volume + '%';
         }
+        
+        this.updateSaveSlotsUI();
+        
+        // Seed and roll count identify the exact RNG position for bug reports
+        const runSeed = document.getElementById('runSeed');
+        if (runSeed && state.rng) {
+            runSeed.textContent = `${state.rng.seed} (roll #${state.rng.cursor})`;
+        }
+    }
+
+    // Builds the sidebar resource list from RESOURCE_TYPES; updateUI fills in the amounts
+    renderResourcePanel() {
+        const list = document.getElementById('resourceList');
+        if (!list) return;
+        
+        list.innerHTML = Object.entries(RESOURCE_TYPES).map(([type, resource]) => `
+            <div class="resource-item" data-resource="${type}">
+                <span class="resource-label">${resource.label}:</span>
+                <span id="${type}Amount" class="resource-value" aria-label="${resource.label} amount">0</span>${resource.max ? `<span class="resource-max">/${resource.max}</span>` : ''}
+            </div>
+        `).join('');
+    }
+
+    // Resource amounts, with the ones the current world produces marked
+    updateResourcePanel() {
+        const state = this.gameState.getState();
+        const produced = (state.currentWorld && state.currentWorld.resourceGeneration) || {};
+        
+        Object.keys(RESOURCE_TYPES).forEach(type => {
+            const amount = document.getElementById(`${type}Amount`);
+            if (amount) amount.textContent = Math.floor(state.resources[type] || 0);
+            
+            const item = document.querySelector(`#resourceList [data-resource="${type}"]`);
+            if (item) item.classList.toggle('produced', !!produced[type]);
+        });
+    }
+
+    // One button per resource the current world produces (Extract Water on Ocean Planet, Mine Stone
+    // on Mountain Planet...). Rebuilt only when that set changes, so a button isn't replaced mid-click
+    updateWorldActions() {
+        const container = document.getElementById('worldActions');
+        if (!container || !window.game || !window.game.resourceSystem) return;
+        
+        const actions = window.game.resourceSystem.getWorldActions(this.gameState.getState().currentWorld);
+        const types = actions.map(action => action.type).join(',');
+        if (container.dataset.types === types) return;
+        
+        container.dataset.types = types;
+        container.innerHTML = actions.map(({ type, label }) => `
+            <button id="generate${type.charAt(0).toUpperCase() + type.slice(1)}Btn" class="action-btn-small"
+                    data-action-resource="${type}" aria-label="${label}">${label}</button>
+        `).join('');
     }
 
     setupResourceDescriptions() {
@@ -596,21 +883,9 @@ export class UISystem {
             this.updateWorldsPageUI();
         }
         
-        // Update resources
-        document.getElementById('heatAmount').textContent = Math.floor(state.resources.heat);
-        document.getElementById('fuelAmount').textContent = Math.floor(state.resources.fuel);
-        document.getElementById('pressureAmount').textContent = Math.floor(state.resources.pressure);
-        document.getElementById('energyAmount').textContent = Math.floor(state.resources.energy);
-        document.getElementById('stabilityAmount').textContent = Math.floor(state.resources.stability);
-        
-        // Update new world-specific resources
-        document.getElementById('waterAmount').textContent = Math.floor(state.resources.water || 0);
-        document.getElementById('oxygenAmount').textContent = Math.floor(state.resources.oxygen || 0);
-        document.getElementById('stoneAmount').textContent = Math.floor(state.resources.stone || 0);
-        document.getElementById('magmaAmount').textContent = Math.floor(state.resources.magma || 0);
-        document.getElementById('iceAmount').textContent = Math.floor(state.resources.ice || 0);
-        document.getElementById('crystalAmount').textContent = Math.floor(state.resources.crystal || 0);
-        document.getElementById('voidEnergyAmount').textContent = Math.floor(state.resources.voidEnergy || 0);
+        // Update resources and the current world's actions
+        this.updateResourcePanel();
+        this.updateWorldActions();
         
         // Update passive income display
         this.updatePassiveIncomeDisplay();
@@ -621,6 +896,9 @@ export class UISystem {
         // Update world tier UI
         this.updateWorldTierUI();
         
+        // Update the odds of an event on the next world
+        this.updateEventOddsDisplay();
+        
         // Update upgrades
         this.updateUpgradeDisplay('heatGenerator', 'heat');
         this.updateUpgradeDisplay('fuelEfficiency', 'fuel');
@@ -635,6 +913,9 @@ export class UISystem {
         // Update active events display
         this.updateActiveEventsDisplay();
         
+        // Update the modifier breakdown
+        this.updateModifierBreakdown();
+        
         // Update tabbed interface visuals
         this.updateConversionVisuals();
         this.updateSynergyVisuals();
@@ -659,7 +940,8 @@ export class UISystem {
                 ).join(', ') : 'Heat, Fuel';
             
             worldDisplay.innerHTML = `
-                <div class="world-info world-progression">
+                <div class="world-info world-progression world-tier-${world.tier || 1}">
+                    ${world.tier ? `<span class="world-tier-badge">${TIER_NAMES[world.tier]}</span>` : ''}
                     <div class="world-header">
                         <div class="world-property">
                             <span class="property-name">Current World:</span>
@@ -667,6 +949,8 @@ export class UISystem {
                         </div>
                         <div class="world-description">${world.description}</div>
                     </div>
+                    ${world.specialEffects ? `<div class="world-special-effects">${world.specialEffects.description}</div>` : ''}
+                    ${state.rift ? `<div class="world-special-effects">🌀 Dimensional Rift - closes in ${state.rift.actionsLeft} action${state.rift.actionsLeft === 1 ? '' : 's'}</div>` : ''}
                     
                     <div class="world-details">
                         <div class="world-property">
@@ -700,9 +984,6 @@ export class UISystem {
     }
 
     updateWeatherWidget() {
-        // Temporarily disabled to prevent errors
-        return;
-        
         const widget = document.getElementById('weatherWidget');
         if (!widget) {
             return;
@@ -710,129 +991,116 @@ export class UISystem {
         
         const state = this.gameState.getState();
         const world = state ? state.currentWorld : null;
-        if (!world) {
+        const weather = world ? WEATHER_TYPES[world.weather] : null;
+        if (!weather) {
             widget.style.display = 'none';
             return;
         }
         
-        // Additional check: make sure we have all required child elements
         const iconEl = document.getElementById('weatherIcon');
         const nameEl = document.getElementById('weatherName');
         const fillEl = document.getElementById('weatherDurationFill');
         const turnsEl = document.getElementById('weatherDuration');
         const effectsEl = document.getElementById('weatherEffects');
-
-        // Check if all elements exist before trying to update them
         if (!iconEl || !nameEl || !fillEl || !turnsEl || !effectsEl) {
-            console.warn('Weather widget elements not found, skipping update');
             widget.style.display = 'none';
             return;
         }
         
         widget.style.display = 'block';
 
-        const maxDuration = world.originalWeatherDuration || (world.weatherDuration || 10);
-        if (!world.originalWeatherDuration) world.originalWeatherDuration = maxDuration; // cache baseline
+        // Saves from before weather was rolled have no original duration; the default weather lasted 10
+        const maxDuration = world.originalWeatherDuration || Math.max(10, world.weatherDuration || 0);
         const remaining = world.weatherDuration || 0;
         const pct = Math.max(0, Math.min(100, (remaining / maxDuration) * 100));
         fillEl.style.width = pct + '%';
-        turnsEl.textContent = `${remaining} turn${remaining === 1 ? '' : 's'}`;
-
-        // Icon mapping
-        const iconMap = {
-            Calm: '🌤️',
-            Stormy: '⛈️',
-            Chaotic: '⚡',
-            Serene: '✨',
-            Turbulent: '🌪️'
-        };
-        iconEl.textContent = iconMap[world.weather] || '☁️';
-        nameEl.textContent = world.weather;
+        turnsEl.textContent = `${remaining} action${remaining === 1 ? '' : 's'}`;
 
-        // Badge effects summary
-        const effectBadges = [];
-        switch (world.weather) {
-            case 'Stormy':
-                effectBadges.push('+50% Fuel', '+25% Heat', 'Stability -2');
-                break;
-            case 'Calm':
-                effectBadges.push('+15% All', 'Stability +1');
-                break;
-            case 'Chaotic':
-                effectBadges.push('±25-75% Output', 'Stability -3');
-                break;
-            case 'Serene':
-                effectBadges.push('+30% Fuel', 'Stability +2');
-                break;
-            case 'Turbulent':
-                effectBadges.push('Pressure +100%', 'Heat -20%', 'Stability -1');
-                break;
-        }
-        effectsEl.innerHTML = effectBadges.map(b => `<span class="weather-effect-badge">${b}</span>`).join('');
+        iconEl.textContent = weather.icon;
+        nameEl.textContent = world.weather;
+        effectsEl.innerHTML = weather.badges.map(b => `<span class="weather-effect-badge">${b}</span>`).join('');
 
         // Class coloring
-        widget.classList.remove('weather-calm','weather-stormy','weather-chaotic','weather-serene','weather-turbulent');
+        Object.keys(WEATHER_TYPES).forEach(name => widget.classList.remove('weather-' + name.toLowerCase()));
         widget.classList.add('weather-' + world.weather.toLowerCase());
     }
 
     updateWorldTierUI() {
-        // Temporarily disabled to prevent errors
-        return;
+        const tierGrid = document.getElementById('worldTierGrid');
+        if (!tierGrid || !window.game || !window.game.worldSystem) return;
         
-        // Update Tier 2 status
         const state = this.gameState.getState();
-        if (!state || !state.upgrades) return;
-        
-        const basicUpgradesMaxed = Object.keys(state.upgrades)
-            .filter(key => ['heatGenerator', 'fuelEfficiency'].includes(key))
-            .filter(key => state.upgrades[key].level >= state.upgrades[key].maxLevel)
-            .length;
+        const worldSystem = window.game.worldSystem;
+        const progress = worldSystem.getTierProgress();
+        const selectedTier = worldSystem.getSelectedTier();
+        const counts = state.tierWorldCounts || {};
+        
+        tierGrid.innerHTML = Object.keys(TIER_NAMES).map(key => {
+            const tier = Number(key);
+            const { unlocked, requirements } = progress[tier];
+            const selected = tier === selectedTier;
+            const buttonLabel = selected ? 'Selected' : (unlocked ? 'Select' : 'Locked');
             
-        document.getElementById('tier2WorldsProgress').textContent = 
-            `${state.worldsCreated}/25`;
-        document.getElementById('tier2UpgradesProgress').textContent = 
-            `${basicUpgradesMaxed}/2`;
-        
-        const tier2Item = document.getElementById('tier2Item');
-        const tier2Status = document.getElementById('tier2Status');
-        
-        if (state.worldTiers && state.worldTiers.tier2Unlocked) {
-            tier2Item.classList.add('tier-unlocked');
-            tier2Status.textContent = '✅ Tier 2: Enhanced';
-        } else {
-            tier2Item.classList.remove('tier-unlocked');
-            tier2Status.textContent = '🔒 Tier 2: Enhanced';
-        }
-        
-        // Update Tier 3 status
-        const crossUpgradesLevel5 = Object.keys(state.upgrades)
-            .filter(key => ['thermalAccelerator', 'fuelSynchronizer', 'pressureValve', 'energyMatrix'].includes(key))
-            .filter(key => state.upgrades[key].level >= 5)
-            .length;
-            
-        document.getElementById('tier3WorldsProgress').textContent = 
-            `${state.worldsCreated}/100`;
-        document.getElementById('tier3CrossProgress').textContent = 
-            `${crossUpgradesLevel5}/1`;
-        
-        const tier3Item = document.getElementById('tier3Item');
-        const tier3Status = document.getElementById('tier3Status');
-        
-        if (state.worldTiers && state.worldTiers.tier3Unlocked) {
-            tier3Item.classList.add('tier-unlocked');
-            tier3Status.textContent = '✅ Tier 3: Exotic';
-        } else {
-            tier3Item.classList.remove('tier-unlocked');
-            tier3Status.textContent = '🔒 Tier 3: Exotic';
-        }
+            return `
+                <div class="tier-item ${unlocked ? 'tier-unlocked' : ''}">
+                    <div class="tier-header">
+                        <span>${unlocked ? '✅' : '🔒'} Tier ${tier}: ${TIER_NAMES[tier]}</span>
+                        <span class="tier-count">${counts[`tier${tier}`] || 0} created</span>
+                    </div>
+                    <div class="tier-description">${this.tierDescriptions[tier]}</div>
+                    ${unlocked ? '' : `
+                        <div class="tier-requirements">
+                            ${requirements.map(req => `<div>${req.label}: ${Math.min(req.current, req.required)}/${req.required}</div>`).join('')}
+                        </div>
+                    `}
+                    <button class="tier-unlock-btn" data-tier="${tier}" ${unlocked && !selected ? '' : 'disabled'}
+                            aria-label="Generate new worlds from Tier ${tier}">${buttonLabel}</button>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Chance of an event on the next world, the share of each rarity and the pity timers
+    updateEventOddsDisplay() {
+        const container = document.getElementById('eventOdds');
+        if (!container || !window.game || !window.game.eventSystem) return;
+        
+        const odds = window.game.eventSystem.getEventOdds();
+        const percent = value => `${Math.round(value * 1000) / 10}%`;
+        
+        const rows = Object.entries(odds.rarities).map(([rarity, share]) => {
+            // A pity guarantee decides the rarity outright
+            const chance = odds.guaranteed ? (rarity === odds.guaranteed ? 1 : 0) : odds.chance * share;
+            return `
+                <tr class="odds-${rarity}">
+                    <td>${RARITY_LABELS[rarity]}</td>
+                    <td class="odds-value">${percent(chance)}</td>
+                </tr>
+            `;
+        }).join('');
+        
+        const timers = odds.pity.map(timer => {
+            const left = timer.threshold - timer.dryRolls;
+            return `<div class="pity-timer">${RARITY_LABELS[timer.rarity]} guaranteed ${left <= 0
+                ? 'on the next world'
+                : `within ${left + 1} world${left + 1 === 1 ? '' : 's'}`}</div>`;
+        }).join('');
+        
+        container.innerHTML = `
+            <div class="odds-summary">Event chance: <strong>${percent(odds.chance)}</strong> at ${Math.floor(odds.stability)} stability</div>
+            <div class="odds-summary">${odds.eligible} of ${odds.total} events can happen in the current conditions</div>
+            <table class="odds-table">${rows}</table>
+            ${timers}
+        `;
     }
 
     updateUpgradeDisplay(upgradeType, resourceType) {
         const state = this.gameState.getState();
-        if (!state || !state.upgrades) return;
+        if (!state || !state.upgrades || !window.game || !window.game.upgradeSystem) return;
         
         const upgrade = state.upgrades[upgradeType];
-        const cost = Math.floor(upgrade.baseCost * Math.pow(1.5, upgrade.level));
+        // Includes event discounts and other upgrade cost modifiers
+        const cost = window.game.upgradeSystem.getUpgradeCost(upgradeType);
         
         // Map upgrade types to their HTML element IDs
         let elementPrefix = '';
@@ -874,7 +1142,7 @@ export class UISystem {
 
     updateCrossUpgradeDisplay(upgradeType, resourceTypes) {
         const state = this.gameState.getState();
-        if (!state || !state.upgrades) return;
+        if (!state || !state.upgrades || !window.game || !window.game.upgradeSystem) return;
         
         const upgrade = state.upgrades[upgradeType];
         
@@ -891,7 +1159,8 @@ export class UISystem {
             upgradeElement.style.display = 'block';
         }
         
-        const cost = Math.floor(upgrade.baseCost * Math.pow(1.5, upgrade.level));
+        // Includes event discounts and other upgrade cost modifiers
+        const cost = window.game.upgradeSystem.getUpgradeCost(upgradeType);
         
         // Add null checks for cross-resource upgrade elements
         const levelElement = document.getElementById(`${upgradeType}Level`);
@@ -966,6 +1235,76 @@ export class UISystem {
         `;
     }
 
+    // Supplies the numbers the breakdown panel can explain (see GameEngine.getModifierBreakdowns)
+    setModifierBreakdownCallback(callback) {
+        this.getModifierBreakdowns = callback;
+    }
+
+    formatBreakdownValue(value, format) {
+        if (format === 'multiplier') return `×${value.toFixed(2)}`;
+        if (format === 'change') return `${value > 0 ? '+' : ''}${Math.round(value * 100) / 100}`;
+        return String(Math.floor(value));
+    }
+
+    formatModifier(modifier) {
+        if (modifier.range) {
+            return `×${modifier.range[0]}–${modifier.range[1]} (random)`;
+        }
+        if (modifier.operation === 'add') {
+            return `${modifier.value > 0 ? '+' : ''}${modifier.value}`;
+        }
+        if (modifier.operation === 'percent') {
+            return `${modifier.value >= 0 ? '+' : ''}${Math.round(modifier.value * 100)}%`;
+        }
+        return `×${Math.round(modifier.value * 100) / 100}`;
+    }
+
+    // Base value, every modifier on it and the result, for the number picked in #breakdownStat
+    updateModifierBreakdown() {
+        const select = document.getElementById('breakdownStat');
+        const container = document.getElementById('modifierBreakdown');
+        if (!select || !container || !this.getModifierBreakdowns) return;
+        
+        const breakdowns = this.getModifierBreakdowns().filter(item => item.breakdown);
+        if (breakdowns.length === 0) {
+            container.innerHTML = '';
+            return;
+        }
+        
+        // The list only changes with the world and unlocked upgrades; keep the open select intact otherwise
+        const ids = breakdowns.map(item => item.id).join(',');
+        if (select.dataset.ids !== ids) {
+            select.innerHTML = breakdowns.map(item =>
+                `<option value="${item.id}">${this.escapeHTML(item.label)}</option>`).join('');
+            select.dataset.ids = ids;
+        }
+        if (!breakdowns.some(item => item.id === this.selectedBreakdown)) {
+            this.selectedBreakdown = breakdowns[0].id;
+        }
+        select.value = this.selectedBreakdown;
+        
+        const { format, breakdown } = breakdowns.find(item => item.id === this.selectedBreakdown);
+        const rows = breakdown.modifiers.map(modifier => `
+            <tr>
+                <td>
+                    <span class="modifier-source">${MODIFIER_SOURCES[modifier.source] || modifier.source}</span>
+                    ${this.escapeHTML(modifier.label)}
+                    ${modifier.expires ? `<span class="modifier-expires">${modifier.expires} action${modifier.expires === 1 ? '' : 's'} left</span>` : ''}
+                    ${modifier.uses ? `<span class="modifier-expires">${modifier.uses} purchase${modifier.uses === 1 ? '' : 's'} left</span>` : ''}
+                </td>
+                <td class="modifier-value">${this.formatModifier(modifier)}</td>
+            </tr>
+        `).join('');
+        
+        container.innerHTML = `
+            <table class="breakdown-table">
+                <tr><td>Base</td><td class="modifier-value">${this.formatBreakdownValue(breakdown.base, format)}</td></tr>
+                ${rows || '<tr><td colspan="2" class="breakdown-empty">No modifiers</td></tr>'}
+                <tr class="breakdown-total"><td>Total</td><td class="modifier-value">${this.formatBreakdownValue(breakdown.total, format)}</td></tr>
+            </table>
+        `;
+    }
+
     showEventModal(event) {
         let modal = document.getElementById('eventModal');
         if (!modal) {
@@ -977,22 +1316,58 @@ export class UISystem {
         document.getElementById('eventDescription').textContent = event.description;
         document.getElementById('eventEffect').textContent = event.effect;
         
-        // Create choice buttons
+        this.renderEventChoices(event);
+        
+        // Show modal
+        modal.style.display = 'flex';
+    }
+
+    // First step: one button per choice on offer (chain stages hide choices earlier stages didn't
+    // lead to). Choices with a follow-up open their second step instead
+    renderEventChoices(event) {
+        document.getElementById('eventEffect').textContent = event.effect;
         const choicesContainer = document.getElementById('eventChoices');
         choicesContainer.innerHTML = '';
         
-        event.choices.forEach(choice => {
+        const eventSystem = window.game ? window.game.eventSystem : null;
+        const choices = eventSystem ? eventSystem.getAvailableChoices(event) : event.choices;
+        choices.forEach(choice => {
             const button = document.createElement('button');
             button.textContent = choice.text;
             button.className = 'event-choice-btn';
             button.onclick = () => {
-                this.selectEventChoice(event, choice);
+                const followUp = eventSystem ? eventSystem.getFollowUp(choice) : null;
+                if (followUp) {
+                    this.renderEventFollowUp(event, choice, followUp);
+                } else {
+                    this.selectEventChoice(event, choice);
+                }
             };
             choicesContainer.appendChild(button);
         });
+    }
+
+    // Second step of a multi-step choice: the prompt, one button per option and a way back
+    renderEventFollowUp(event, choice, followUp) {
+        document.getElementById('eventEffect').textContent = followUp.prompt;
+        const choicesContainer = document.getElementById('eventChoices');
+        choicesContainer.innerHTML = '';
         
-        // Show modal
-        modal.style.display = 'flex';
+        followUp.options.forEach(option => {
+            const button = document.createElement('button');
+            button.textContent = choice.value ? `${option.label} (+${choice.value})` : option.label;
+            button.className = 'event-choice-btn';
+            button.onclick = () => {
+                this.selectEventChoice(event, choice, option.value);
+            };
+            choicesContainer.appendChild(button);
+        });
+        
+        const backButton = document.createElement('button');
+        backButton.textContent = 'Back';
+        backButton.className = 'event-choice-btn event-back-btn';
+        backButton.onclick = () => this.renderEventChoices(event);
+        choicesContainer.appendChild(backButton);
     }
 
     createEventModal() {
@@ -1011,6 +1386,103 @@ export class UISystem {
         return modal;
     }
 
+    // "While you were away" summary shown after loading a save that earned offline progress
+    showOfflineProgressModal(report) {
+        let modal = document.getElementById('offlineModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'offlineModal';
+            modal.className = 'event-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-labelledby', 'offlineTitle');
+            document.body.appendChild(modal);
+        }
+        
+        const formatName = name => name.charAt(0).toUpperCase() + name.slice(1);
+        const duration = this.formatPlaytime(report.seconds);
+        
+        const gainsHTML = Object.entries(report.gains)
+            .filter(([, amount]) => amount > 0)
+            .map(([resource, amount]) => `<li>+${Math.floor(amount)} ${formatName(resource)}</li>`)
+            .join('') || '<li>Nothing - your resources were already at their caps</li>';
+        
+        const notes = [];
+        if (report.timeCapped) {
+            notes.push(`Offline time is capped at 8 hours (you were away ${Math.floor(report.elapsedSeconds / 3600)}h).`);
+        }
+        if (report.capsHit.length > 0) {
+            notes.push(`Caps reached: ${report.capsHit.map(formatName).join(', ')}.`);
+        }
+        
+        modal.innerHTML = `
+            <div class="event-modal-content">
+                <h2 id="offlineTitle" class="event-title">While You Were Away</h2>
+                <p class="event-description">Your machine kept running for ${duration}.</p>
+                <ul class="event-effect">${gainsHTML}</ul>
+                ${notes.map(note => `<p class="event-description">${note}</p>`).join('')}
+                <div class="event-choices">
+                    <button id="offlineCloseBtn" class="event-choice-btn">Collect</button>
+                </div>
+            </div>
+        `;
+        
+        document.getElementById('offlineCloseBtn').onclick = () => {
+            modal.style.display = 'none';
+        };
+        modal.style.display = 'flex';
+    }
+
+    // Next world's rolled properties, with the option to reroll them once before creating it
+    showWorldPreviewModal(preview) {
+        let modal = document.getElementById('worldPreviewModal');
+        if (!modal) {
+            modal = document.createElement('div');
+            modal.id = 'worldPreviewModal';
+            modal.className = 'event-modal';
+            modal.setAttribute('role', 'dialog');
+            modal.setAttribute('aria-labelledby', 'worldPreviewTitle');
+            document.body.appendChild(modal);
+        }
+        
+        const world = preview.world;
+        const properties = world.properties;
+        const rerollLabel = preview.canReroll
+            ? `Reroll (${preview.charges} charge${preview.charges === 1 ? '' : 's'} left)`
+            : 'Already rerolled';
+        
+        modal.innerHTML = `
+            <div class="event-modal-content">
+                <h2 id="worldPreviewTitle" class="event-title">${world.name}</h2>
+                <p class="event-description">${world.description}</p>
+                <ul class="event-effect world-preview-properties">
+                    <li>Gravity: ${properties.gravity}x</li>
+                    <li>Time Speed: ${properties.timeSpeed}x</li>
+                    <li>Temperature: ${properties.temperature}°C</li>
+                    <li>Atmosphere: ${properties.atmosphere}%</li>
+                </ul>
+                <div class="event-choices">
+                    <button class="event-choice-btn" data-preview-action="reroll" ${preview.canReroll ? '' : 'disabled'}>${rerollLabel}</button>
+                    <button class="event-choice-btn" data-preview-action="create">Create World</button>
+                    <button class="event-choice-btn" data-preview-action="cancel">Cancel</button>
+                </div>
+            </div>
+        `;
+        
+        modal.querySelectorAll('[data-preview-action]').forEach(button => {
+            button.onclick = () => {
+                modal.style.display = 'none';
+                if (this.worldPreviewCallback) {
+                    this.worldPreviewCallback(button.dataset.previewAction);
+                }
+            };
+        });
+        modal.style.display = 'flex';
+    }
+
+    setWorldPreviewCallback(callback) {
+        this.worldPreviewCallback = callback;
+    }
+
     hideEventModal() {
         const modal = document.getElementById('eventModal');
         if (modal) {
@@ -1018,10 +1490,10 @@ export class UISystem {
         }
     }
 
-    selectEventChoice(event, choice) {
+    selectEventChoice(event, choice, option = null) {
         // This will be handled by passing the callback from Game.js
         if (this.eventChoiceCallback) {
-            this.eventChoiceCallback(event, choice);
+            this.eventChoiceCallback(event, choice, option);
         }
         this.hideEventModal();
     }
@@ -1198,13 +1670,77 @@ export class UISystem {
             createWorldBtn.addEventListener('click', callbacks.createWorld);
         }
         
-        // Generate actions
-        const generateHeatBtn = document.getElementById('generateHeatBtn');
-        const generateFuelBtn = document.getElementById('generateFuelBtn');
+        // World designer sliders are rendered by updateWorldDesignerUI
+        const worldDesignerControls = document.getElementById('worldDesignerControls');
+        const customWorldName = document.getElementById('customWorldName');
+        const createCustomWorldBtn = document.getElementById('createCustomWorldBtn');
+        if (worldDesignerControls) worldDesignerControls.addEventListener('input', () => this.updateWorldDesignerPreview());
+        if (customWorldName) customWorldName.addEventListener('input', () => this.updateWorldDesignerPreview());
+        if (createCustomWorldBtn) {
+            createCustomWorldBtn.addEventListener('click', () =>
+                callbacks.createCustomWorld(this.getDesignerProperties(), customWorldName ? customWorldName.value : ''));
+        }
+        
+        // Travel buttons are rendered by updateWorldProgressionDisplay
+        const worldProgression = document.getElementById('worldProgression');
+        if (worldProgression) {
+            worldProgression.addEventListener('click', (e) => {
+                const button = e.target.closest('.travel-btn');
+                if (button && !button.disabled) callbacks.travelToWorld(Number(button.dataset.worldId));
+            });
+        }
+        
+        const breakdownStat = document.getElementById('breakdownStat');
+        if (breakdownStat) {
+            breakdownStat.addEventListener('change', () => {
+                this.selectedBreakdown = breakdownStat.value;
+                this.updateModifierBreakdown();
+            });
+        }
+        
+        // World history explorer: filters re-render the list, entries select the detail panel
+        ['historyTypeFilter', 'historyTierFilter', 'historySort'].forEach(id => {
+            const select = document.getElementById(id);
+            if (!select) return;
+            select.addEventListener('change', () => {
+                this.historyFilters[select.dataset.filter] = select.value;
+                this.updateWorldHistory();
+            });
+        });
+        const worldHistory = document.getElementById('worldHistory');
+        if (worldHistory) {
+            const selectEntry = (e) => {
+                const item = e.target.closest('.world-history-item');
+                if (item) this.selectHistoryEntry(Number(item.dataset.historyIndex));
+            };
+            worldHistory.addEventListener('click', selectEntry);
+            worldHistory.addEventListener('keydown', (e) => {
+                if (e.key === 'Enter' || e.key === ' ') {
+                    e.preventDefault();
+                    selectEntry(e);
+                }
+            });
+        }
+        
+        // Tier buttons are rendered by updateWorldTierUI
+        const worldTierGrid = document.getElementById('worldTierGrid');
+        if (worldTierGrid) {
+            worldTierGrid.addEventListener('click', (e) => {
+                const button = e.target.closest('.tier-unlock-btn');
+                if (button && !button.disabled) callbacks.selectWorldTier(Number(button.dataset.tier));
+            });
+        }
+        
+        // Generate actions; the world's buttons are rendered by updateWorldActions
+        const worldActions = document.getElementById('worldActions');
         const generateEnergyBtn = document.getElementById('generateEnergyBtn');
         
-        if (generateHeatBtn) generateHeatBtn.addEventListener('click', () => callbacks.generateResource('heat'));
-        if (generateFuelBtn) generateFuelBtn.addEventListener('click', () => callbacks.generateResource('fuel'));
+        if (worldActions) {
+            worldActions.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-action-resource]');
+                if (button) callbacks.generateResource(button.dataset.actionResource);
+            });
+        }
         if (generateEnergyBtn) generateEnergyBtn.addEventListener('click', callbacks.generateEnergy);
         
         // Upgrade buttons
@@ -1261,6 +1797,246 @@ export class UISystem {
         if (exportSaveBtn) exportSaveBtn.addEventListener('click', callbacks.exportSave);
         if (importSaveBtn) importSaveBtn.addEventListener('click', () => importSaveFile.click());
         if (importSaveFile) importSaveFile.addEventListener('change', () => callbacks.importSave(importSaveFile));
+        
+        const copySaveStringBtn = document.getElementById('copySaveStringBtn');
+        const importSaveStringBtn = document.getElementById('importSaveStringBtn');
+        const saveStringInput = document.getElementById('saveStringInput');
+        
+        if (copySaveStringBtn) copySaveStringBtn.addEventListener('click', callbacks.exportSaveString);
+        if (importSaveStringBtn && saveStringInput) {
+            importSaveStringBtn.addEventListener('click', () => callbacks.importSaveString(saveStringInput.value));
+        }
+
+        const verifySaveBtn = document.getElementById('verifySaveBtn');
+        if (verifySaveBtn) verifySaveBtn.addEventListener('click', callbacks.verifySave);
+        
+        const checkSaveBtn = document.getElementById('checkSaveBtn');
+        if (checkSaveBtn) checkSaveBtn.addEventListener('click', callbacks.checkSave);
+        
+        // The repair button is rendered by showSaveCheckResult
+        const saveCheckResult = document.getElementById('saveCheckResult');
+        if (saveCheckResult) {
+            saveCheckResult.addEventListener('click', (e) => {
+                if (e.target.id === 'repairSaveBtn') callbacks.repairSave();
+            });
+        }
+        
+        this.bindSaveSlotEventListeners(callbacks, importSaveFile);
+    }
+
+    // Slot actions arrive as callbacks.saveSlotAction(action, slotId, name)
+    bindSaveSlotEventListeners(callbacks, importSaveFile) {
+        const newSlotBtn = document.getElementById('newSlotBtn');
+        if (newSlotBtn) {
+            newSlotBtn.addEventListener('click', () => {
+                const name = prompt('Name for the new save slot:', '');
+                if (name !== null) {
+                    callbacks.saveSlotAction('create', null, name);
+                }
+            });
+        }
+        
+        const saveSlotList = document.getElementById('saveSlotList');
+        if (!saveSlotList) return;
+        
+        saveSlotList.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-slot-action]');
+            if (!button) return;
+            
+            const action = button.dataset.slotAction;
+            const slotId = button.dataset.slotId;
+            const slot = this.gameState.slotManager.getSlot(slotId);
+            if (!slot) return;
+            
+            if (action === 'rename') {
+                const name = prompt('Rename save slot:', slot.name);
+                if (name !== null) callbacks.saveSlotAction('rename', slotId, name);
+            } else if (action === 'delete') {
+                if (confirm(`Delete "${slot.name}" and its backups? This cannot be undone.`)) {
+                    callbacks.saveSlotAction('delete', slotId);
+                }
+            } else if (action === 'import') {
+                // The shared file input remembers which slot the file is for
+                if (importSaveFile) {
+                    importSaveFile.dataset.slotId = slotId;
+                    importSaveFile.click();
+                }
+            } else {
+                callbacks.saveSlotAction(action, slotId);
+            }
+        });
+    }
+
+    updateSaveSlotsUI() {
+        const saveSlotList = document.getElementById('saveSlotList');
+        if (!saveSlotList || !this.gameState.slotManager) return;
+        
+        const activeSlotId = this.gameState.slotId;
+        const slots = this.gameState.slotManager.listSlots();
+        
+        saveSlotList.innerHTML = slots.map(slot => {
+            const isActive = slot.id === activeSlotId;
+            const meta = slot.meta;
+            const details = meta
+                ? `${meta.currentWorld || 'No world'} · ${meta.worldsCreated} worlds · ${this.formatPlaytime(meta.playtime)} played` +
+                  (meta.lastSavedAt ? ` · saved ${new Date(meta.lastSavedAt).toLocaleString()}` : '')
+                : 'Empty';
+            const button = (action, label) =>
+                `<button class="option-btn" data-slot-action="${action}" data-slot-id="${slot.id}">${label}</button>`;
+            
+            return `
+                <div class="save-slot${isActive ? ' active' : ''}" role="listitem">
+                    <div class="save-slot-name">${this.escapeHTML(slot.name)}${isActive ? ' (playing)' : ''}</div>
+                    <div class="save-slot-meta">${details}</div>
+                    <div class="save-slot-actions">
+                        ${isActive ? '' : button('load', 'Load')}
+                        ${button('rename', 'Rename')}
+                        ${button('duplicate', 'Duplicate')}
+                        ${button('export', 'Export')}
+                        ${button('import', 'Import')}
+                        ${slots.length > 1 ? button('delete', 'Delete') : ''}
+                    </div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Lists problems found by the save schema check; `repaired` marks them as already fixed
+    showSaveCheckResult(report, repaired = false) {
+        const container = document.getElementById('saveCheckResult');
+        if (!container) return;
+        
+        if (report.valid) {
+            container.innerHTML = '<p>No problems found.</p>';
+            return;
+        }
+        
+        const items = report.problems.map(problem =>
+            `<li><code>${this.escapeHTML(problem.path)}</code>: ${this.escapeHTML(problem.message)} (${this.escapeHTML(problem.fix)})</li>`
+        ).join('');
+        
+        container.innerHTML = repaired
+            ? `<p>Repaired ${report.problems.length} problem(s):</p><ul>${items}</ul>`
+            : `<p>Found ${report.problems.length} problem(s):</p><ul>${items}</ul>
+               <button id="repairSaveBtn" class="option-btn">Repair</button>`;
+    }
+
+    updateBackupsUI() {
+        const backupList = document.getElementById('backupList');
+        if (!backupList) return;
+        
+        const backups = this.gameState.getBackupList()
+            .slice()
+            .sort((a, b) => b.timestamp - a.timestamp);
+        
+        if (backups.length === 0) {
+            backupList.innerHTML = '<p class="save-slot-meta">No backups yet - one is made every time the game saves.</p>';
+            return;
+        }
+        
+        backupList.innerHTML = backups.map(backup => {
+            // Backups made before summaries were stored are read once to describe them
+            let meta = backup.meta;
+            if (!meta) {
+                const data = this.gameState.getBackupData(backup.timestamp);
+                meta = data ? { worldsCreated: data.worldsCreated || 0, playtime: Math.floor(data.playtime || 0) } : null;
+            }
+            const details = meta
+                ? `${meta.worldsCreated} worlds · ${this.formatPlaytime(meta.playtime)} played`
+                : 'Unreadable backup';
+            
+            return `
+                <div class="save-slot" role="listitem">
+                    <div class="save-slot-name">${new Date(backup.timestamp).toLocaleString()}</div>
+                    <div class="save-slot-meta">${details}</div>
+                    <div class="save-slot-actions">
+                        <button class="option-btn" data-backup-action="preview" data-timestamp="${backup.timestamp}">Compare</button>
+                    </div>
+                    <div class="backup-diff" id="backupDiff_${backup.timestamp}"></div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Side-by-side table of what restoring this backup would change
+    showBackupDiff(timestamp) {
+        const container = document.getElementById(`backupDiff_${timestamp}`);
+        if (!container) return;
+        
+        const backup = this.gameState.getBackupData(timestamp);
+        if (!backup) {
+            container.innerHTML = '<p>This backup could not be read.</p>';
+            return;
+        }
+        
+        const diff = this.gameState.compareWithBackup(backup);
+        const formatName = name => name.charAt(0).toUpperCase() + name.slice(1).replace(/([A-Z])/g, ' $1');
+        const rows = (title, list) => list.length === 0 ? '' : `
+            <tr><th colspan="3">${title}</th></tr>
+            ${list.map(row => `<tr><td>${formatName(row.key)}</td><td>${row.current}</td><td>${row.other}</td></tr>`).join('')}
+        `;
+        const achievementRow = (label, names) => names.length === 0 ? '' :
+            `<tr><td>${label}</td><td colspan="2">${names.map(name => this.escapeHTML(name)).join(', ')}</td></tr>`;
+        
+        const body = rows('Resources', diff.resources) + rows('Upgrade levels', diff.upgrades) +
+            (diff.achievements.onlyCurrent.length + diff.achievements.onlyOther.length > 0
+                ? '<tr><th colspan="3">Achievements</th></tr>' +
+                  achievementRow('Lost on restore', diff.achievements.onlyCurrent) +
+                  achievementRow('Only in backup', diff.achievements.onlyOther)
+                : '');
+        
+        container.innerHTML = `
+            <table class="backup-diff-table">
+                <thead><tr><th></th><th>Current</th><th>Backup</th></tr></thead>
+                <tbody>${body || '<tr><td colspan="3">Identical to the current game</td></tr>'}</tbody>
+            </table>
+            <button class="option-btn danger-btn" data-backup-action="restore" data-timestamp="${timestamp}">Restore this backup</button>
+        `;
+    }
+
+    showSaveString(saveString) {
+        const input = document.getElementById('saveStringInput');
+        if (!input) return;
+        
+        input.value = saveString;
+        if (saveString) {
+            input.focus();
+            input.select();
+        }
+    }
+
+    showSaveSlotStatus(message) {
+        const status = document.getElementById('saveSlotStatus');
+        if (status) status.textContent = message;
+    }
+
+    formatPlaytime(seconds) {
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        return hours > 0 ? `${hours}h ${minutes}m` : `${minutes}m`;
+    }
+
+    escapeHTML(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    // Shows the outcome of ReplayEngine.verify next to the Verify button
+    showSaveIntegrityResult(result) {
+        const element = document.getElementById('saveIntegrityResult');
+        if (!element) return;
+
+        if (result.valid) {
+            element.textContent = `OK - ${result.actionsReplayed} actions replayed`;
+        } else if (result.reason) {
+            element.textContent = result.reason;
+        } else {
+            const fields = result.mismatches.slice(0, 3).map(mismatch => mismatch.path).join(', ');
+            const more = result.mismatches.length > 3 ? ` (+${result.mismatches.length - 3} more)` : '';
+            element.textContent = `Mismatch in ${fields}${more}`;
+        }
+        element.title = result.valid ? '' : JSON.stringify(result.mismatches, null, 2);
     }
 
     bindOptionsEventListeners(callbacks) {
@@ -1296,6 +2072,40 @@ export class UISystem {
             });
         }
         
+        const playMode = document.getElementById('playMode');
+        if (playMode) {
+            playMode.addEventListener('change', (e) => {
+                callbacks.updateSetting('playMode', e.target.value);
+            });
+        }
+        
+        const backupRetention = document.getElementById('backupRetention');
+        if (backupRetention) {
+            backupRetention.addEventListener('change', (e) => {
+                callbacks.updateSetting('backupRetention', parseInt(e.target.value));
+                this.updateBackupsUI();
+            });
+        }
+        
+        // Backup browser: preview a backup's differences, then restore it
+        const backupList = document.getElementById('backupList');
+        if (backupList) {
+            backupList.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-backup-action]');
+                if (!button) return;
+                
+                const timestamp = Number(button.dataset.timestamp);
+                if (button.dataset.backupAction === 'preview') {
+                    this.showBackupDiff(timestamp);
+                } else if (button.dataset.backupAction === 'restore') {
+                    const date = new Date(timestamp).toLocaleString();
+                    if (confirm(`Restore the backup from ${date}? Your current progress is backed up first.`)) {
+                        callbacks.restoreBackup(timestamp);
+                    }
+                }
+            });
+        }
+        
         // Volume slider
         const volumeSlider = document.getElementById('volumeSlider');
         if (volumeSlider) {
@@ -1315,6 +2125,8 @@ export class UISystem {
                         animateProgressBars: true,
                         showDetailedTooltips: true,
                         autoSaveInterval: 60,
+                        backupRetention: 3,
+                        playMode: 'active',
                         showEfficiencyNumbers: true,
                         confirmDangerousActions: true,
                         showTutorialMessages: true,
@@ -1334,43 +2146,37 @@ export class UISystem {
         }
     }
 
+    // Supplies per-second passive rates for the current world (see ResourceSystem.getPassiveRates)
+    setPassiveRatesCallback(callback) {
+        this.getPassiveRates = callback;
+    }
+
     updatePassiveIncomeDisplay() {
         const state = this.gameState.getState();
         if (!state) return;
         
         const passiveDisplay = document.getElementById('passiveIncomeDisplay');
-        const worldsOwnedCount = document.getElementById('worldsOwnedCount');
-        const passiveHeatRate = document.getElementById('passiveHeatRate');
-        const passiveFuelRate = document.getElementById('passiveFuelRate');
+        const passiveIncomeList = document.getElementById('passiveIncomeList');
+        if (!passiveDisplay) return;
+        
+        const idle = state.settings && state.settings.playMode === 'idle';
+        const rates = idle && this.getPassiveRates ? this.getPassiveRates() : {};
         
-        if (state.worldsCreated > 0) {
+        if (Object.keys(rates).length > 0) {
             // Show passive income display
-            if (passiveDisplay) passiveDisplay.style.display = 'block';
-            
-            // Calculate passive rates
-            const baseIncome = 0.5;
-            const worldBonus = Math.sqrt(state.worldsCreated) * baseIncome;
-            
-            let heatMultiplier = 1;
-            let fuelMultiplier = 1;
+            passiveDisplay.style.display = 'block';
             
-            if (state.upgrades && state.upgrades.heatGenerator) {
-                heatMultiplier += state.upgrades.heatGenerator.level * 0.1;
-            }
-            if (state.upgrades && state.upgrades.fuelEfficiency) {
-                fuelMultiplier += state.upgrades.fuelEfficiency.level * 0.1;
+            if (passiveIncomeList) {
+                passiveIncomeList.innerHTML = Object.entries(rates).map(([resource, rate]) => `
+                    <div class="passive-income-item">
+                        <span>${resource.charAt(0).toUpperCase() + resource.slice(1)}</span>
+                        <span>+${rate.toFixed(1)}/s</span>
+                    </div>
+                `).join('');
             }
-            
-            const heatRate = worldBonus * heatMultiplier;
-            const fuelRate = worldBonus * fuelMultiplier;
-            
-            // Update display
-            if (worldsOwnedCount) worldsOwnedCount.textContent = state.worldsCreated;
-            if (passiveHeatRate) passiveHeatRate.textContent = heatRate.toFixed(1);
-            if (passiveFuelRate) passiveFuelRate.textContent = fuelRate.toFixed(1);
         } else {
             // Hide passive income display
-            if (passiveDisplay) passiveDisplay.style.display = 'none';
+            passiveDisplay.style.display = 'none';
         }
     }
 }
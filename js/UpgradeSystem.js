@@ -1,9 +1,64 @@
 // UpgradeSystem.js - Handles upgrade logic, costs, and unlock conditions
 // Updated to fix state access issues
 
+export const UPGRADE_LABELS = {
+    heatGenerator: 'Heat Generator',
+    fuelEfficiency: 'Fuel Efficiency',
+    thermalAccelerator: 'Thermal Accelerator',
+    fuelSynchronizer: 'Fuel Synchronizer',
+    pressureValve: 'Pressure Valve',
+    energyMatrix: 'Energy Matrix'
+};
+
+// Generation bonus per upgrade level: actionPerLevel for player actions, worldPerLevel for
+// world creation, idle and offline yields
+const UPGRADE_BONUSES = {
+    heatGenerator: { resource: 'heat', actionPerLevel: 0.2, worldPerLevel: 0.1 },
+    fuelEfficiency: { resource: 'fuel', actionPerLevel: 0.2, worldPerLevel: 0.1 }
+};
+
 export class UpgradeSystem {
     constructor(gameState) {
         this.gameState = gameState;
+        this.modifierSystem = null;
+    }
+
+    // Upgrade costs go through the modifier stack
+    setModifierSystem(modifierSystem) {
+        this.modifierSystem = modifierSystem;
+    }
+
+    // Modifier source: upgrade levels and the permanent upgrade cost reduction
+    getModifiers(stat, context) {
+        const state = this.gameState.getState();
+        const modifiers = [];
+
+        for (const [upgradeType, bonus] of Object.entries(UPGRADE_BONUSES)) {
+            const upgrade = state.upgrades[upgradeType];
+            if (!upgrade || upgrade.level <= 0) continue;
+
+            const perLevel = context.action ? bonus.actionPerLevel : bonus.worldPerLevel;
+            modifiers.push({
+                source: 'upgrade',
+                label: `${UPGRADE_LABELS[upgradeType]} Lv ${upgrade.level}`,
+                target: `generation.${bonus.resource}`,
+                operation: 'percent',
+                value: upgrade.level * perLevel,
+                expires: null
+            });
+        }
+
+        if (state.permanentBonuses.upgradeCostReduction !== 1) {
+            modifiers.push({
+                source: 'bonus',
+                label: 'Permanent cost reduction',
+                target: 'upgradeCost',
+                operation: 'multiply',
+                value: state.permanentBonuses.upgradeCostReduction,
+                expires: null
+            });
+        }
+        return modifiers;
     }
 
     checkUpgradeUnlocksFixed() {
@@ -85,6 +140,7 @@ export class UpgradeSystem {
         if (state.resources[resourceType] >= cost && upgrade.level < upgrade.maxLevel) {
             state.resources[resourceType] -= cost;
             upgrade.level++;
+            this.modifierSystem.useUp('upgradeCost');
             return true;
         }
         return false;
@@ -103,6 +159,7 @@ export class UpgradeSystem {
         if (state.resources[primaryResourceType] >= cost && upgrade.level < upgrade.maxLevel) {
             state.resources[primaryResourceType] -= cost;
             upgrade.level++;
+            this.modifierSystem.useUp('upgradeCost');
             
             // Apply cross-resource effects based on upgrade type
             this.applyCrossUpgradeEffects(upgradeType);
@@ -125,114 +182,55 @@ export class UpgradeSystem {
             case 'fuelSynchronizer':
                 // Fuel generation +12% per level, also generates Energy
                 // Generate bonus energy based on level
-                this.gameState.resources.energy += Math.floor(level * 2);
+                state.resources.energy += Math.floor(level * 2);
                 break;
                 
             case 'pressureValve':
                 // Pressure generation +25% per level when Stability > 20
                 // Converts excess pressure to heat
-                if (this.gameState.resources.pressure > 80) {
+                if (state.resources.pressure > 80) {
                     const heatBonus = Math.floor(level * 3);
-                    this.gameState.resources.heat += heatBonus;
+                    state.resources.heat += heatBonus;
                 }
                 break;
                 
             case 'energyMatrix':
                 // Energy creation +30% per level, also generates Stability
                 const stabilityBonus = Math.floor(level * 1.5);
-                this.gameState.resources.stability += stabilityBonus;
-                this.gameState.resources.stability = Math.min(50, this.gameState.resources.stability);
+                state.resources.stability += stabilityBonus;
+                state.resources.stability = Math.min(50, state.resources.stability);
                 break;
         }
     }
 
     getUpgradeCost(upgradeType) {
+        const breakdown = this.getUpgradeCostBreakdown(upgradeType);
+        return breakdown ? Math.floor(breakdown.total) : 0;
+    }
+
+    // Cost before modifiers grows by half with every level
+    getUpgradeCostBreakdown(upgradeType) {
         const state = this.gameState.getState();
-        if (!state || !state.upgrades || !state.permanentBonuses || !state.activeEvents) return 0; // Guard against undefined state
+        if (!state || !state.upgrades) return null; // Guard against undefined state
         
         const upgrade = state.upgrades[upgradeType];
-        if (!upgrade) return 0; // Guard against undefined upgrade
-        
-        let cost = Math.floor(upgrade.baseCost * Math.pow(1.5, upgrade.level));
+        if (!upgrade) return null; // Guard against undefined upgrade
         
-        // Apply cost reduction bonuses
-        cost *= state.permanentBonuses.upgradeCostReduction;
-        
-        // Apply temporary cost reduction from events
-        state.activeEvents.forEach(event => {
-            if (event.effect === 'cheapUpgrade' || event.effect === 'cheapUpgrades') {
-                cost *= 0.5; // 50% cost reduction
-            }
-        });
-        
-        return Math.floor(cost);
+        const baseCost = Math.floor(upgrade.baseCost * Math.pow(1.5, upgrade.level));
+        return this.modifierSystem.getBreakdown('upgradeCost', baseCost, { world: state.currentWorld });
     }
 
     canAffordUpgrade(upgradeType, resourceType) {
+        const state = this.gameState.getState();
         const cost = this.getUpgradeCost(upgradeType);
-        const upgrade = this.gameState.upgrades[upgradeType];
-        
-        return this.gameState.resources[resourceType] >= cost && upgrade.level < upgrade.maxLevel;
-    }
-
-    getUpgradeBonus(upgradeType) {
-        const level = this.gameState.upgrades[upgradeType].level;
-        
-        switch (upgradeType) {
-            case 'heatGenerator':
-                return 1 + (level * 0.1); // +10% per level
-            case 'fuelEfficiency':
-                return 1 + (level * 0.1); // +10% per level
-            case 'thermalAccelerator':
-                // Only active when Pressure > 50
-                if (this.gameState.resources.pressure > 50) {
-                    return 1 + (level * 0.15); // +15% per level
-                }
-                return 1;
-            case 'fuelSynchronizer':
-                return 1 + (level * 0.12); // +12% per level
-            case 'pressureValve':
-                // Only active when Stability > 20
-                if (this.gameState.resources.stability > 20) {
-                    return 1 + (level * 0.25); // +25% per level
-                }
-                return 1;
-            case 'energyMatrix':
-                return 1 + (level * 0.30); // +30% per level
-            default:
-                return 1;
-        }
-    }
-
-    getUpgradeEfficiencyBonus(resourceType) {
-        let bonus = 1;
-        
-        switch (resourceType) {
-            case 'heat':
-                bonus *= this.getUpgradeBonus('heatGenerator');
-                if (this.gameState.resources.pressure > 50) {
-                    bonus *= this.getUpgradeBonus('thermalAccelerator');
-                }
-                break;
-            case 'fuel':
-                bonus *= this.getUpgradeBonus('fuelEfficiency');
-                bonus *= this.getUpgradeBonus('fuelSynchronizer');
-                break;
-            case 'pressure':
-                if (this.gameState.resources.stability > 20) {
-                    bonus *= this.getUpgradeBonus('pressureValve');
-                }
-                break;
-            case 'energy':
-                bonus *= this.getUpgradeBonus('energyMatrix');
-                break;
-        }
+        const upgrade = state.upgrades[upgradeType];
         
-        return bonus;
+        return state.resources[resourceType] >= cost && upgrade.level < upgrade.maxLevel;
     }
 
     getUpgradeProgress(upgradeType) {
-        const upgrade = this.gameState.upgrades[upgradeType];
+        const state = this.gameState.getState();
+        const upgrade = state.upgrades[upgradeType];
         return {
             level: upgrade.level,
             maxLevel: upgrade.maxLevel,
@@ -242,17 +240,19 @@ export class UpgradeSystem {
     }
 
     getUnlockedUpgrades() {
-        return Object.keys(this.gameState.upgrades).filter(key => 
-            this.gameState.upgrades[key].unlocked !== false
+        const state = this.gameState.getState();
+        return Object.keys(state.upgrades).filter(key => 
+            state.upgrades[key].unlocked !== false
         );
     }
 
     getCrossResourceUpgrades() {
+        const state = this.gameState.getState();
         return {
-            thermalAccelerator: this.gameState.upgrades.thermalAccelerator,
-            fuelSynchronizer: this.gameState.upgrades.fuelSynchronizer,
-            pressureValve: this.gameState.upgrades.pressureValve,
-            energyMatrix: this.gameState.upgrades.energyMatrix
+            thermalAccelerator: state.upgrades.thermalAccelerator,
+            fuelSynchronizer: state.upgrades.fuelSynchronizer,
+            pressureValve: state.upgrades.pressureValve,
+            energyMatrix: state.upgrades.energyMatrix
         };
     }
 }
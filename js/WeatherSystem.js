@@ -0,0 +1,141 @@
+// WeatherSystem.js - Temporary weather on the current world: weighted rolls per world type and the
+// modifiers each weather applies to per-action generation (see PHASE_2_PLAN_IMPROVED.md)
+
+import { RandomService } from './RandomService.js';
+import { PER_ACTION_TARGETS } from './ModifierSystem.js';
+
+// Weather lasts this many player actions before a new one is rolled
+const MIN_WEATHER_DURATION = 5;
+const MAX_WEATHER_DURATION = 10;
+
+// multipliers: generation multipliers by resource, 'all' applies to every resource. Pressure and
+//   stability multiply their per-action change
+// stabilityPerAction: stability gained or lost on every action taken in this weather
+// energyCostMultiplier: scales the heat and fuel spent on Generate Energy
+// spike: output swings randomly by this fraction range, up or down
+export const WEATHER_TYPES = {
+    Calm: {
+        icon: '🌤️',
+        multipliers: { all: 1.15 },
+        stabilityPerAction: 1,
+        energyCostMultiplier: 1,
+        badges: ['+15% All', 'Stability +1']
+    },
+    Stormy: {
+        icon: '⛈️',
+        multipliers: { fuel: 1.5, energy: 1.25 },
+        stabilityPerAction: -2,
+        energyCostMultiplier: 1,
+        badges: ['+50% Fuel', '+25% Energy', 'Stability -2']
+    },
+    Chaotic: {
+        icon: '⚡',
+        multipliers: {},
+        spike: { min: 0.25, max: 0.75 },
+        stabilityPerAction: -3,
+        energyCostMultiplier: 1,
+        badges: ['±25-75% Output', 'Stability -3']
+    },
+    Serene: {
+        icon: '✨',
+        multipliers: {},
+        stabilityPerAction: 2,
+        energyCostMultiplier: 0.7,
+        badges: ['Energy Cost -30%', 'Stability +2']
+    },
+    Turbulent: {
+        icon: '🌪️',
+        multipliers: { pressure: 2.0, heat: 0.8 },
+        stabilityPerAction: -1,
+        energyCostMultiplier: 1,
+        badges: ['Pressure +100%', 'Heat -20%', 'Stability -1']
+    }
+};
+
+// Relative odds of each weather by world type. Types without a table roll evenly
+const WEATHER_TABLES = {
+    Desert: { Calm: 35, Stormy: 10, Chaotic: 10, Serene: 15, Turbulent: 30 },
+    Ocean: { Calm: 25, Stormy: 35, Chaotic: 10, Serene: 20, Turbulent: 10 },
+    Forest: { Calm: 35, Stormy: 15, Chaotic: 5, Serene: 35, Turbulent: 10 },
+    Mountain: { Calm: 20, Stormy: 20, Chaotic: 10, Serene: 15, Turbulent: 35 },
+    Volcanic: { Calm: 10, Stormy: 25, Chaotic: 35, Serene: 5, Turbulent: 25 },
+    Ice: { Calm: 30, Stormy: 30, Chaotic: 5, Serene: 25, Turbulent: 10 },
+    Crystal: { Calm: 25, Stormy: 10, Chaotic: 15, Serene: 40, Turbulent: 10 },
+    Void: { Calm: 10, Stormy: 15, Chaotic: 45, Serene: 10, Turbulent: 20 }
+};
+
+export class WeatherSystem {
+    constructor(gameState, rng = null) {
+        this.gameState = gameState;
+        this.rng = rng || new RandomService(gameState);
+    }
+
+    getWeatherTable(worldType) {
+        if (WEATHER_TABLES[worldType]) {
+            return WEATHER_TABLES[worldType];
+        }
+        const even = {};
+        Object.keys(WEATHER_TYPES).forEach(weather => {
+            even[weather] = 1;
+        });
+        return even;
+    }
+
+    // Definition of the world's current weather, or null for a world without (known) weather
+    getWeather(world) {
+        return world && WEATHER_TYPES[world.weather] ? WEATHER_TYPES[world.weather] : null;
+    }
+
+    // Picks a new weather from the world type's table and how many actions it lasts
+    rollWeather(world) {
+        const table = this.getWeatherTable(world.type);
+        const weather = this.rng.weightedPick(Object.keys(table), name => table[name]);
+
+        world.weather = weather;
+        world.weatherDuration = this.rng.int(MIN_WEATHER_DURATION, MAX_WEATHER_DURATION);
+        world.originalWeatherDuration = world.weatherDuration;
+        return weather;
+    }
+
+    // Modifier source: the current weather's generation multipliers and energy cost (player actions
+    // only) and its stability drift. Chaotic weather rolls a fresh spike whenever the context rolls,
+    // so only roll when the gain is actually applied
+    getModifiers(stat, context) {
+        const world = context.world;
+        const weather = this.getWeather(world);
+        if (!weather) return [];
+
+        const modifiers = [];
+        const add = (target, operation, value, extra = {}) => {
+            modifiers.push({
+                source: 'weather',
+                label: `${world.weather} weather`,
+                target,
+                operation,
+                value,
+                expires: world.weatherDuration,
+                actionsOnly: true,
+                ...extra
+            });
+        };
+
+        for (const [resourceType, multiplier] of Object.entries(weather.multipliers)) {
+            add(PER_ACTION_TARGETS[resourceType] || `generation.${resourceType}`, 'multiply', multiplier);
+        }
+        if (weather.spike && stat.startsWith('generation.')) {
+            let multiplier = 1;
+            if (context.roll) {
+                const swing = this.rng.range(weather.spike.min, weather.spike.max);
+                multiplier = this.rng.next() < 0.5 ? 1 - swing : 1 + swing;
+            }
+            add('generation.all', 'multiply', multiplier, { range: [1 - weather.spike.max, 1 + weather.spike.max] });
+        }
+        if (weather.stabilityPerAction !== 0) {
+            add('stabilityPerAction', 'add', weather.stabilityPerAction);
+        }
+        if (weather.energyCostMultiplier !== 1) {
+            add('energyCost', 'multiply', weather.energyCostMultiplier);
+        }
+        return modifiers;
+    }
+}
@@ -0,0 +1,127 @@
+// WorldDesigner.js - Player-made worlds, unlocked by the "World Architect" achievement
+// The player sets each property within bounds and pays for every step away from a plain world.
+// A custom world pays out its yields once, like a newly created world, and is kept in
+// worldHistory; it doesn't count towards world progression
+
+// Achievement 33 "World Architect" - reward: "Unlock custom worlds"
+export const DESIGNER_ACHIEVEMENT_ID = 33;
+
+// Range, slider step and starting value of each designable property
+export const DESIGNER_PROPERTIES = {
+    gravity: { min: 0.5, max: 3.0, step: 0.1, neutral: 1.0, label: 'Gravity', unit: 'x' },
+    timeSpeed: { min: 0.5, max: 2.0, step: 0.1, neutral: 1.0, label: 'Time Speed', unit: 'x' },
+    temperature: { min: -50, max: 150, step: 5, neutral: 20, label: 'Temperature', unit: '°C' },
+    atmosphere: { min: 0, max: 100, step: 5, neutral: 50, label: 'Atmosphere', unit: '%' }
+};
+
+// Every custom world costs the base, plus this much per step a property is moved from neutral.
+// Heat pays for gravity and temperature, fuel for time speed and atmosphere
+const BASE_COST = { heat: 100, fuel: 75, energy: 25 };
+const COST_PER_STEP = {
+    gravity: { heat: 10 },
+    timeSpeed: { fuel: 10 },
+    temperature: { heat: 5 },
+    atmosphere: { fuel: 5 }
+};
+
+// Base yields grow with worldsCreated at the same rate as generated worlds' yields
+const YIELD_GROWTH = 0.03;
+
+// Extra resources a world's climate supports, on top of heat and fuel
+const CLIMATE_RESOURCES = [
+    { resource: 'ice', test: p => p.temperature <= 0 },
+    { resource: 'magma', test: p => p.temperature >= 90 },
+    { resource: 'water', test: p => p.atmosphere >= 60 && p.temperature > 0 },
+    { resource: 'oxygen', test: p => p.atmosphere >= 40 && p.temperature >= 0 && p.temperature <= 40 },
+    { resource: 'stone', test: p => p.gravity >= 1.5 }
+];
+
+export class WorldDesigner {
+    constructor(gameState, resourceSystem) {
+        this.gameState = gameState;
+        this.resourceSystem = resourceSystem;
+    }
+
+    isUnlocked() {
+        const state = this.gameState.getState();
+        return !!(state.achievements && state.achievements.unlocked.includes(DESIGNER_ACHIEVEMENT_ID));
+    }
+
+    // Snaps every property onto its slider step inside the bounds; missing values become neutral
+    clampProperties(properties = {}) {
+        const clamped = {};
+        for (const [name, bounds] of Object.entries(DESIGNER_PROPERTIES)) {
+            const value = typeof properties[name] === 'number' && isFinite(properties[name])
+                ? properties[name]
+                : bounds.neutral;
+            const steps = Math.round((Math.min(bounds.max, Math.max(bounds.min, value)) - bounds.min) / bounds.step);
+            // Round off floating point noise from the step arithmetic (0.1 steps)
+            clamped[name] = Math.round((bounds.min + steps * bounds.step) * 10) / 10;
+        }
+        return clamped;
+    }
+
+    getCost(properties) {
+        const cost = { ...BASE_COST };
+        for (const [name, perStep] of Object.entries(COST_PER_STEP)) {
+            const bounds = DESIGNER_PROPERTIES[name];
+            const steps = Math.round(Math.abs(properties[name] - bounds.neutral) / bounds.step);
+            for (const [resource, amount] of Object.entries(perStep)) {
+                cost[resource] = (cost[resource] || 0) + steps * amount;
+            }
+        }
+        return cost;
+    }
+
+    // Heat follows gravity and fuel follows time speed (as on the hand-written worlds);
+    // the climate adds further resources
+    getResourceGeneration(properties) {
+        const state = this.gameState.getState();
+        const scale = 1 + YIELD_GROWTH * state.worldsCreated;
+        const resourceGeneration = {
+            heat: { base: Math.round(15 * scale), multiplier: properties.gravity },
+            fuel: { base: Math.round(15 * scale), multiplier: properties.timeSpeed }
+        };
+        CLIMATE_RESOURCES.forEach(({ resource, test }) => {
+            if (test(properties)) {
+                resourceGeneration[resource] = { base: Math.round(10 * scale), multiplier: 1.0 };
+            }
+        });
+        return resourceGeneration;
+    }
+
+    buildWorld(properties, name) {
+        const state = this.gameState.getState();
+        const count = (state.worldHistory || []).filter(world => world.custom).length;
+        return {
+            name: name && name.trim() ? name.trim().slice(0, 40) : `Custom World ${count + 1}`,
+            type: 'Custom',
+            description: 'A world designed by hand.',
+            custom: true,
+            resourceGeneration: this.getResourceGeneration(properties),
+            properties,
+            // Flattened like the current world so ResourceSystem can read it
+            gravity: properties.gravity,
+            timeSpeed: properties.timeSpeed,
+            temperature: properties.temperature,
+            atmosphere: properties.atmosphere
+        };
+    }
+
+    // What the design would cost and pay out right now, through the same yield rules
+    // (temperature and atmosphere bonuses, upgrades) ResourceSystem applies to created worlds
+    getPreview(properties, name) {
+        const state = this.gameState.getState();
+        const clamped = this.clampProperties(properties);
+        const world = this.buildWorld(clamped, name);
+        const cost = this.getCost(clamped);
+
+        const yields = {};
+        for (const [resource, config] of Object.entries(world.resourceGeneration)) {
+            yields[resource] = Math.floor(this.resourceSystem.calculateWorldYield(world, resource, config));
+        }
+
+        const canAfford = Object.entries(cost).every(([resource, amount]) => (state.resources[resource] || 0) >= amount);
+        return { world, cost, yields, canAfford };
+    }
+}
@@ -0,0 +1,270 @@
+// WorldGenerator.js - Builds new worlds from biome templates once the hand-written worlds run out
+// A generated world only depends on the run seed, its id and how many worlds had been created,
+// so it can be generated lazily and still come out the same when a run is replayed
+
+import { RandomService } from './RandomService.js';
+
+// Unlock costs grow polynomially with worldsCreated so the 250-world achievements stay reachable
+const COST_BASE = 40;
+const COST_GROWTH = 0.25;
+const COST_EXPONENT = 1.15;
+// Generated worlds yield a little more the later they are found
+const YIELD_GROWTH = 0.03;
+// Higher tiers cost more to unlock and yield more once created
+const TIER_COST_MULTIPLIERS = { 1: 1, 2: 1.5, 3: 2.5 };
+const TIER_YIELD_MULTIPLIERS = { 1: 1, 2: 1.5, 3: 2.5 };
+
+const NAME_PREFIXES = [
+    'Aster', 'Brannoc', 'Caldra', 'Dusk', 'Elyra', 'Ferro', 'Galen', 'Halcyon', 'Ishar', 'Joran',
+    'Kessra', 'Lumen', 'Morrow', 'Nadir', 'Orrin', 'Pallas', 'Quill', 'Rhea', 'Solace', 'Tarn',
+    'Umbra', 'Vesper', 'Wend', 'Xylo', 'Yarrow', 'Zenith'
+];
+
+// Property ranges are [min, max]; resources map to [min, max] base yield. Every biome yields heat
+// and fuel so the next world's costs can always be worked towards
+const BIOME_TEMPLATES = [
+    {
+        type: 'Desert',
+        noun: 'Dunes',
+        description: 'Sun-scorched sand seas with pockets of buried fuel.',
+        properties: { temperature: [30, 70], atmosphere: [5, 35], gravity: [0.8, 1.4], timeSpeed: [0.8, 1.3] },
+        resources: { heat: [10, 16], fuel: [6, 10], stone: [2, 5] }
+    },
+    {
+        type: 'Ocean',
+        noun: 'Deep',
+        description: 'An endless ocean under a heavy, humid sky.',
+        properties: { temperature: [5, 30], atmosphere: [65, 95], gravity: [0.7, 1.2], timeSpeed: [0.9, 1.3] },
+        resources: { water: [8, 14], fuel: [8, 12], heat: [4, 8], oxygen: [2, 5] }
+    },
+    {
+        type: 'Forest',
+        noun: 'Canopy',
+        description: 'Overgrown continents breathing oxygen into a thick atmosphere.',
+        properties: { temperature: [10, 35], atmosphere: [75, 100], gravity: [0.9, 1.3], timeSpeed: [0.7, 1.1] },
+        resources: { oxygen: [6, 10], water: [5, 9], heat: [6, 10], fuel: [4, 8] }
+    },
+    {
+        type: 'Mountain',
+        noun: 'Spires',
+        description: 'Jagged ranges rich in stone and thin, cold air.',
+        properties: { temperature: [-10, 20], atmosphere: [25, 60], gravity: [1.1, 1.8], timeSpeed: [0.6, 1.0] },
+        resources: { stone: [5, 9], heat: [6, 10], fuel: [4, 7], ice: [1, 4] }
+    },
+    {
+        type: 'Volcanic',
+        noun: 'Caldera',
+        description: 'Rivers of magma crossing a cracked, glowing crust.',
+        properties: { temperature: [70, 140], atmosphere: [15, 45], gravity: [1.0, 1.6], timeSpeed: [1.1, 1.6] },
+        resources: { magma: [4, 8], heat: [14, 22], stone: [5, 9], fuel: [3, 6] }
+    },
+    {
+        type: 'Ice',
+        noun: 'Glacier',
+        description: 'A frozen shell over still, dark water.',
+        properties: { temperature: [-50, -5], atmosphere: [35, 70], gravity: [0.6, 1.1], timeSpeed: [0.5, 0.9] },
+        resources: { ice: [6, 10], water: [6, 12], heat: [3, 6], fuel: [3, 6] }
+    },
+    {
+        type: 'Crystal',
+        noun: 'Lattice',
+        description: 'Resonant crystal plains that hum at the edge of hearing.',
+        properties: { temperature: [0, 40], atmosphere: [20, 55], gravity: [1.1, 1.7], timeSpeed: [0.9, 1.4] },
+        resources: { crystal: [3, 6], stone: [6, 10], heat: [4, 8], fuel: [4, 8] }
+    },
+    {
+        type: 'Void',
+        noun: 'Rift',
+        description: 'A thinning of reality where void energy seeps through.',
+        properties: { temperature: [-20, 20], atmosphere: [0, 15], gravity: [0.3, 0.8], timeSpeed: [1.5, 2.5] },
+        resources: { voidEnergy: [1, 3], crystal: [4, 7], heat: [4, 8], fuel: [4, 8] }
+    }
+];
+
+// Tier 2 "Enhanced" and Tier 3 "Exotic" worlds. specialEffects.effects is read by ResourceSystem
+// (per-resource and `all` multipliers, per-action stability/pressure, `special` mechanics) and
+// GameState.enforceResourceCaps (noResourceLimits)
+const ENHANCED_TEMPLATES = [
+    {
+        type: 'Plasma',
+        noun: 'Corona',
+        description: 'Superheated plasma storms over a world that never cools.',
+        properties: { temperature: [100, 150], atmosphere: [20, 60], gravity: [0.5, 2.0], timeSpeed: [1.0, 2.0] },
+        resources: { heat: [18, 26], fuel: [6, 10], magma: [4, 8] },
+        specialEffects: { description: '+50% Heat, +10 Pressure per action', effects: { heat: 1.5, pressurePerAction: 10 } }
+    },
+    {
+        type: 'Dark Matter',
+        noun: 'Shroud',
+        description: 'Unseen mass bends light and pulls at everything on the surface.',
+        properties: { temperature: [-30, 30], atmosphere: [10, 50], gravity: [1.5, 3.5], timeSpeed: [0.5, 1.5] },
+        resources: { heat: [8, 12], fuel: [8, 12], stone: [6, 10], voidEnergy: [1, 3] },
+        specialEffects: { description: '+25% all resources, -5 Stability per action', effects: { all: 1.25, stabilityPerAction: -5 } }
+    },
+    {
+        type: 'Temporal',
+        noun: 'Eddy',
+        description: 'Time pools and races across the surface in uneven currents.',
+        properties: { temperature: [0, 40], atmosphere: [30, 70], gravity: [0.2, 1.5], timeSpeed: [0.1, 3.0] },
+        resources: { heat: [6, 10], fuel: [10, 14], crystal: [2, 5] },
+        specialEffects: { description: '+50% Energy, +20% Fuel', effects: { energy: 1.5, fuel: 1.2 } }
+    },
+    {
+        type: 'Magnetic',
+        noun: 'Pole',
+        description: 'Vast magnetic fields hold charge in the air itself.',
+        properties: { temperature: [-10, 30], atmosphere: [50, 100], gravity: [0.8, 2.0], timeSpeed: [0.6, 1.4] },
+        resources: { heat: [6, 10], fuel: [6, 10], stone: [6, 10], crystal: [2, 4] },
+        specialEffects: { description: 'Energy is stored without decay', effects: { special: 'noEnergyDecay' } }
+    },
+    {
+        type: 'Quantum',
+        noun: 'Superposition',
+        description: 'Every measurement of this world disagrees with the last.',
+        properties: { temperature: [-50, 150], atmosphere: [0, 100], gravity: [0.2, 3.5], timeSpeed: [0.1, 3.0] },
+        resources: { heat: [8, 14], fuel: [8, 14], crystal: [3, 6] },
+        specialEffects: { description: 'Manual output swings between 0.5x and 2x', effects: { all: 'random' } }
+    },
+    {
+        type: 'Hybrid',
+        noun: 'Confluence',
+        description: 'Two biomes grown into each other.',
+        properties: { temperature: [-20, 80], atmosphere: [20, 90], gravity: [0.5, 2.5], timeSpeed: [0.5, 2.0] },
+        // Resources come from two random Tier 1 biomes
+        hybrid: true,
+        specialEffects: { description: 'Produces the resources of two Tier 1 biomes', effects: {} }
+    }
+];
+
+const EXOTIC_TEMPLATES = [
+    {
+        type: 'Dimensional',
+        noun: 'Fold',
+        description: 'Space overlaps itself; resources arrive from somewhere else.',
+        properties: { temperature: [-50, 150], atmosphere: [0, 100], gravity: [0.1, 5.0], timeSpeed: [0.05, 4.0] },
+        resources: { heat: [10, 16], fuel: [10, 16], voidEnergy: [2, 4], crystal: [3, 6] },
+        specialEffects: { description: '+40% all resources, -3 Stability per action', effects: { all: 1.4, stabilityPerAction: -3 } }
+    },
+    {
+        type: 'Singularity',
+        noun: 'Horizon',
+        description: 'A world folded around a point of impossible density.',
+        properties: { temperature: [50, 150], atmosphere: [0, 30], gravity: [3.0, 5.0], timeSpeed: [0.05, 0.5] },
+        resources: { heat: [12, 18], fuel: [8, 12], stone: [10, 16], magma: [4, 8] },
+        specialEffects: { description: 'Compressed output: +100% Stone, +50% all, +5 Pressure per action', effects: { stone: 2.0, all: 1.5, pressurePerAction: 5 } }
+    },
+    {
+        type: 'Living',
+        noun: 'Bloom',
+        description: 'The world itself is alive, and it learns from your machine.',
+        properties: { temperature: [10, 40], atmosphere: [60, 100], gravity: [0.5, 2.0], timeSpeed: [0.5, 1.5] },
+        resources: { heat: [8, 12], fuel: [8, 12], oxygen: [8, 12], water: [6, 10] },
+        specialEffects: { description: '+1% output for every world created', effects: { special: 'learningBonus' } }
+    },
+    {
+        type: 'Infinite',
+        noun: 'Expanse',
+        description: 'A world without edges, where nothing ever fills up.',
+        properties: { temperature: [-50, 150], atmosphere: [0, 100], gravity: [0.1, 5.0], timeSpeed: [0.05, 4.0] },
+        resources: { heat: [10, 14], fuel: [10, 14], water: [4, 8], stone: [4, 8] },
+        specialEffects: { description: 'Pressure, Energy and Stability caps doubled', effects: { special: 'noResourceLimits' } }
+    }
+];
+
+const TIER_TEMPLATES = { 1: BIOME_TEMPLATES, 2: ENHANCED_TEMPLATES, 3: EXOTIC_TEMPLATES };
+
+export class WorldGenerator {
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    static getBiomeTemplates(tier = 1) {
+        return TIER_TEMPLATES[tier] || BIOME_TEMPLATES;
+    }
+
+    // Template for a world type from any tier; the hand-written worlds share the Tier 1 types
+    static findTemplate(type) {
+        for (const templates of Object.values(TIER_TEMPLATES)) {
+            const template = templates.find(candidate => candidate.type === type);
+            if (template) return template;
+        }
+        return null;
+    }
+
+    // A fresh property set within the template's ranges
+    static rollProperties(template, rng) {
+        const roll = ([min, max], decimals = 0) => {
+            const factor = Math.pow(10, decimals);
+            return Math.round(rng.range(min, max) * factor) / factor;
+        };
+        return {
+            temperature: roll(template.properties.temperature),
+            atmosphere: roll(template.properties.atmosphere),
+            gravity: roll(template.properties.gravity, 1),
+            timeSpeed: roll(template.properties.timeSpeed, 1)
+        };
+    }
+
+    // Heat and fuel plus one more resource the previous world produces
+    static getUnlockRequirements(worldsCreated, previousWorld, rng, tier = 1) {
+        const proceduralIndex = Math.max(1, worldsCreated - 6);
+        const tierScale = TIER_COST_MULTIPLIERS[tier] || 1;
+        const amount = scale => Math.floor(COST_BASE * scale * tierScale * Math.pow(1 + COST_GROWTH * proceduralIndex, COST_EXPONENT));
+
+        const requirements = { heat: amount(1), fuel: amount(0.8) };
+        const extras = Object.keys((previousWorld && previousWorld.resourceGeneration) || {})
+            .filter(resource => !(resource in requirements));
+        const extra = rng.pick(extras);
+        if (extra) {
+            requirements[extra] = amount(0.5);
+        }
+        return requirements;
+    }
+
+    // Builds world `id` from the given tier's templates; its unlock costs follow the run's
+    // current worldsCreated
+    generateWorld(id, previousWorld, tier = 1) {
+        const state = this.gameState.getState();
+        const seed = state.rng && typeof state.rng.seed === 'number' ? state.rng.seed : 0;
+        const rng = RandomService.fork(seed, id * 4 + tier);
+
+        const template = rng.pick(WorldGenerator.getBiomeTemplates(tier));
+        const roll = ([min, max], decimals = 0) => {
+            const factor = Math.pow(10, decimals);
+            return Math.round(rng.range(min, max) * factor) / factor;
+        };
+
+        let resources = template.resources;
+        let description = template.description;
+        if (template.hybrid) {
+            const [first, second] = [rng.pick(BIOME_TEMPLATES), rng.pick(BIOME_TEMPLATES)];
+            resources = { ...first.resources, ...second.resources };
+            description = `${template.description} Part ${first.type.toLowerCase()}, part ${second.type.toLowerCase()}.`;
+        }
+
+        const yieldScale = (1 + YIELD_GROWTH * Math.max(0, id - 8)) * (TIER_YIELD_MULTIPLIERS[tier] || 1);
+        const resourceGeneration = {};
+        for (const [resource, range] of Object.entries(resources)) {
+            resourceGeneration[resource] = {
+                base: Math.max(1, Math.round(roll(range) * yieldScale)),
+                multiplier: roll([0.8, 2.0], 1)
+            };
+        }
+
+        return {
+            id,
+            // Rift worlds (negative ids) aren't part of the numbered sequence
+            name: id >= 0 ? `${rng.pick(NAME_PREFIXES)} ${template.noun} ${id}` : `${rng.pick(NAME_PREFIXES)} ${template.noun}`,
+            type: template.type,
+            description,
+            tier,
+            generated: true,
+            unlockRequirements: WorldGenerator.getUnlockRequirements(state.worldsCreated, previousWorld, rng, tier),
+            introducesResources: [],
+            resourceGeneration,
+            properties: WorldGenerator.rollProperties(template, rng),
+            specialEffects: template.specialEffects ? JSON.parse(JSON.stringify(template.specialEffects)) : null,
+            unlocked: false
+        };
+    }
+}
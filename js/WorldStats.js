@@ -0,0 +1,82 @@
+// WorldStats.js - Per-world records for the world history explorer: what each world yielded while
+// it was the current world, how long and how many actions it was active, which events fired there
+// and what weather it had. Stored in state.worldStats by world id, so revisits add up
+
+// Only the most recent events are kept per world
+const MAX_EVENTS_PER_WORLD = 20;
+
+export class WorldStats {
+    constructor(gameState) {
+        this.gameState = gameState;
+    }
+
+    // Stats for a world id, or null if nothing was recorded there
+    getStats(worldId) {
+        const state = this.gameState.getState();
+        return state.worldStats && state.worldStats[worldId] ? state.worldStats[worldId] : null;
+    }
+
+    // Creates the entry on first use. Custom worlds are never active and have no id
+    getOrCreate(world) {
+        if (!world || typeof world.id !== 'number') return null;
+
+        const state = this.gameState.getState();
+        if (!state.worldStats) {
+            state.worldStats = {};
+        }
+        if (!state.worldStats[world.id]) {
+            state.worldStats[world.id] = {
+                visits: 0,
+                actions: 0,
+                activeSeconds: 0,
+                yields: {},
+                events: [],
+                weather: {}
+            };
+        }
+        return state.worldStats[world.id];
+    }
+
+    recordVisit(world) {
+        const stats = this.getOrCreate(world);
+        if (stats) stats.visits += 1;
+    }
+
+    // Positive resource changes credited to the world that produced them
+    recordIncome(world, gains) {
+        const stats = this.getOrCreate(world);
+        if (!stats) return;
+
+        for (const [resource, amount] of Object.entries(gains)) {
+            if (amount > 0) {
+                stats.yields[resource] = (stats.yields[resource] || 0) + amount;
+            }
+        }
+    }
+
+    // One player action on the world, counted against the weather it was taken in
+    recordAction(world) {
+        const stats = this.getOrCreate(world);
+        if (!stats) return;
+
+        stats.actions += 1;
+        if (world.weather) {
+            stats.weather[world.weather] = (stats.weather[world.weather] || 0) + 1;
+        }
+    }
+
+    recordActiveTime(world, seconds) {
+        const stats = this.getOrCreate(world);
+        if (stats && seconds > 0) stats.activeSeconds += seconds;
+    }
+
+    recordEvent(world, event, choice) {
+        const stats = this.getOrCreate(world);
+        if (!stats) return;
+
+        stats.events.push({ name: event.name, choice: choice ? choice.text : null });
+        if (stats.events.length > MAX_EVENTS_PER_WORLD) {
+            stats.events.splice(0, stats.events.length - MAX_EVENTS_PER_WORLD);
+        }
+    }
+}
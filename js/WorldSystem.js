@@ -1,228 +1,39 @@
 // WorldSystem.js - Handles structured world progression with specific worlds and resources
+// The hand-written worlds come first; after them WorldGenerator keeps producing new ones, which
+// are stored in state.generatedWorlds
+
+import { WorldGenerator } from './WorldGenerator.js';
+import { RESOURCE_TYPES } from './ResourceSystem.js';
+
+// Tier unlock conditions (PHASE_2_PLAN_IMPROVED.md). Once met, a tier stays unlocked
+const TIER_REQUIREMENTS = {
+    2: { worldsCreated: 25, basicUpgradeLevel: 5 },
+    3: { worldsCreated: 100, crossUpgradeLevel: 5 }
+};
+const BASIC_UPGRADES = ['heatGenerator', 'fuelEfficiency'];
+const CROSS_UPGRADES = ['thermalAccelerator', 'fuelSynchronizer', 'pressureValve', 'energyMatrix'];
+
+export const TIER_NAMES = { 1: 'Basic', 2: 'Enhanced', 3: 'Exotic' };
+
+// Player actions a Dimensional Rift stays open for
+export const RIFT_DURATION = 10;
+
+// Energy spent to travel back to a world that was already created. 0 makes travel free
+export const TRAVEL_ENERGY_COST = 10;
 
 export class WorldSystem {
-    constructor(gameState) {
+    constructor(gameState, weatherSystem = null) {
         this.gameState = gameState;
-        this.worldDefinitions = this.initializeWorldDefinitions();
+        this.weatherSystem = weatherSystem;
+        // Hand-written worlds come from the content packs (see ContentLoader); ids match their index
+        this.worldDefinitions = gameState.content.worlds;
+        this.worldGenerator = new WorldGenerator(gameState);
+        this.worldStats = null;
     }
 
-    initializeWorldDefinitions() {
-        return [
-            {
-                id: 0,
-                name: "Desert Planet",
-                type: "Desert",
-                description: "A harsh, arid world with extreme heat. The starting point of your journey.",
-                unlockRequirements: {}, // Always unlocked (starting world)
-                introducesResources: ['heat', 'fuel'],
-                resourceGeneration: {
-                    heat: { base: 12, multiplier: 1.5 },
-                    fuel: { base: 8, multiplier: 1.0 }
-                },
-                properties: {
-                    temperature: 45,
-                    atmosphere: 20,
-                    gravity: 1.0,
-                    timeSpeed: 1.0
-                },
-                unlocked: true
-            },
-            {
-                id: 1,
-                name: "Ocean Planet",
-                type: "Ocean",
-                description: "A water world with vast seas and humidity. Introduces water extraction.",
-                unlockRequirements: {
-                    heat: 50,
-                    fuel: 25
-                },
-                introducesResources: ['water'],
-                resourceGeneration: {
-                    water: { base: 10, multiplier: 1.8 },
-                    fuel: { base: 12, multiplier: 1.2 },
-                    heat: { base: 6, multiplier: 0.8 }
-                },
-                properties: {
-                    temperature: 15,
-                    atmosphere: 80,
-                    gravity: 0.9,
-                    timeSpeed: 1.1
-                },
-                unlocked: false
-            },
-            {
-                id: 2,
-                name: "Forest Planet",
-                type: "Forest",
-                description: "A lush world covered in vegetation. Rich in oxygen and life energy.",
-                unlockRequirements: {
-                    heat: 25,
-                    fuel: 25,
-                    water: 30
-                },
-                introducesResources: ['oxygen'],
-                resourceGeneration: {
-                    oxygen: { base: 8, multiplier: 2.0 },
-                    heat: { base: 10, multiplier: 1.3 },
-                    water: { base: 8, multiplier: 1.4 },
-                    fuel: { base: 6, multiplier: 0.9 }
-                },
-                properties: {
-                    temperature: 22,
-                    atmosphere: 95,
-                    gravity: 1.1,
-                    timeSpeed: 0.9
-                },
-                unlocked: false
-            },
-            {
-                id: 3,
-                name: "Mountain Planet",
-                type: "Mountain",
-                description: "A rocky world with towering peaks. Rich in mineral deposits and stone.",
-                unlockRequirements: {
-                    heat: 25,
-                    fuel: 25,
-                    water: 25,
-                    oxygen: 20
-                },
-                introducesResources: ['stone'],
-                resourceGeneration: {
-                    stone: { base: 6, multiplier: 2.2 },
-                    heat: { base: 8, multiplier: 1.4 },
-                    fuel: { base: 5, multiplier: 1.1 },
-                    oxygen: { base: 4, multiplier: 0.7 }
-                },
-                properties: {
-                    temperature: 5,
-                    atmosphere: 45,
-                    gravity: 1.3,
-                    timeSpeed: 0.8
-                },
-                unlocked: false
-            },
-            {
-                id: 4,
-                name: "Volcanic Planet",
-                type: "Volcanic",
-                description: "A world of fire and molten rock. Extreme heat and magma flows.",
-                unlockRequirements: {
-                    heat: 50,
-                    fuel: 25,
-                    water: 25,
-                    oxygen: 20,
-                    stone: 30
-                },
-                introducesResources: ['magma'],
-                resourceGeneration: {
-                    magma: { base: 5, multiplier: 2.5 },
-                    heat: { base: 18, multiplier: 2.0 },
-                    stone: { base: 8, multiplier: 1.3 },
-                    water: { base: 2, multiplier: 0.3 }
-                },
-                properties: {
-                    temperature: 85,
-                    atmosphere: 25,
-                    gravity: 1.2,
-                    timeSpeed: 1.3
-                },
-                unlocked: false
-            },
-            {
-                id: 5,
-                name: "Ice Planet",
-                type: "Ice",
-                description: "A frozen world of eternal winter. Ice formations and crystalline structures.",
-                unlockRequirements: {
-                    heat: 25,
-                    fuel: 25,
-                    water: 40,
-                    oxygen: 20,
-                    stone: 25,
-                    magma: 20
-                },
-                introducesResources: ['ice'],
-                resourceGeneration: {
-                    ice: { base: 7, multiplier: 2.3 },
-                    water: { base: 12, multiplier: 1.8 },
-                    oxygen: { base: 6, multiplier: 1.2 },
-                    heat: { base: 3, multiplier: 0.4 },
-                    magma: { base: 1, multiplier: 0.2 }
-                },
-                properties: {
-                    temperature: -35,
-                    atmosphere: 55,
-                    gravity: 0.8,
-                    timeSpeed: 0.7
-                },
-                unlocked: false
-            },
-            {
-                id: 6,
-                name: "Crystal Planet",
-                type: "Crystal",
-                description: "A world of living crystal formations. Resonant energy and geometric perfection.",
-                unlockRequirements: {
-                    heat: 30,
-                    fuel: 30,
-                    water: 30,
-                    oxygen: 25,
-                    stone: 30,
-                    magma: 20,
-                    ice: 25
-                },
-                introducesResources: ['crystal'],
-                resourceGeneration: {
-                    crystal: { base: 4, multiplier: 3.0 },
-                    stone: { base: 10, multiplier: 1.6 },
-                    ice: { base: 8, multiplier: 1.4 },
-                    oxygen: { base: 6, multiplier: 1.1 }
-                },
-                properties: {
-                    temperature: 18,
-                    atmosphere: 40,
-                    gravity: 1.4,
-                    timeSpeed: 1.1
-                },
-                unlocked: false
-            },
-            {
-                id: 7,
-                name: "Void Planet",
-                type: "Void",
-                description: "A mysterious world at the edge of reality. Source of pure void energy.",
-                unlockRequirements: {
-                    heat: 40,
-                    fuel: 40,
-                    water: 35,
-                    oxygen: 30,
-                    stone: 35,
-                    magma: 25,
-                    ice: 30,
-                    crystal: 20
-                },
-                introducesResources: ['voidEnergy'],
-                resourceGeneration: {
-                    voidEnergy: { base: 2, multiplier: 4.0 },
-                    crystal: { base: 6, multiplier: 1.3 },
-                    // Void energy enhances all other resources when generated
-                    heat: { base: 4, multiplier: 1.2 },
-                    fuel: { base: 4, multiplier: 1.2 },
-                    water: { base: 4, multiplier: 1.2 },
-                    oxygen: { base: 4, multiplier: 1.2 },
-                    stone: { base: 4, multiplier: 1.2 },
-                    magma: { base: 4, multiplier: 1.2 },
-                    ice: { base: 4, multiplier: 1.2 }
-                },
-                properties: {
-                    temperature: 0,
-                    atmosphere: 0,
-                    gravity: 0.5,
-                    timeSpeed: 2.0
-                },
-                unlocked: false
-            }
-        ];
+    // Counts a visit whenever a world becomes the current one
+    setWorldStats(worldStats) {
+        this.worldStats = worldStats;
     }
 
     checkWorldUnlocks() {
@@ -230,9 +41,7 @@ export class WorldSystem {
         if (!state || !state.resources) return null;
         
         // Check each world to see if it can be unlocked
-        for (let i = 0; i < this.worldDefinitions.length; i++) {
-            const world = this.worldDefinitions[i];
-            
+        for (const world of this.getWorldDefinitions()) {
             // Skip if already unlocked
             if (state.unlockedWorlds.includes(world.id)) continue;
             
@@ -252,7 +61,7 @@ export class WorldSystem {
 
     canUnlockWorld(worldId) {
         const state = this.gameState.getState();
-        const world = this.worldDefinitions[worldId];
+        const world = this.getWorldById(worldId);
         
         if (!world || !world.unlockRequirements) return false;
         
@@ -276,17 +85,89 @@ export class WorldSystem {
     }
 
     getWorldById(worldId) {
-        return this.worldDefinitions[worldId] || null;
+        const world = this.worldDefinitions[worldId] ||
+            this.getGeneratedWorlds().find(world => world.id === worldId);
+        return world ? this.withRerolledProperties(world) : null;
+    }
+
+    // A world whose properties were rerolled keeps the new set for good, including on travel
+    withRerolledProperties(world) {
+        const state = this.gameState.getState();
+        const rerolled = state.worldRerolls && state.worldRerolls.rerolled
+            ? state.worldRerolls.rerolled[world.id]
+            : null;
+        return rerolled ? { ...world, properties: rerolled } : world;
+    }
+
+    getRerollCharges() {
+        const state = this.gameState.getState();
+        return state.worldRerolls ? state.worldRerolls.charges : 0;
+    }
+
+    // A world can be rerolled once, before it is created, while charges remain
+    canRerollWorld(worldId) {
+        const state = this.gameState.getState();
+        const world = this.getWorldById(worldId);
+        return !!world &&
+            this.getRerollCharges() > 0 &&
+            worldId > state.worldProgress &&
+            !state.worldRerolls.rerolled[worldId] &&
+            !!WorldGenerator.findTemplate(world.type);
+    }
+
+    // Spends a charge to roll new properties for a world that hasn't been created yet.
+    // Returns the world with its new properties, or null
+    rerollWorld(worldId, rng) {
+        if (!this.canRerollWorld(worldId)) {
+            return null;
+        }
+
+        const state = this.gameState.getState();
+        const world = this.getWorldById(worldId);
+        state.worldRerolls.rerolled[worldId] = WorldGenerator.rollProperties(WorldGenerator.findTemplate(world.type), rng);
+        state.worldRerolls.charges -= 1;
+        return this.getWorldById(worldId);
+    }
+
+    // A content pack that adds worlds to an existing save takes over the ids of generated worlds
+    // made before it, so those are skipped
+    getGeneratedWorlds() {
+        const state = this.gameState.getState();
+        return state && Array.isArray(state.generatedWorlds)
+            ? state.generatedWorlds.filter(world => world.id >= this.worldDefinitions.length)
+            : [];
+    }
+
+    // Generates the world after the last known one and stores it in the save
+    generateNextWorld() {
+        const state = this.gameState.getState();
+        const definitions = this.getWorldDefinitions();
+        const id = definitions[definitions.length - 1].id + 1;
+
+        const world = this.worldGenerator.generateWorld(id, this.getWorldById(id - 1), this.getSelectedTier());
+        if (!Array.isArray(state.generatedWorlds)) {
+            state.generatedWorlds = [];
+        }
+        state.generatedWorlds.push(world);
+        return world;
     }
 
     selectWorld(worldId) {
         const state = this.gameState.getState();
         const world = this.getWorldById(worldId);
         
-        if (!world || !state.unlockedWorlds.includes(worldId)) {
+        if (!world) {
             return false;
         }
         
+        // A world whose requirements are met can be unlocked on the spot
+        if (!state.unlockedWorlds.includes(worldId)) {
+            if (!this.canUnlockWorld(worldId)) {
+                return false;
+            }
+            state.unlockedWorlds.push(worldId);
+        }
+        
         // Deduct unlock cost if this is the first time selecting this world
         if (state.worldProgress < worldId) {
             const cost = world.unlockRequirements;
@@ -297,10 +178,19 @@ export class WorldSystem {
             state.worldsCreated++;
         }
         
+        this.activateWorld(world);
+        
+        return true;
+    }
+
+    // Makes a world definition the current world with fresh weather
+    activateWorld(world) {
+        const state = this.gameState.getState();
+        
         // Set as current world with flattened properties for ResourceSystem compatibility
         state.currentWorld = {
             ...world,
-            id: worldId,
+            id: world.id,
             type: world.type,
             name: world.name,
             description: world.description,
@@ -311,22 +201,139 @@ export class WorldSystem {
             atmosphere: world.properties.atmosphere,
             // Keep properties object for future use
             properties: world.properties,
-            // Add weather system for compatibility
             weather: 'Calm',
             weatherDuration: 10
         };
+        this.rollNewWeather(state.currentWorld);
+        if (this.worldStats) {
+            this.worldStats.recordVisit(state.currentWorld);
+        }
+        return state.currentWorld;
+    }
+
+    isRiftOpen() {
+        const state = this.gameState.getState();
+        return !!state.rift;
+    }
+
+    // Dimensional Rift: visit a world one tier above the best unlocked tier for RIFT_DURATION
+    // actions. Rift worlds get negative ids so they never collide with the world list.
+    // Entering again while a rift is open keeps it open longer instead
+    openRift() {
+        const state = this.gameState.getState();
+        if (state.rift) {
+            state.rift.actionsLeft += RIFT_DURATION;
+            return state.currentWorld;
+        }
+        
+        const highestTier = this.isTierUnlocked(3) ? 3 : (this.isTierUnlocked(2) ? 2 : 1);
+        const riftNumber = (state.riftsOpened || 0) + 1;
+        const world = {
+            ...this.worldGenerator.generateWorld(-riftNumber, null, Math.min(3, highestTier + 1)),
+            rift: true
+        };
         
-        return true;
+        state.riftsOpened = riftNumber;
+        state.rift = {
+            returnWorldId: state.currentWorld ? state.currentWorld.id : 0,
+            actionsLeft: RIFT_DURATION
+        };
+        return this.activateWorld(world);
+    }
+
+    // Counts one action inside the rift; returns the rift world once it has closed, otherwise null
+    advanceRift() {
+        const state = this.gameState.getState();
+        if (!state.rift) return null;
+        
+        state.rift.actionsLeft -= 1;
+        if (state.rift.actionsLeft > 0) return null;
+        return this.closeRift();
+    }
+
+    // Returns the player to the world they entered the rift from and records the visit
+    closeRift() {
+        const state = this.gameState.getState();
+        if (!state.rift) return null;
+        
+        const riftWorld = state.currentWorld;
+        const returnWorld = this.getWorldById(state.rift.returnWorldId) || this.getWorldById(0);
+        state.rift = null;
+        
+        if (!state.worldHistory) {
+            state.worldHistory = [];
+        }
+        state.worldHistory.push({
+            ...riftWorld,
+            riftVisit: true,
+            createdAt: Date.now(),
+            unlockedAt: state.worldsCreated
+        });
+        
+        this.activateWorld(returnWorld);
+        return riftWorld;
+    }
+
+    // Resources introduced by the worlds unlocked so far, in RESOURCE_TYPES order
+    getIntroducedResources() {
+        const state = this.gameState.getState();
+        const introduced = new Set();
+        (state.unlockedWorlds || []).forEach(id => {
+            const world = this.getWorldById(id);
+            if (world && world.introducesResources) {
+                world.introducesResources.forEach(resource => introduced.add(resource));
+            }
+        });
+        return Object.keys(RESOURCE_TYPES).filter(resource => introduced.has(resource));
+    }
+
+    // Created worlds the player can travel back to, in id order
+    getTravelDestinations() {
+        const state = this.gameState.getState();
+        return (state.unlockedWorlds || [])
+            .filter(id => id <= state.worldProgress)
+            .sort((a, b) => a - b)
+            .map(id => this.getWorldById(id))
+            .filter(world => world);
+    }
+
+    // Returns { canTravel, reason, cost }. Only worlds already created can be travelled to;
+    // moving forward still goes through createWorld
+    canTravelTo(worldId) {
+        const state = this.gameState.getState();
+        const cost = { energy: TRAVEL_ENERGY_COST };
+        
+        if (!this.getWorldById(worldId) || !state.unlockedWorlds.includes(worldId) || worldId > state.worldProgress) {
+            return { canTravel: false, reason: 'notCreated', cost };
+        }
+        if (state.currentWorld && state.currentWorld.id === worldId) {
+            return { canTravel: false, reason: 'current', cost };
+        }
+        if (state.resources.energy < cost.energy) {
+            return { canTravel: false, reason: 'energy', cost };
+        }
+        return { canTravel: true, reason: null, cost };
+    }
+
+    // Replaces the world's weather with a fresh roll from its type's weather table
+    rollNewWeather(world) {
+        if (!world || !this.weatherSystem) return world ? world.weather : null;
+        return this.weatherSystem.rollWeather(world);
     }
 
     getNextUnlockableWorld() {
         const state = this.gameState.getState();
+        const definitions = this.getWorldDefinitions();
         
-        for (let i = 0; i < this.worldDefinitions.length; i++) {
-            const world = this.worldDefinitions[i];
-            
-            // Skip if already unlocked
-            if (state.unlockedWorlds.includes(world.id)) continue;
+        // Past the last known world, generate the next one
+        if (definitions[definitions.length - 1].id <= state.worldProgress) {
+            definitions.push(this.generateNextWorld());
+        }
+        
+        for (const world of definitions) {
+            // Skip worlds that have already been created. Worlds unlocked automatically by
+            // checkWorldUnlocks still have to be created (and paid for) through createWorld
+            if (world.id <= state.worldProgress) continue;
             
             // Return the first world that can be unlocked
             return {
@@ -337,12 +344,12 @@ export class WorldSystem {
             };
         }
         
-        return null; // All worlds unlocked
+        return null;
     }
 
     getUnlockProgress(worldId) {
         const state = this.gameState.getState();
-        const world = this.worldDefinitions[worldId];
+        const world = this.getWorldById(worldId);
         
         if (!world || !world.unlockRequirements) return {};
         
@@ -359,7 +366,105 @@ export class WorldSystem {
         return progress;
     }
 
+    // Progress towards each tier: { [tier]: { unlocked, requirements: [{ label, current, required }] } }
+    getTierProgress() {
+        const state = this.gameState.getState();
+        const tiers = state.worldTiers || {};
+        const upgrades = state.upgrades || {};
+        const level = name => (upgrades[name] ? upgrades[name].level : 0);
+
+        const tier2 = TIER_REQUIREMENTS[2];
+        const tier3 = TIER_REQUIREMENTS[3];
+        return {
+            1: { unlocked: true, requirements: [] },
+            2: {
+                unlocked: !!tiers.tier2Unlocked,
+                requirements: [
+                    { label: 'Worlds created', current: state.worldsCreated, required: tier2.worldsCreated },
+                    {
+                        label: `Basic upgrades at level ${tier2.basicUpgradeLevel}`,
+                        current: BASIC_UPGRADES.filter(name => level(name) >= tier2.basicUpgradeLevel).length,
+                        required: BASIC_UPGRADES.length
+                    }
+                ]
+            },
+            3: {
+                unlocked: !!tiers.tier3Unlocked,
+                requirements: [
+                    { label: 'Worlds created', current: state.worldsCreated, required: tier3.worldsCreated },
+                    {
+                        label: `Cross-resource upgrade at level ${tier3.crossUpgradeLevel}`,
+                        current: Math.min(1, CROSS_UPGRADES.filter(name => level(name) >= tier3.crossUpgradeLevel).length),
+                        required: 1
+                    }
+                ]
+            }
+        };
+    }
+
+    // Unlocks every tier whose conditions are met; returns the newly unlocked tier numbers
+    checkTierUnlocks() {
+        const state = this.gameState.getState();
+        if (!state.worldTiers) {
+            state.worldTiers = { tier2Unlocked: false, tier3Unlocked: false, selectedTier: 1 };
+        }
+
+        const unlocked = [];
+        for (const [tier, progress] of Object.entries(this.getTierProgress())) {
+            const key = `tier${tier}Unlocked`;
+            if (tier === '1' || state.worldTiers[key]) continue;
+            if (progress.requirements.every(req => req.current >= req.required)) {
+                state.worldTiers[key] = true;
+                unlocked.push(Number(tier));
+            }
+        }
+        return unlocked;
+    }
+
+    isTierUnlocked(tier) {
+        const progress = this.getTierProgress()[tier];
+        return tier === 1 || !!(progress && progress.unlocked);
+    }
+
+    // The tier generated worlds are drawn from; falls back to Tier 1 if the choice is locked
+    getSelectedTier() {
+        const state = this.gameState.getState();
+        const selected = state.worldTiers ? state.worldTiers.selectedTier : 1;
+        return this.isTierUnlocked(selected) ? selected : 1;
+    }
+
+    setSelectedTier(tier) {
+        const state = this.gameState.getState();
+        if (!TIER_NAMES[tier] || !this.isTierUnlocked(tier)) {
+            return false;
+        }
+
+        if (!state.worldTiers) {
+            this.checkTierUnlocks();
+        }
+        state.worldTiers.selectedTier = tier;
+
+        // A generated world that hasn't been created yet is rerolled from the new tier
+        if (Array.isArray(state.generatedWorlds)) {
+            const pending = state.generatedWorlds.filter(world => world.id > state.worldProgress);
+            if (pending.some(world => (world.tier || 1) !== tier)) {
+                const pendingIds = pending.map(world => world.id);
+                state.generatedWorlds = state.generatedWorlds.filter(world => !pendingIds.includes(world.id));
+                state.unlockedWorlds = state.unlockedWorlds.filter(id => !pendingIds.includes(id));
+                if (state.worldRerolls) {
+                    pendingIds.forEach(id => delete state.worldRerolls.rerolled[id]);
+                }
+            }
+        }
+        return true;
+    }
+
+    // Hand-written and generated worlds, in id order
     getWorldDefinitions() {
+        return [...this.worldDefinitions, ...this.getGeneratedWorlds()].map(world => this.withRerolledProperties(world));
+    }
+
+    getFixedWorldDefinitions() {
         return this.worldDefinitions;
     }
 }
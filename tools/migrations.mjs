@@ -0,0 +1,61 @@
+// migrations.mjs - Migrates every fixture save in tools/fixtures/saves and checks the result against
+// SaveValidator, the way a save from an older build is loaded
+// Usage: node tools/migrations.mjs [--verbose]
+//
+// Fixtures are saves written by earlier builds (vN.json is a save at version N, v1-baseline.json one
+// from the original game), without achievement definitions since those come from the content packs.
+// Add one whenever CURRENT_SAVE_VERSION is bumped
+
+import { readdirSync, readFileSync } from 'node:fs';
+import { GameEngine } from '../js/GameEngine.js';
+import { MemoryStorage } from '../js/MemoryStorage.js';
+import { SaveMigrations, CURRENT_SAVE_VERSION } from '../js/SaveMigrations.js';
+
+const verbose = process.argv.slice(2).includes('--verbose');
+const fixturesDir = new URL('./fixtures/saves/', import.meta.url);
+
+// What particular migrations have to do to the fixtures that exercise them
+const EXPECTATIONS = {
+    'v1-baseline.json': [
+        ['placeholder world history entries are dropped', save => save.worldHistory.length === 0]
+    ],
+    'v15.json': [
+        ['a running upgrade discount counts purchases', save => save.modifiers.length === 1 &&
+            save.modifiers[0].expires === null && save.modifiers[0].uses === 3]
+    ],
+    'v16.json': [
+        ['a pressure boost scales pressure per action', save => save.modifiers.length === 1 &&
+            save.modifiers[0].target === 'pressurePerAction']
+    ]
+};
+
+const engine = new GameEngine({ storage: new MemoryStorage(), notify: () => {} });
+const gameState = engine.gameState;
+
+const fixtures = readdirSync(fixturesDir)
+    .filter(name => name.endsWith('.json'))
+    .sort((a, b) => parseInt(a.slice(1), 10) - parseInt(b.slice(1), 10) || a.localeCompare(b));
+
+let failures = 0;
+fixtures.forEach(name => {
+    const fixture = JSON.parse(readFileSync(new URL(name, fixturesDir), 'utf8'));
+    const { save, fromVersion, applied } = SaveMigrations.migrate(fixture);
+    gameState.state = gameState.mergeWithDefaults(save);
+    const report = gameState.checkState();
+
+    const failed = (EXPECTATIONS[name] || []).filter(([, test]) => !test(gameState.state));
+    const ok = report.valid && failed.length === 0;
+    if (!ok) failures++;
+
+    console.log(`${name.padEnd(18)} v${fromVersion} -> v${CURRENT_SAVE_VERSION}  ${applied.length} migration${applied.length === 1 ? '' : 's'}  ${ok ? 'OK' : 'FAILED'}`);
+    if (verbose) {
+        applied.forEach(step => console.log(`    ${step}`));
+    }
+    report.problems.forEach(problem => console.log(`  ${problem.path}: ${problem.message}`));
+    failed.forEach(([description]) => console.log(`  expected: ${description}`));
+});
+
+console.log(`Migration check:  ${failures === 0 ? 'OK' : `${failures} FAILED`} (${fixtures.length} fixtures)`);
+if (failures > 0) {
+    process.exitCode = 1;
+}
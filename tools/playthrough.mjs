@@ -0,0 +1,126 @@
+// playthrough.mjs - Runs a scripted playthrough on the headless GameEngine for balance testing and CI
+// Usage: node tools/playthrough.mjs [--steps 2000] [--seed 12345] [--quiet] [--idle] [--save run.json]
+
+import { writeFileSync } from 'node:fs';
+import { GameEngine } from '../js/GameEngine.js';
+import { MemoryStorage } from '../js/MemoryStorage.js';
+import { ReplayEngine } from '../js/ReplayEngine.js';
+
+const args = process.argv.slice(2);
+const stepsIndex = args.indexOf('--steps');
+const maxSteps = stepsIndex >= 0 ? parseInt(args[stepsIndex + 1], 10) : 2000;
+const seedIndex = args.indexOf('--seed');
+const seed = seedIndex >= 0 ? parseInt(args[seedIndex + 1], 10) : 12345;
+const quiet = args.includes('--quiet');
+const idle = args.includes('--idle');
+const saveIndex = args.indexOf('--save');
+const savePath = saveIndex >= 0 ? args[saveIndex + 1] : null;
+
+const engine = new GameEngine({
+    storage: new MemoryStorage(),
+    seed,
+    notify: message => {
+        if (!quiet) console.log(`  [notify] ${message}`);
+    }
+});
+
+// Always take the first choice on offer (and its first follow-up option) so runs stay comparable
+function answerEvent(event) {
+    if (!event) return;
+    const choice = engine.eventSystem.getAvailableChoices(event)[0];
+    const followUp = engine.eventSystem.getFollowUp(choice);
+    const option = followUp && followUp.options.length > 0 ? followUp.options[0].value : null;
+    engine.selectEventChoice(event, choice, option);
+    if (!quiet) console.log(`  [event] ${event.name} -> ${choice.text}${option ? ` (${option})` : ''}`);
+}
+
+// Greedy strategy: create the next world as soon as possible, otherwise work towards its
+// requirements with the current world's resources, buying basic upgrades when nothing is missing
+function takeTurn(step) {
+    const state = engine.getState();
+    const next = engine.worldSystem.getNextUnlockableWorld();
+
+    if (next && next.canUnlock) {
+        const result = engine.createWorld();
+        answerEvent(result.event);
+        console.log(`step ${step}: created ${result.world.name}`);
+        return true;
+    }
+
+    const generated = Object.keys(state.currentWorld.resourceGeneration || {});
+    if (next) {
+        const missing = Object.entries(next.requirements)
+            .filter(([resource, amount]) => (state.resources[resource] || 0) < amount)
+            .map(([resource]) => resource)
+            .find(resource => generated.includes(resource));
+        if (missing) {
+            answerEvent(engine.generateResource(missing).event);
+            return true;
+        }
+    }
+
+    if (engine.upgradeResource('heatGenerator', 'heat').success) return true;
+    if (engine.upgradeResource('fuelEfficiency', 'fuel').success) return true;
+
+    if (!next) return false; // Nothing left to unlock
+    answerEvent(engine.generateResource(generated[0]).event);
+    return true;
+}
+
+// Idle mode: every step also lets one second of passive production pass
+if (idle) {
+    engine.getState().settings.playMode = 'idle';
+}
+
+let step = 0;
+while (step < maxSteps && takeTurn(step)) {
+    engine.advanceTime(1000);
+    step++;
+}
+
+const state = engine.getState();
+console.log('\n=== Playthrough summary ===');
+console.log(`Seed:             ${seed} (${engine.rng.getCursor()} rolls)`);
+console.log(`Steps taken:      ${step}${idle ? ' (idle mode)' : ''}`);
+console.log(`Worlds created:   ${state.worldsCreated}`);
+console.log(`Current world:    ${state.currentWorld ? state.currentWorld.name : 'None'}`);
+console.log(`Achievements:     ${state.achievements.unlocked.length}`);
+console.log('Resources:', Object.fromEntries(
+    Object.entries(state.resources).map(([resource, amount]) => [resource, Math.floor(amount)])
+));
+console.log('Upgrades:', Object.fromEntries(
+    Object.entries(state.upgrades).map(([name, upgrade]) => [name, upgrade.level])
+));
+
+// The run's own action log must replay to the same state
+const integrity = ReplayEngine.verify(state);
+console.log(`Replay check:     ${integrity.valid ? 'OK' : 'MISMATCH'} (${integrity.actionsReplayed} actions)`);
+integrity.mismatches.forEach(mismatch => {
+    console.log(`  ${mismatch.path}: expected ${mismatch.expected}, got ${mismatch.actual}`);
+});
+
+// Turbulent weather has to double the pressure a pressure-building world adds per action
+function pressurePerAction(weather) {
+    const checkEngine = new GameEngine({ storage: new MemoryStorage(), seed, notify: () => {} });
+    const world = {
+        name: 'Weather check',
+        type: 'Plasma',
+        weather,
+        weatherDuration: 10,
+        specialEffects: { effects: { pressurePerAction: 10 } }
+    };
+    return checkEngine.resourceSystem.applyActionEffects(world).pressure || 0;
+}
+const calmPressure = pressurePerAction('Calm');
+const turbulentPressure = pressurePerAction('Turbulent');
+const weatherValid = turbulentPressure === calmPressure * 2 && calmPressure > 0;
+console.log(`Weather check:    ${weatherValid ? 'OK' : 'MISMATCH'} (pressure ${calmPressure} calm, ${turbulentPressure} turbulent)`);
+
+if (savePath) {
+    writeFileSync(savePath, JSON.stringify(state, null, 2));
+    console.log(`Save written to ${savePath}`);
+}
+
+if (!integrity.valid || !weatherValid) {
+    process.exitCode = 1;
+}
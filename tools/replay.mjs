@@ -0,0 +1,50 @@
+// replay.mjs - Replays the action log stored in an exported save, step by step, and checks the result
+// Usage: node tools/replay.mjs <save.json> [--verbose]
+
+import { readFileSync } from 'node:fs';
+import { ReplayEngine } from '../js/ReplayEngine.js';
+
+const args = process.argv.slice(2);
+const savePath = args.find(arg => !arg.startsWith('--'));
+const verbose = args.includes('--verbose');
+
+if (!savePath) {
+    console.error('Usage: node tools/replay.mjs <save.json> [--verbose]');
+    process.exit(1);
+}
+
+const save = JSON.parse(readFileSync(savePath, 'utf8'));
+const log = save.actionLog;
+if (!log || !log.baseSnapshot) {
+    console.error('This save has no action log (it was made before action logging existed)');
+    process.exit(1);
+}
+
+const replay = new ReplayEngine(log.baseSnapshot, log.actions);
+console.log(`Replaying ${log.actions.length} logged actions from seed ${log.baseSnapshot.rng ? log.baseSnapshot.rng.seed : '?'}`);
+
+while (!replay.isFinished()) {
+    const action = replay.step();
+    const state = replay.getState();
+    const repeat = action.count > 1 ? ` x${action.count}` : '';
+    console.log(`#${action.seq} ${action.type}${repeat} ${JSON.stringify(action.payload)} -> world ${state.currentWorld ? state.currentWorld.name : 'None'}`);
+    if (verbose) {
+        console.log('   ', Object.fromEntries(
+            Object.entries(state.resources).map(([resource, amount]) => [resource, Math.floor(amount)])
+        ));
+    }
+}
+
+const mismatches = ReplayEngine.compare(
+    ReplayEngine.fingerprint(replay.getState()),
+    ReplayEngine.fingerprint(save)
+);
+if (mismatches.length === 0) {
+    console.log('\nReplay matches the saved state');
+} else {
+    console.log(`\nReplay differs from the saved state in ${mismatches.length} field(s):`);
+    mismatches.forEach(mismatch => {
+        console.log(`  ${mismatch.path}: replay ${mismatch.expected}, save ${mismatch.actual}`);
+    });
+    process.exitCode = 1;
+}
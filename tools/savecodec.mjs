@@ -0,0 +1,75 @@
+// savecodec.mjs - Checks the save string format (SaveCodec): saves survive a round trip, and every
+// kind of broken string is turned away with the message the player sees
+// Usage: node tools/savecodec.mjs
+
+import { readFileSync } from 'node:fs';
+import { SaveCodec } from '../js/SaveCodec.js';
+import { RandomService } from '../js/RandomService.js';
+
+const fixture = JSON.parse(readFileSync(new URL('./fixtures/saves/v16.json', import.meta.url), 'utf8'));
+
+// A save far past the compressor's dictionary size: thousands of varied logged actions, plus text
+// outside ASCII
+function createLargeSave() {
+    const rng = RandomService.fork(2024, 0);
+    const save = JSON.parse(JSON.stringify(fixture));
+    save.currentWorld.name = 'Prisme Étoilé ✨ 星';
+    save.actionLog.actions = Array.from({ length: 5000 }, (_, seq) => ({
+        seq,
+        type: rng.pick(['generateResource', 'upgradeResource', 'selectEventChoice', 'tick']),
+        payload: { resourceType: rng.pick(['heat', 'fuel', 'water', 'crystal']), roll: rng.next() },
+        count: rng.int(1, 40),
+        at: 1792400000000 + seq * rng.int(200, 5000)
+    }));
+    return save;
+}
+
+const encoded = SaveCodec.encode(fixture);
+const [, payload, checksum] = encoded.split('.');
+const otherChecksum = checksum.replace(/^./, digit => (digit === '0' ? '1' : '0'));
+const otherPayload = payload.slice(0, 40) + (payload[40] === 'A' ? 'B' : 'A') + payload.slice(41);
+
+const checks = [];
+const roundTrip = (name, save) => checks.push([name, () => {
+    const text = SaveCodec.encode(save);
+    if (JSON.stringify(SaveCodec.decode(text)) !== JSON.stringify(save)) return 'decoded save differs';
+    return `${JSON.stringify(save).length} characters -> ${text.length}`;
+}]);
+const rejects = (name, text, ...messages) => checks.push([name, () => {
+    try {
+        SaveCodec.decode(text);
+    } catch (error) {
+        return messages.some(message => error.message.includes(message))
+            ? error.message
+            : `wrong message: ${error.message}`;
+    }
+    return 'was accepted';
+}]);
+
+roundTrip('fixture save', fixture);
+roundTrip('large save', createLargeSave());
+checks.push(['wrapped string', () => {
+    const wrapped = `  ${encoded.match(/.{1,60}/g).join('\n')}\n`;
+    return JSON.stringify(SaveCodec.decode(wrapped)) === JSON.stringify(fixture) ? 'decodes' : 'decoded save differs';
+}]);
+rejects('empty', '   ', 'Paste a save string first');
+rejects('not a save string', '{"worldsCreated": 3}', 'not a Machine of Worlds save string');
+rejects('foreign characters', `MOW1.${payload.slice(0, 20)}$${payload.slice(20)}.${checksum}`, 'characters a save string never has');
+rejects('newer format', `MOW${SaveCodec.FORMAT_VERSION + 1}.${payload}.${checksum}`, 'newer version of the game');
+rejects('cut off payload', encoded.slice(0, 5 + Math.floor(payload.length / 2)), 'end was cut off');
+rejects('cut off checksum', encoded.slice(0, -3), 'end was cut off');
+rejects('changed checksum', `MOW1.${payload}.${otherChecksum}`, 'failed its checksum');
+rejects('changed payload', `MOW1.${otherPayload}.${checksum}`, 'failed its checksum', 'damaged and cannot be read');
+
+let failures = 0;
+checks.forEach(([name, run]) => {
+    const detail = run();
+    const ok = !/^(wrong message|was accepted|decoded save differs)/.test(detail);
+    if (!ok) failures++;
+    console.log(`${name.padEnd(20)} ${ok ? 'OK' : 'FAILED'}  ${detail}`);
+});
+
+console.log(`Codec check:      ${failures === 0 ? 'OK' : `${failures} FAILED`} (${checks.length} checks)`);
+if (failures > 0) {
+    process.exitCode = 1;
+}